@@ -5,7 +5,30 @@
 
 // Initialize services
 const loraCalc = new LoRaCalculator();
+const bandPlans = new BandPlans();
 const elevationService = new ElevationService();
+const diffractionCalc = new DiffractionCalculator();
+const clutterModel = new ClutterModel(elevationService);
+const itmModel = new ITMModel();
+const coverageService = new CoverageService(elevationService);
+const relayFinder = new RelayFinder(elevationService);
+const persistentCache = new PersistentCache();
+elevationService.setPersistentCache(persistentCache);
+const buildingDataset = new BuildingDataset(elevationService);
+elevationService.setBuildingDataset(buildingDataset);
+const customObstacles = new CustomObstacles(elevationService);
+const projectFile = new ProjectFile();
+const permalink = new Permalink();
+const geoExport = new GeoExport();
+const waypointImport = new WaypointImport();
+const linkReport = new LinkReport();
+
+// Local elevation sources take priority over the online API where loaded
+// (GeoTIFF DSM first, then SRTM tiles)
+const hgtProvider = new HgtElevationProvider();
+const geotiffProvider = new GeoTiffElevationProvider();
+elevationService.addProvider(hgtProvider);
+elevationService.addProvider(geotiffProvider);
 
 // Application state
 const appState = {
@@ -13,70 +36,178 @@ const appState = {
     points: [],
     markers: [],
     polylines: [],
+    linkPairs: [], // [fromIndex, toIndex] for each polyline
+    meshMode: false, // Analyze every pair instead of consecutive points
+    showNonViableLinks: true,
     addingPoint: false,
     elevationCharts: [],
     currentAnalysis: null,
     buildingsLayer: null,
     buildingsEnabled: false,
     buildingPolygons: [],
-    coverageCircles: [],
+    obstaclesLayer: null,
+    drawingObstacle: null, // { type, vertices, preview } while an obstacle is being drawn
+    restoring: false, // A project or shared link is being applied
+    permalinkTimer: null,
+    permalinkHash: null, // Hash last written to the URL
+    coverageOverlay: null,
+    coverageLegend: null,
+    coverageRaster: null,
+    coverageGeneration: 0, // Bumped to cancel an in-progress coverage computation
     coverageEnabled: false,
+    relayLayer: null,
+    relayCandidates: [],
+    relayLink: null, // [from, to] points of the link the relay candidates are for
+    relaySearch: 0, // Bumped to cancel an in-progress relay search
+    prefetching: false,
     baseLayers: {}
 };
 
 // LoRa parameters state
 const loraParams = {
-    frequency: 868,
+    bandPlan: 'EU868', // region id from bandPlans.regions
+    frequency: 868.1, // MHz, a channel of the band plan
     bandwidth: 125,
     spreadingFactor: 7,
     codingRate: 5,
     txPower: 14,
     txGain: 2,
-    rxGain: 2
+    rxGain: 2,
+    pathLossModel: 'fspl', // id from loraCalc.pathLossModels
+    environment: 'urban', // Hata / COST-231: urban | suburban | open
+    pathLossExponent: 3 // Log-distance exponent
+};
+
+// Longley-Rice (ITM) parameters
+const itmParams = {
+    climate: 5, // Continental Temperate
+    groundType: 'average',
+    polarization: 1, // 0 = horizontal, 1 = vertical
+    time: 50, // %
+    location: 50, // %
+    situation: 50 // %
+};
+
+// Propagation (atmospheric refraction) state
+const propagationParams = {
+    kFactorMode: 'standard', // standard | worst | custom | refractivity
+    customKFactor: 1.33,
+    refractivity: 301, // Surface refractivity Ns (N-units)
+    robustnessCheck: false,
+    diffractionMethod: 'deygout', // none | single | deygout | epstein-peterson | bullington
+    clutterMethod: 'p833', // none | p833 | weissberger
+    vegetationAttenuation: 0.2 // dB/m, P.833 specific attenuation at 900 MHz
+};
+
+// Coverage heatmap settings
+const coverageParams = {
+    radius: 5, // km
+    resolution: 100 // m
+};
+
+// k-factors evaluated by the robustness check
+const ROBUSTNESS_K_FACTORS = [2 / 3, 1, 4 / 3, Infinity];
+
+// Default antenna height above ground level (m) for new points
+const DEFAULT_ANTENNA_HEIGHT = 10;
+
+// Settings inputs restored from a project file, per settings group
+// (band plan and frequency are handled separately)
+const PROJECT_INPUTS = {
+    lora: {
+        bandwidth: 'bandwidth',
+        spreadingFactor: 'spreadingFactor',
+        codingRate: 'codingRate',
+        txPower: 'txPower',
+        txGain: 'txGain',
+        rxGain: 'rxGain',
+        pathLossModel: 'pathLossModel',
+        environment: 'environment',
+        pathLossExponent: 'pathLossExponent'
+    },
+    itm: {
+        climate: 'itmClimate',
+        groundType: 'itmGround',
+        polarization: 'itmPolarization',
+        time: 'itmTime',
+        location: 'itmLocation',
+        situation: 'itmSituation'
+    },
+    propagation: {
+        kFactorMode: 'kFactorMode',
+        customKFactor: 'customKFactor',
+        refractivity: 'refractivity',
+        robustnessCheck: 'robustnessCheck',
+        diffractionMethod: 'diffractionMethod',
+        clutterMethod: 'clutterMethod',
+        vegetationAttenuation: 'vegetationAttenuation'
+    },
+    coverage: {
+        radius: 'coverageRadius',
+        resolution: 'coverageResolution'
+    }
+};
+
+// Base map tile sources (the link report draws its map snapshot from the same tiles)
+const BASE_LAYERS = {
+    'Standard': {
+        url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+        attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+        maxZoom: 19
+    },
+    'Topographic': {
+        url: 'https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png',
+        attribution: 'Map data: &copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors, <a href="http://viewfinderpanoramas.org">SRTM</a> | Map style: &copy; <a href="https://opentopomap.org">OpenTopoMap</a>',
+        maxZoom: 17
+    },
+    'Satellite': {
+        url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+        attribution: 'Tiles &copy; Esri &mdash; Source: Esri, i-cubed, USDA, USGS, AEX, GeoEye, Getmapping, Aerogrid, IGN, IGP, UPR-EGP, and the GIS User Community',
+        maxZoom: 19
+    }
+};
+
+// Elevation chart marker colors per elevation provider id
+const ELEVATION_SOURCE_COLORS = {
+    'geotiff': '#c6ff00',
+    'hgt': '#ffaa00',
+    'open-elevation': '#a8b3cf'
 };
 
 /**
  * Initialize the application
  */
-document.addEventListener('DOMContentLoaded', () => {
-    initMap();
+document.addEventListener('DOMContentLoaded', async () => {
+    // A shared link restores its scenario instead of centering on the user's location
+    const shared = await readPermalink(location.hash);
+
+    initMap(shared ? shared.view : null);
     initEventListeners();
     initInputHandlers();
     updateCalculations();
+
+    // Drop expired cache entries, then show what's stored
+    persistentCache.pruneExpired().then(updateCacheStats);
+
+    if (shared) {
+        await applySharedScenario(shared);
+    }
 });
 
 /**
  * Initialize Leaflet map
+ * view: { lat, lon, zoom } from a shared link, skips geolocation
  */
-function initMap() {
+function initMap(view = null) {
     // Create map centered on Europe
     appState.map = L.map('map').setView([45.4642, 9.1900], 6);
 
-    // Define base layers
-    const osmStandard = L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-        attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
-        maxZoom: 19
-    });
-
-    const osmTopo = L.tileLayer('https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png', {
-        attribution: 'Map data: &copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors, <a href="http://viewfinderpanoramas.org">SRTM</a> | Map style: &copy; <a href="https://opentopomap.org">OpenTopoMap</a>',
-        maxZoom: 17
-    });
-
-    const satellite = L.tileLayer('https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}', {
-        attribution: 'Tiles &copy; Esri &mdash; Source: Esri, i-cubed, USDA, USGS, AEX, GeoEye, Getmapping, Aerogrid, IGN, IGP, UPR-EGP, and the GIS User Community',
-        maxZoom: 19
-    });
+    // Define and store base layers
+    appState.baseLayers = Object.fromEntries(Object.entries(BASE_LAYERS).map(([name, { url, ...options }]) =>
+        [name, L.tileLayer(url, options)]));
 
     // Add default layer (OSM Standard)
-    osmStandard.addTo(appState.map);
-
-    // Store layers
-    appState.baseLayers = {
-        "Standard": osmStandard,
-        "Topographic": osmTopo,
-        "Satellite": satellite
-    };
+    appState.baseLayers['Standard'].addTo(appState.map);
 
     // Add layer control positioned below zoom controls
     const layerControl = L.control.layers(appState.baseLayers, null, {
@@ -86,6 +217,14 @@ function initMap() {
     // Buildings layer will be created when toggled (not initialized here)
     appState.buildingsLayer = null;
 
+    // Custom obstacles are always shown
+    appState.obstaclesLayer = L.layerGroup().addTo(appState.map);
+
+    if (view && typeof view.lat === 'number' && typeof view.lon === 'number') {
+        appState.map.setView([view.lat, view.lon], view.zoom || 10);
+        return;
+    }
+
     // Try to get user location
     if (navigator.geolocation) {
         navigator.geolocation.getCurrentPosition((position) => {
@@ -119,70 +258,1460 @@ function initEventListeners() {
     // Toggle coverage layer
     document.getElementById('toggleCoverageBtn').addEventListener('click', toggleCoverageLayer);
 
-    // Map click handler
-    appState.map.on('click', onMapClick);
+    // Toggle full-mesh analysis
+    document.getElementById('toggleMeshBtn').addEventListener('click', toggleMeshMode);
+
+    // Toggle non-viable link visibility
+    document.getElementById('toggleNonViableBtn').addEventListener('click', toggleNonViableLinks);
+
+    // Map click handler
+    appState.map.on('click', onMapClick);
+
+    // Keep the shared link in the URL up to date
+    appState.map.on('moveend baselayerchange', schedulePermalinkUpdate);
+
+    // A shared link pasted into this tab
+    window.addEventListener('hashchange', async () => {
+        if (location.hash.slice(1) === appState.permalinkHash) return;
+        const shared = await readPermalink(location.hash);
+        if (shared) await applySharedScenario(shared);
+    });
+
+    // Double-click finishes a line or polygon obstacle
+    appState.map.on('dblclick', () => {
+        if (appState.drawingObstacle) finishObstacleDrawing();
+    });
+
+    // Escape cancels drawing
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && appState.drawingObstacle) cancelObstacleDrawing();
+    });
+
+    // Waypoint files dropped on the map
+    const mapContainer = appState.map.getContainer();
+    const hasFiles = e => e.dataTransfer && [...e.dataTransfer.types].includes('Files');
+
+    mapContainer.addEventListener('dragover', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        mapContainer.classList.add('drop-target');
+    });
+    mapContainer.addEventListener('dragleave', (e) => {
+        if (!mapContainer.contains(e.relatedTarget)) mapContainer.classList.remove('drop-target');
+    });
+    mapContainer.addEventListener('drop', async (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        mapContainer.classList.remove('drop-target');
+        await importWaypoints([...e.dataTransfer.files]);
+    });
+}
+
+/**
+ * Initialize input handlers for LoRa parameters
+ */
+function initInputHandlers() {
+    // Region select: offers the channels and bandwidths of its band plan
+    const bandPlanSelect = document.getElementById('bandPlan');
+    bandPlanSelect.innerHTML = Object.entries(bandPlans.regions).map(([id, region]) =>
+        `<option value="${id}">${region.name}</option>`).join('');
+    bandPlanSelect.value = loraParams.bandPlan;
+    updateBandPlanOptions();
+
+    bandPlanSelect.addEventListener('change', (e) => {
+        loraParams.bandPlan = e.target.value;
+        updateBandPlanOptions();
+        updateCalculations();
+    });
+
+    // Frequency select (channels of the region)
+    document.getElementById('frequency').addEventListener('change', (e) => {
+        loraParams.frequency = parseFloat(e.target.value);
+        document.getElementById('frequencyValue').textContent = e.target.value;
+        updateCalculations();
+    });
+
+    // Bandwidth select
+    document.getElementById('bandwidth').addEventListener('change', (e) => {
+        loraParams.bandwidth = parseInt(e.target.value);
+        document.getElementById('bandwidthValue').textContent = e.target.value;
+        updateCalculations();
+    });
+
+    // Spreading Factor range
+    document.getElementById('spreadingFactor').addEventListener('input', (e) => {
+        loraParams.spreadingFactor = parseInt(e.target.value);
+        document.getElementById('sfValue').textContent = e.target.value;
+        updateCalculations();
+    });
+
+    // Coding Rate select
+    document.getElementById('codingRate').addEventListener('change', (e) => {
+        loraParams.codingRate = parseInt(e.target.value);
+        document.getElementById('crValue').textContent = `4/${e.target.value}`;
+        updateCalculations();
+    });
+
+    // TX Power range
+    document.getElementById('txPower').addEventListener('input', (e) => {
+        loraParams.txPower = parseFloat(e.target.value);
+        document.getElementById('txPowerValue').textContent = e.target.value;
+        updateCalculations();
+    });
+
+    // TX Gain range
+    document.getElementById('txGain').addEventListener('input', (e) => {
+        loraParams.txGain = parseFloat(e.target.value);
+        document.getElementById('txGainValue').textContent = e.target.value;
+        updateCalculations();
+    });
+
+    // RX Gain range
+    document.getElementById('rxGain').addEventListener('input', (e) => {
+        loraParams.rxGain = parseFloat(e.target.value);
+        document.getElementById('rxGainValue').textContent = e.target.value;
+        updateCalculations();
+    });
+
+    // Path loss model select
+    document.getElementById('pathLossModel').addEventListener('change', (e) => {
+        const model = e.target.value;
+        loraParams.pathLossModel = model;
+        document.getElementById('itmSettings').style.display = model === 'itm' ? '' : 'none';
+        document.getElementById('environmentGroup').style.display =
+            model === 'hata' || model === 'cost231' ? '' : 'none';
+        document.getElementById('pathLossExponentGroup').style.display =
+            model === 'log-distance' ? '' : 'none';
+        updateCalculations();
+    });
+
+    // Hata / COST-231 environment select
+    document.getElementById('environment').addEventListener('change', (e) => {
+        loraParams.environment = e.target.value;
+        updateCalculations();
+    });
+
+    // Log-distance exponent range
+    document.getElementById('pathLossExponent').addEventListener('input', (e) => {
+        loraParams.pathLossExponent = parseFloat(e.target.value);
+        document.getElementById('pathLossExponentValue').textContent = e.target.value;
+        updateCalculations();
+    });
+
+    // ITM parameters
+    document.getElementById('itmClimate').addEventListener('change', (e) => {
+        itmParams.climate = parseInt(e.target.value);
+        updateCalculations();
+    });
+
+    document.getElementById('itmGround').addEventListener('change', (e) => {
+        itmParams.groundType = e.target.value;
+        updateCalculations();
+    });
+
+    document.getElementById('itmPolarization').addEventListener('change', (e) => {
+        itmParams.polarization = parseInt(e.target.value);
+        updateCalculations();
+    });
+
+    ['time', 'location', 'situation'].forEach(key => {
+        const inputId = `itm${key.charAt(0).toUpperCase()}${key.slice(1)}`;
+        document.getElementById(inputId).addEventListener('change', (e) => {
+            const value = parseFloat(e.target.value);
+            if (!isNaN(value) && value >= 1 && value <= 99) {
+                itmParams[key] = value;
+            } else {
+                e.target.value = itmParams[key];
+            }
+            updateCalculations();
+        });
+    });
+
+    // Offline SRTM tiles
+    document.getElementById('hgtFiles').addEventListener('change', async (e) => {
+        await loadHgtTiles(e.target.files);
+        e.target.value = ''; // Allow re-selecting the same files
+    });
+
+    document.getElementById('clearHgtBtn').addEventListener('click', clearHgtTiles);
+
+    // GeoTIFF DEM/DSM
+    document.getElementById('geotiffFile').addEventListener('change', async (e) => {
+        if (e.target.files.length > 0) {
+            await loadGeoTiff(e.target.files[0]);
+        }
+        e.target.value = '';
+    });
+
+    document.getElementById('clearGeotiffBtn').addEventListener('click', clearGeoTiff);
+
+    // Local building footprints
+    document.getElementById('buildingFile').addEventListener('change', async (e) => {
+        if (e.target.files.length > 0) {
+            await loadBuildingDataset(e.target.files[0]);
+        }
+        e.target.value = '';
+    });
+
+    document.getElementById('clearBuildingDatasetBtn').addEventListener('click', clearBuildingDataset);
+
+    // Project files
+    document.getElementById('saveProjectBtn').addEventListener('click', saveProject);
+    document.getElementById('copyLinkBtn').addEventListener('click', copyPermalink);
+
+    // Exports for Google Earth and GIS
+    document.querySelectorAll('[data-export]').forEach(btn => {
+        btn.addEventListener('click', () => exportPlan(btn.dataset.export));
+    });
+
+    // Printable link report
+    document.querySelectorAll('[data-report]').forEach(btn => {
+        btn.addEventListener('click', () => exportReport(btn.dataset.report));
+    });
+
+    document.getElementById('projectFile').addEventListener('change', async (e) => {
+        if (e.target.files.length > 0) {
+            await openProject(e.target.files[0]);
+        }
+        e.target.value = '';
+    });
+
+    document.getElementById('waypointFile').addEventListener('change', async (e) => {
+        if (e.target.files.length > 0) {
+            await importWaypoints([...e.target.files]);
+        }
+        e.target.value = '';
+    });
+
+    document.getElementById('buildingHeightAttribute').addEventListener('change', (e) => {
+        const attribute = e.target.value.trim() || 'height';
+        e.target.value = attribute;
+        const summary = buildingDataset.setHeightAttribute(attribute);
+        if (summary) {
+            updateBuildingDatasetInfo(summary);
+            refreshBuildings();
+        }
+    });
+
+    document.getElementById('buildingDatasetMode').addEventListener('change', (e) => {
+        buildingDataset.mode = e.target.value;
+        updateBuildingSource();
+        if (buildingDataset.isLoaded()) {
+            refreshBuildings();
+        }
+    });
+
+    // Custom obstacles
+    document.getElementById('drawObstacleBtn').addEventListener('click', toggleObstacleDrawing);
+    document.getElementById('clearObstaclesBtn').addEventListener('click', () => {
+        customObstacles.clear();
+        onObstaclesChanged();
+    });
+
+    // Terrain sampling mode
+    document.getElementById('samplingMode').addEventListener('change', (e) => {
+        elevationService.samplingMode = e.target.value;
+        schedulePermalinkUpdate();
+        if (appState.currentAnalysis) {
+            analyzeLineOfSight();
+        }
+    });
+
+    // Persistent cache
+    document.getElementById('prefetchAreaBtn').addEventListener('click', prefetchVisibleArea);
+    document.getElementById('clearCacheBtn').addEventListener('click', clearPersistentCache);
+
+    // Coverage radius range
+    document.getElementById('coverageRadius').addEventListener('change', (e) => {
+        coverageParams.radius = parseFloat(e.target.value);
+        document.getElementById('coverageRadiusValue').textContent = e.target.value;
+        schedulePermalinkUpdate();
+        if (appState.coverageEnabled) updateCoverageLayer();
+    });
+
+    document.getElementById('coverageRadius').addEventListener('input', (e) => {
+        document.getElementById('coverageRadiusValue').textContent = e.target.value;
+    });
+
+    // Coverage resolution select
+    document.getElementById('coverageResolution').addEventListener('change', (e) => {
+        coverageParams.resolution = parseInt(e.target.value);
+        schedulePermalinkUpdate();
+        if (appState.coverageEnabled) updateCoverageLayer();
+    });
+
+    // k-factor mode select
+    document.getElementById('kFactorMode').addEventListener('change', (e) => {
+        propagationParams.kFactorMode = e.target.value;
+        document.getElementById('customKFactorGroup').style.display = e.target.value === 'custom' ? '' : 'none';
+        document.getElementById('refractivityGroup').style.display = e.target.value === 'refractivity' ? '' : 'none';
+        updatePropagation();
+    });
+
+    // Custom k-factor input
+    document.getElementById('customKFactor').addEventListener('change', (e) => {
+        const value = parseFloat(e.target.value);
+        if (!isNaN(value) && value > 0) {
+            propagationParams.customKFactor = value;
+        }
+        updatePropagation();
+    });
+
+    // Surface refractivity input
+    document.getElementById('refractivity').addEventListener('change', (e) => {
+        const value = parseFloat(e.target.value);
+        if (!isNaN(value) && value > 0) {
+            propagationParams.refractivity = value;
+        }
+        updatePropagation();
+    });
+
+    // Diffraction method select
+    document.getElementById('diffractionMethod').addEventListener('change', (e) => {
+        propagationParams.diffractionMethod = e.target.value;
+        updatePropagation();
+    });
+
+    // Clutter loss model
+    document.getElementById('clutterMethod').addEventListener('change', (e) => {
+        propagationParams.clutterMethod = e.target.value;
+        document.getElementById('vegetationAttenuationGroup').style.display = e.target.value === 'p833' ? '' : 'none';
+        updatePropagation();
+    });
+
+    document.getElementById('vegetationAttenuation').addEventListener('change', (e) => {
+        const value = parseFloat(e.target.value);
+        if (!isNaN(value) && value > 0) {
+            propagationParams.vegetationAttenuation = value;
+            clutterModel.specificAttenuation = value;
+        }
+        updatePropagation();
+    });
+
+    // Robustness check across several k-factors
+    document.getElementById('robustnessCheck').addEventListener('change', (e) => {
+        propagationParams.robustnessCheck = e.target.checked;
+        updatePropagation();
+    });
+}
+
+/**
+ * Load SRTM .hgt tiles picked from disk
+ */
+async function loadHgtTiles(files) {
+    const { loaded, errors } = await hgtProvider.loadFiles(files);
+    errors.forEach(error => console.error('Error loading .hgt tile:', error));
+
+    updateElevationSourceInfo(errors);
+
+    if (loaded.length > 0) {
+        await refreshElevations();
+    }
+}
+
+/**
+ * Unload all SRTM .hgt tiles
+ */
+async function clearHgtTiles() {
+    hgtProvider.clear();
+    updateElevationSourceInfo();
+    await refreshElevations();
+}
+
+/**
+ * Load a GeoTIFF DEM/DSM picked from disk
+ */
+async function loadGeoTiff(file) {
+    const info = document.getElementById('geotiffInfo');
+    info.textContent = `Loading ${file.name}...`;
+
+    try {
+        const raster = await geotiffProvider.loadFile(file);
+        info.textContent = `${raster.name}: ${raster.width}×${raster.height}, ${raster.crs}, ` +
+            `${raster.resolution.toPrecision(3)} per pixel`;
+        document.getElementById('clearGeotiffBtn').style.display = '';
+    } catch (error) {
+        console.error('Error loading GeoTIFF:', error);
+        info.textContent = `⚠️ ${error.message}`;
+        return;
+    }
+
+    await refreshElevations();
+}
+
+/**
+ * Unload the GeoTIFF DEM/DSM
+ */
+async function clearGeoTiff() {
+    geotiffProvider.clear();
+    document.getElementById('geotiffInfo').textContent = '';
+    document.getElementById('clearGeotiffBtn').style.display = 'none';
+    await refreshElevations();
+}
+
+/**
+ * Load local building footprints picked from disk
+ */
+async function loadBuildingDataset(file) {
+    const info = document.getElementById('buildingDatasetInfo');
+    info.textContent = `Loading ${file.name}...`;
+
+    try {
+        const summary = await buildingDataset.loadFile(file);
+        updateBuildingDatasetInfo(summary);
+        document.getElementById('clearBuildingDatasetBtn').style.display = '';
+    } catch (error) {
+        console.error('Error loading building footprints:', error);
+        info.textContent = `⚠️ ${error.message}`;
+        return;
+    }
+
+    // Footprints are only useful with the buildings layer on
+    if (!appState.buildingsEnabled) {
+        toggleBuildingsLayer();
+    } else {
+        refreshBuildings();
+    }
+}
+
+/**
+ * Unload local building footprints and fall back to OSM
+ */
+function clearBuildingDataset() {
+    buildingDataset.clear();
+    document.getElementById('buildingDatasetInfo').textContent = '';
+    updateBuildingSource();
+    document.getElementById('clearBuildingDatasetBtn').style.display = 'none';
+    refreshBuildings();
+}
+
+/**
+ * Show the loaded building dataset in the settings panel
+ */
+function updateBuildingDatasetInfo(summary) {
+    const info = document.getElementById('buildingDatasetInfo');
+    const missing = summary.missingHeights > 0 ?
+        ` ⚠️ ${summary.missingHeights} without "${summary.heightAttribute}" (${buildingDataset.defaultHeight} m assumed)` : '';
+
+    info.textContent = `${summary.name}: ${summary.buildings.toLocaleString()} footprints${missing}`;
+    info.title = summary.attributes.length > 0 ? `Numeric attributes: ${summary.attributes.join(', ')}` : '';
+    updateBuildingSource();
+}
+
+/**
+ * Show which building sources are in use
+ */
+function updateBuildingSource() {
+    const labels = { replace: 'Local, OSM elsewhere', merge: 'Local + OSM' };
+    document.getElementById('buildingSourceValue').textContent =
+        buildingDataset.isLoaded() ? labels[buildingDataset.mode] : 'OSM';
+}
+
+/**
+ * Re-read rooftop heights and re-analyze after the building data changes
+ */
+async function refreshBuildings() {
+    for (const point of appState.points) {
+        if (point.mountOnBuilding) {
+            point.buildingHeight = await elevationService.getBuildingHeightAt(point.lat, point.lon);
+        }
+    }
+    updatePointsTable();
+
+    if (appState.currentAnalysis) {
+        analyzeLineOfSight();
+    }
+}
+
+/**
+ * Start drawing an obstacle of the selected type, or finish the one being drawn
+ */
+function toggleObstacleDrawing() {
+    if (appState.drawingObstacle) {
+        finishObstacleDrawing();
+        return;
+    }
+
+    const type = document.getElementById('obstacleType').value;
+    appState.drawingObstacle = {
+        type,
+        vertices: [],
+        preview: L.polyline([], { color: '#ffaa00', weight: 2, dashArray: '4 4' }).addTo(appState.map)
+    };
+
+    // Double-clicks finish the obstacle instead of zooming
+    appState.map.doubleClickZoom.disable();
+    appState.map.getContainer().style.cursor = 'crosshair';
+
+    const btn = document.getElementById('drawObstacleBtn');
+    btn.classList.add('active');
+    btn.innerHTML = type === 'point' ?
+        '<span class="icon">🚧</span> Click the map' :
+        '<span class="icon">✔️</span> Finish';
+}
+
+/**
+ * Add a vertex to the obstacle being drawn (a point obstacle is done after one)
+ */
+function addObstacleVertex(lat, lon) {
+    const drawing = appState.drawingObstacle;
+
+    // The two clicks of a double-click land on the same spot
+    const last = drawing.vertices[drawing.vertices.length - 1];
+    if (last && last.lat === lat && last.lon === lon) return;
+
+    drawing.vertices.push({ lat, lon });
+    const ring = drawing.type === 'polygon' ? [...drawing.vertices, drawing.vertices[0]] : drawing.vertices;
+    drawing.preview.setLatLngs(ring.map(v => [v.lat, v.lon]));
+
+    if (drawing.type === 'point') {
+        finishObstacleDrawing();
+    }
+}
+
+/**
+ * Store the obstacle being drawn with the height and attenuation from the settings
+ */
+function finishObstacleDrawing() {
+    const { type, vertices } = appState.drawingObstacle;
+    const minVertices = { point: 1, line: 2, polygon: 3 }[type];
+
+    if (vertices.length >= minVertices) {
+        customObstacles.add({
+            type,
+            coordinates: vertices,
+            height: parseFloat(document.getElementById('obstacleHeight').value),
+            attenuation: parseFloat(document.getElementById('obstacleAttenuation').value)
+        });
+    }
+
+    cancelObstacleDrawing();
+    if (vertices.length >= minVertices) {
+        onObstaclesChanged();
+    }
+}
+
+/**
+ * Stop drawing and discard unfinished vertices
+ */
+function cancelObstacleDrawing() {
+    appState.map.removeLayer(appState.drawingObstacle.preview);
+    appState.drawingObstacle = null;
+
+    appState.map.doubleClickZoom.enable();
+    appState.map.getContainer().style.cursor = '';
+
+    const btn = document.getElementById('drawObstacleBtn');
+    btn.classList.remove('active');
+    btn.innerHTML = '<span class="icon">🚧</span> Obstacle';
+}
+
+/**
+ * Change the height or attenuation of an obstacle from its popup
+ */
+function updateObstacle(id, field, value) {
+    const number = parseFloat(value);
+    if (!isFinite(number)) return;
+
+    customObstacles.update(id, { [field]: number });
+    onObstaclesChanged();
+}
+
+/**
+ * Delete an obstacle from its popup
+ */
+function removeObstacle(id) {
+    customObstacles.remove(id);
+    onObstaclesChanged();
+}
+
+/**
+ * Redraw the obstacles and re-analyze after they change
+ */
+function onObstaclesChanged() {
+    displayObstacles();
+    schedulePermalinkUpdate();
+
+    if (appState.currentAnalysis) {
+        analyzeLineOfSight();
+    }
+}
+
+/**
+ * Show the custom obstacles on the map and in the settings panel
+ */
+function displayObstacles() {
+    appState.obstaclesLayer.clearLayers();
+
+    customObstacles.obstacles.forEach(obstacle => {
+        // Attenuating obstacles (trees) in green, solid ones in orange
+        const color = obstacle.attenuation > 0 ? '#66bb6a' : '#ffaa00';
+        const coords = obstacle.coordinates.map(v => [v.lat, v.lon]);
+        const style = { color, fillColor: color, fillOpacity: 0.35, weight: 2 };
+
+        let layer;
+        if (obstacle.type === 'point') {
+            layer = L.circle(coords[0], { ...style, radius: obstacle.radius });
+        } else if (obstacle.type === 'line') {
+            layer = L.polygon(customObstacles.getFootprint(obstacle).map(v => [v.lat, v.lon]), style);
+        } else {
+            layer = L.polygon(coords, style);
+        }
+
+        layer.bindPopup(`
+            <div style="color: #0f1419;">
+                <strong>${escapeHtml(obstacle.name)}</strong><br>
+                <label>Height (m)
+                    <input type="number" min="1" step="1" value="${obstacle.height}" style="width: 70px;"
+                           onchange="updateObstacle(${obstacle.id}, 'height', this.value)">
+                </label><br>
+                <label>Attenuation (dB/m, 0 = solid)
+                    <input type="number" min="0" step="0.05" value="${obstacle.attenuation}" style="width: 70px;"
+                           onchange="updateObstacle(${obstacle.id}, 'attenuation', this.value)">
+                </label><br>
+                <button onclick="removeObstacle(${obstacle.id})" style="
+                    margin-top: 8px;
+                    padding: 6px 12px;
+                    background: #ff4466;
+                    color: white;
+                    border: none;
+                    border-radius: 6px;
+                    cursor: pointer;
+                    font-weight: 600;
+                    width: 100%;
+                ">❌ Delete Obstacle</button>
+            </div>
+        `);
+
+        appState.obstaclesLayer.addLayer(layer);
+    });
+
+    document.getElementById('obstacleList').innerHTML = customObstacles.obstacles.map(obstacle =>
+        `<span class="tile-chip">${obstacle.attenuation > 0 ? '🌳' : '🚧'} ${escapeHtml(obstacle.name)} (${obstacle.height} m)</span>`
+    ).join('');
+    document.getElementById('clearObstaclesBtn').style.display = customObstacles.obstacles.length > 0 ? '' : 'none';
+}
+
+/**
+ * Collect everything needed to reproduce the session
+ */
+function getProjectState() {
+    const center = appState.map.getCenter();
+
+    return {
+        view: {
+            lat: center.lat,
+            lon: center.lng,
+            zoom: appState.map.getZoom(),
+            baseLayer: Object.keys(appState.baseLayers).find(name =>
+                appState.map.hasLayer(appState.baseLayers[name])
+            )
+        },
+        layers: {
+            buildings: appState.buildingsEnabled,
+            coverage: appState.coverageEnabled,
+            mesh: appState.meshMode,
+            nonViableLinks: appState.showNonViableLinks
+        },
+        settings: {
+            lora: { ...loraParams },
+            itm: { ...itmParams },
+            propagation: { ...propagationParams },
+            coverage: { ...coverageParams },
+            samplingMode: elevationService.samplingMode
+        },
+        points: appState.points.map(point => ({
+            name: point.name,
+            lat: point.lat,
+            lon: point.lon,
+            elevation: point.elevation,
+            antennaHeight: point.antennaHeight,
+            mountOnBuilding: point.mountOnBuilding,
+            buildingHeight: point.buildingHeight,
+            meshSelected: point.meshSelected
+        })),
+        obstacles: customObstacles.serialize(),
+        analyses: appState.currentAnalysis || []
+    };
+}
+
+/**
+ * Download the session as a project file
+ */
+function saveProject() {
+    const project = projectFile.create(getProjectState());
+    const filename = `lora-los-project-${project.savedAt.slice(0, 10)}.json`;
+
+    downloadFile(projectFile.stringify(project), filename, 'application/json');
+    showProjectStatus(`💾 ${filename}: ${project.points.length} points, ${project.analyses.length} links`);
+}
+
+/**
+ * Offer data (text, bytes or Blob) as a file download
+ */
+function downloadFile(data, filename, type) {
+    const blob = data instanceof Blob ? data : new Blob([data], { type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Sites, analyzed links and the coverage raster for export
+ */
+function getExportData() {
+    const links = (appState.currentAnalysis || []).map(analysis => {
+        const { losAnalysis, linkBudget, elevationProfile } = analysis;
+        const start = elevationProfile.profile[0];
+        const end = elevationProfile.profile[elevationProfile.profile.length - 1];
+
+        return {
+            from: analysis.from,
+            to: analysis.to,
+            distance: analysis.distance,
+            viable: analysis.viable,
+            hasLoS: losAnalysis.hasLoS,
+            quality: losAnalysis.quality,
+            status: linkBudget.status,
+            fresnelClearance: losAnalysis.fresnelClearance,
+            fresnelRadius: analysis.fresnelRadius,
+            pathLoss: linkBudget.pathLoss,
+            obstructionLoss: linkBudget.diffractionLoss + linkBudget.clutterLoss + (linkBudget.obstacleLoss || 0),
+            rxPower: linkBudget.rxPower,
+            linkMargin: linkBudget.linkMargin,
+            color: analysis.polyline.options.color,
+            start: { lat: start.lat, lon: start.lon, height: analysis.txHeight },
+            end: { lat: end.lat, lon: end.lon, height: analysis.rxHeight },
+            obstructions: losAnalysis.obstructions
+        };
+    });
+
+    return {
+        name: 'LoRa LoS plan',
+        radio: loraParams,
+        points: appState.points.map(point => ({
+            label: point.label,
+            name: point.name,
+            lat: point.lat,
+            lon: point.lon,
+            elevation: point.elevation,
+            antennaHeight: point.antennaHeight,
+            totalHeight: getAntennaHeight(point)
+        })),
+        links,
+        coverage: appState.coverageEnabled && appState.coverageRaster ?
+            { ...appState.coverageRaster, legend: coverageService.legend } : null
+    };
+}
+
+/**
+ * Export the plan as KMZ, KML or GeoJSON
+ */
+async function exportPlan(format) {
+    if (appState.points.length === 0) {
+        showProjectStatus(null, ['Add points before exporting']);
+        return;
+    }
+
+    const data = getExportData();
+    const date = new Date().toISOString().slice(0, 10);
+    const filename = `lora-los-plan-${date}.${format}`;
+
+    try {
+        if (format === 'kmz') {
+            const png = data.coverage ? new Uint8Array(await (await getCoveragePng(data.coverage.canvas)).arrayBuffer()) : null;
+            downloadFile(await geoExport.toKmz(data, png), filename, 'application/vnd.google-earth.kmz');
+        } else if (format === 'kml') {
+            downloadFile(geoExport.toKml(data), filename, 'application/vnd.google-earth.kml+xml');
+        } else {
+            downloadFile(JSON.stringify(geoExport.toGeoJson(data), null, 2), filename, 'application/geo+json');
+        }
+
+        showProjectStatus(`📤 ${filename}: ${data.points.length} sites, ${data.links.length} links` +
+            (data.coverage ? ', coverage' : ''));
+    } catch (error) {
+        console.error('Error exporting plan:', error);
+        showProjectStatus(null, [error.message]);
+    }
+}
+
+/**
+ * PNG of the coverage raster for the KMZ ground overlay
+ */
+function getCoveragePng(canvas) {
+    return new Promise((resolve, reject) => canvas.toBlob(blob => {
+        if (blob) {
+            resolve(blob);
+        } else {
+            reject(new Error('Could not encode the coverage overlay as PNG'));
+        }
+    }, 'image/png'));
+}
+
+/**
+ * Download a report of the current analysis as PDF or PNG
+ */
+async function exportReport(format) {
+    if (!appState.currentAnalysis || appState.currentAnalysis.length === 0) {
+        showProjectStatus(null, ['Run the analysis before creating a report']);
+        return;
+    }
+
+    showProjectStatus('Creating report...');
+
+    const data = getExportData();
+    const baseLayer = BASE_LAYERS[Object.keys(appState.baseLayers).find(name =>
+        appState.map.hasLayer(appState.baseLayers[name]))] || BASE_LAYERS['Standard'];
+    const date = new Date();
+    const filename = `lora-los-report-${date.toISOString().slice(0, 10)}.${format}`;
+
+    try {
+        const map = await linkReport.renderMap({
+            points: data.points,
+            links: data.links,
+            tileUrl: baseLayer.url,
+            maxZoom: baseLayer.maxZoom,
+            attribution: new DOMParser().parseFromString(baseLayer.attribution, 'text/html').body.textContent,
+            coverage: data.coverage
+        });
+
+        const report = {
+            title: 'LoRa Line of Sight Report',
+            subtitle: `${date.toLocaleString()} · ${data.points.length} sites, ${data.links.length} links`,
+            map,
+            tables: [
+                linkReport.getSiteTable(data),
+                linkReport.getLinkTable(data),
+                linkReport.getObstructionTable(data),
+                getReportRadioTable()
+            ].filter(Boolean),
+            charts: getReportCharts()
+        };
+
+        if (format === 'pdf') {
+            downloadFile(linkReport.toPdf(report), filename, 'application/pdf');
+        } else {
+            downloadFile(await linkReport.toPng(report), filename, 'image/png');
+        }
+
+        showProjectStatus(`📄 ${filename}: ${data.links.length} links, ${report.charts.length} charts`);
+    } catch (error) {
+        console.error('Error creating report:', error);
+        showProjectStatus(null, [error.message]);
+    }
+}
+
+/**
+ * Radio and propagation settings for the report, as shown in the panel
+ */
+function getReportRadioTable() {
+    const { frequency, bandwidth, spreadingFactor, codingRate, txPower, txGain, rxGain, pathLossModel } = loraParams;
+    const optionText = id => {
+        const select = document.getElementById(id);
+        return select.options[select.selectedIndex].text;
+    };
+
+    const channelList = bandPlans.getChannelList(loraParams.bandPlan, frequency);
+    const limit = bandPlans.getLimit(loraParams.bandPlan, frequency);
+
+    const rows = [
+        ['Region', bandPlans.getRegion(loraParams.bandPlan).name],
+        ['Frequency', `${frequency} MHz${channelList ? ` (${channelList.name})` : ''}`],
+        ['Bandwidth', `${bandwidth} kHz`],
+        ['Spreading factor', `SF${spreadingFactor}`],
+        ['Coding rate', `4/${codingRate}`],
+        ['TX power', `${txPower} dBm`],
+        ['TX antenna gain', `${txGain} dBi`],
+        ['EIRP', `${txPower + txGain} dBm${limit ? ` (limit ${limit.eirp.toFixed(2)} dBm EIRP${limit.type === 'ERP' ? `, ${limit.power} dBm ERP` : ''})` : ''}`],
+        ['RX antenna gain', `${rxGain} dBi`],
+        ['Receiver sensitivity', `${loraCalc.getSensitivity(spreadingFactor, bandwidth)} dBm`],
+        ['Data rate', formatDataRate(loraCalc.calculateDataRate(spreadingFactor, bandwidth, codingRate))],
+        ['Path loss model', optionText('pathLossModel')]
+    ];
+
+    if (pathLossModel === 'hata' || pathLossModel === 'cost231') {
+        rows.push(['Environment', optionText('environment')]);
+    }
+    if (pathLossModel === 'log-distance') {
+        rows.push(['Path loss exponent', String(loraParams.pathLossExponent)]);
+    }
+    if (pathLossModel === 'itm') {
+        rows.push(
+            ['ITM radio climate', optionText('itmClimate')],
+            ['ITM ground', optionText('itmGround')],
+            ['ITM polarization', optionText('itmPolarization')],
+            ['ITM time / location / situation', `${itmParams.time}% / ${itmParams.location}% / ${itmParams.situation}%`]
+        );
+    }
+
+    rows.push(
+        ['Earth radius factor', `k = ${formatKFactor(getKFactor())} (${optionText('kFactorMode')})`],
+        ['Diffraction', optionText('diffractionMethod')],
+        ['Clutter loss', optionText('clutterMethod')],
+        ['Terrain sampling', optionText('samplingMode')]
+    );
+
+    return { title: 'Radio configuration', columns: [{ title: 'Setting' }, { title: 'Value' }], rows };
+}
+
+/**
+ * Elevation and building charts drawn by displayElevationCharts(), in display order
+ */
+function getReportCharts() {
+    return appState.elevationCharts
+        .filter(chart => chart.canvas.width > 0 && chart.canvas.height > 0)
+        .map(chart => {
+            const [, kind, index] = /^(elevation|building)Chart(\d+)$/.exec(chart.canvas.id);
+            const { from, to } = appState.currentAnalysis[index];
+            return {
+                title: `${kind === 'elevation' ? 'Elevation profile' : 'Building profile'}: ${from} → ${to}`,
+                canvas: chart.canvas
+            };
+        });
+}
+
+/**
+ * Open a project file picked from disk
+ */
+async function openProject(file) {
+    showProjectStatus(`Loading ${file.name}...`);
+
+    let project;
+    try {
+        project = projectFile.parse(await file.text(), file.name);
+    } catch (error) {
+        console.error('Error opening project:', error);
+        showProjectStatus(null, error.errors || [error.message]);
+        return;
+    }
+
+    let warnings;
+    try {
+        warnings = await applyProject(project);
+    } catch (error) {
+        console.error('Error applying project:', error);
+        showProjectStatus(null, [`${file.name}: ${error.message}`]);
+        return;
+    }
+
+    showProjectStatus(
+        `📂 ${file.name}: ${project.points.length} points, ` +
+        `${appState.currentAnalysis ? appState.currentAnalysis.length : 0} links`,
+        warnings
+    );
+}
+
+/**
+ * Show a message and warnings under Project
+ */
+function showProjectStatus(message, warnings = []) {
+    document.getElementById('projectInfo').innerHTML = [
+        ...(message ? [`<span class="tile-chip">${escapeHtml(message)}</span>`] : []),
+        ...warnings.map(warning => `<span class="tile-chip error">⚠️ ${escapeHtml(warning)}</span>`)
+    ].join('');
+}
+
+/**
+ * Import waypoint files (GPX, CSV, KML, KMZ, GeoJSON) as new points
+ * CSV columns are confirmed in the mapping dialog
+ */
+async function importWaypoints(files) {
+    const waypoints = [];
+    const warnings = [];
+    const imported = [];
+
+    for (const file of files) {
+        try {
+            let result;
+            if (waypointImport.getFormat(file.name) === 'csv') {
+                const table = waypointImport.parseCsv(await file.text(), file.name);
+                const mapping = await showCsvMappingDialog(table, waypointImport.guessCsvMapping(table.headers), file.name);
+                if (!mapping) continue;
+                result = waypointImport.csvToWaypoints(table, mapping, file.name);
+            } else {
+                result = await waypointImport.parseFile(file);
+            }
+
+            waypoints.push(...result.waypoints);
+            warnings.push(...result.skipped);
+            imported.push(`${file.name}: ${result.waypoints.length}`);
+        } catch (error) {
+            console.error('Error importing waypoints:', error);
+            warnings.push(error.message);
+        }
+    }
+
+    if (waypoints.length === 0) {
+        showProjectStatus(null, warnings.length > 0 ? warnings : ['No waypoints imported']);
+        return;
+    }
+
+    if (appState.drawingObstacle) cancelObstacleDrawing();
+    showProjectStatus(`Importing ${waypoints.length} waypoints...`);
+
+    // Waypoints without a height get the default antenna height
+    await addPoints(waypoints.map(({ antennaHeight, ...waypoint }) =>
+        (antennaHeight !== null && antennaHeight !== undefined ? { ...waypoint, antennaHeight } : waypoint)));
+
+    appState.map.fitBounds(waypoints.map(waypoint => [waypoint.lat, waypoint.lon]), { padding: [40, 40], maxZoom: 14 });
+
+    // Keep the first few skipped rows readable
+    const shown = warnings.slice(0, 5);
+    if (warnings.length > shown.length) shown.push(`${warnings.length - shown.length} more skipped`);
+    showProjectStatus(`📥 ${waypoints.length} waypoints (${imported.join(', ')})`, shown);
+}
+
+/**
+ * Ask which CSV columns hold latitude, longitude, name and antenna height
+ * Resolves to the mapping, or null when cancelled
+ */
+function showCsvMappingDialog(table, mapping, name) {
+    const dialog = document.getElementById('csvMappingDialog');
+    const selects = [...dialog.querySelectorAll('select[data-column]')];
+    const importBtn = document.getElementById('csvMappingImportBtn');
+
+    const readMapping = () => Object.fromEntries(selects.map(select =>
+        [select.dataset.column, parseInt(select.value)]));
+
+    const update = () => {
+        const current = readMapping();
+        const columns = new Map(Object.entries(current).map(([column, index]) => [index, column]));
+        const previewRows = table.rows.slice(0, 5);
+
+        document.getElementById('csvMappingPreview').innerHTML = `
+            <tr>${table.headers.map((header, i) =>
+                `<th class="${columns.has(i) ? 'mapped' : ''}">${escapeHtml(header)}${columns.has(i) ? `<br><small>${columns.get(i)}</small>` : ''}</th>`).join('')}</tr>
+            ${previewRows.map(row => `<tr>${table.headers.map((header, i) =>
+                `<td class="${columns.has(i) ? 'mapped' : ''}">${escapeHtml(row[i] || '')}</td>`).join('')}</tr>`).join('')}
+        `;
+
+        const valid = current.lat >= 0 && current.lon >= 0 ?
+            waypointImport.csvToWaypoints(table, current, name).waypoints.length : 0;
+        importBtn.disabled = valid === 0;
+        document.getElementById('csvMappingStatus').textContent = current.lat < 0 || current.lon < 0 ?
+            'Choose the latitude and longitude columns' :
+            `${valid} of ${table.rows.length} rows have valid coordinates`;
+    };
+
+    document.getElementById('csvMappingFile').textContent = name;
+    selects.forEach(select => {
+        const required = select.dataset.column === 'lat' || select.dataset.column === 'lon';
+        select.innerHTML = `<option value="-1">${required ? '— choose —' : '— none —'}</option>` +
+            table.headers.map((header, i) => `<option value="${i}">${escapeHtml(header || `Column ${i + 1}`)}</option>`).join('');
+        select.value = mapping[select.dataset.column];
+        select.onchange = update;
+    });
+    update();
+
+    return new Promise(resolve => {
+        dialog.addEventListener('close', () => {
+            resolve(dialog.returnValue === 'import' ? readMapping() : null);
+        }, { once: true });
+        dialog.returnValue = '';
+        dialog.showModal();
+    });
+}
+
+/**
+ * Decode and validate a shared link, null if there is none or it is unusable
+ */
+async function readPermalink(hash) {
+    if (!hash || hash === '#') return null;
+
+    try {
+        const shared = await permalink.decode(hash);
+        const errors = projectFile.validate(shared);
+        if (errors.length > 0) {
+            throw projectFile.error('Shared link', errors);
+        }
+        return shared;
+    } catch (error) {
+        console.error('Error reading shared link:', error);
+        showProjectStatus(null, error.errors || [error.message]);
+        return null;
+    }
+}
+
+/**
+ * Apply a scenario from a shared link and re-run its analysis
+ */
+async function applySharedScenario(shared) {
+    let warnings;
+    try {
+        warnings = await applyProject(shared);
+    } catch (error) {
+        console.error('Error applying shared link:', error);
+        showProjectStatus(null, [`Shared link: ${error.message}`]);
+        return;
+    }
+    showProjectStatus(`🔗 Shared link: ${shared.points.length} points`, warnings);
+
+    if (shared.analyze && appState.linkPairs.length > 0) {
+        analyzeLineOfSight();
+    }
+}
+
+/**
+ * Write the scenario to the URL hash shortly after the last edit
+ */
+function schedulePermalinkUpdate() {
+    clearTimeout(appState.permalinkTimer);
+    appState.permalinkTimer = setTimeout(updatePermalink, 500);
+}
+
+/**
+ * Write the scenario to the URL hash (without adding history entries)
+ */
+async function updatePermalink() {
+    if (appState.restoring || !appState.map) return;
+
+    const hash = await permalink.encode(getProjectState());
+    appState.permalinkHash = hash;
+    history.replaceState(null, '', hash ? `#${hash}` : location.pathname + location.search);
+}
+
+/**
+ * Copy a link to the current scenario
+ */
+async function copyPermalink() {
+    await updatePermalink();
+
+    if (!appState.permalinkHash) {
+        showProjectStatus(null, ['Add points before sharing a link']);
+        return;
+    }
+
+    try {
+        await navigator.clipboard.writeText(location.href);
+        showProjectStatus(`🔗 Link copied (${location.href.length} characters)`);
+    } catch (error) {
+        showProjectStatus(null, ['Could not copy, copy the address bar instead']);
+    }
+}
+
+/**
+ * Replace the session with a loaded project
+ * Returns warnings for settings that could not be applied
+ */
+async function applyProject(project) {
+    const warnings = [];
+    const settings = project.settings || {};
+    const layers = project.layers || {};
+
+    if (appState.drawingObstacle) cancelObstacleDrawing();
+    appState.restoring = true;
+
+    // Whatever fails, the session must not stay in restoring mode (it stops the shared link updates)
+    try {
+        clearAllPoints();
+
+        // The band plan decides which frequencies and bandwidths are offered, so it goes first;
+        // settings saved before band plans existed get the region of their frequency
+        const lora = settings.lora || {};
+        if (lora.bandPlan !== undefined || lora.frequency !== undefined) {
+            const bandPlan = lora.bandPlan !== undefined ? lora.bandPlan : bandPlans.findRegion(lora.frequency);
+            const warning = setInputValue('bandPlan', bandPlan);
+            if (warning) warnings.push(`settings.lora.bandPlan: ${warning}`);
+        }
+
+        // Settings go through their inputs so the panel and dependent controls stay in sync
+        Object.entries(PROJECT_INPUTS).forEach(([group, inputs]) => {
+            const values = settings[group] || {};
+            Object.entries(inputs).forEach(([key, id]) => {
+                if (values[key] === undefined) return;
+                const warning = setInputValue(id, values[key]);
+                if (warning) warnings.push(`settings.${group}.${key}: ${warning}`);
+            });
+        });
+
+        // Frequencies off the channel list (e.g. the former 433 / 868 MHz) move to the nearest channel
+        if (lora.frequency !== undefined) {
+            const frequency = bandPlans.getNearestFrequency(loraParams.bandPlan, Number(lora.frequency));
+            if (frequency !== Number(lora.frequency)) {
+                warnings.push(`settings.lora.frequency: ${lora.frequency} MHz is not a ${loraParams.bandPlan} channel, using ${frequency} MHz`);
+            }
+            setInputValue('frequency', frequency);
+        }
+
+        if (settings.samplingMode !== undefined) {
+            const warning = setInputValue('samplingMode', settings.samplingMode);
+            if (warning) warnings.push(`settings.samplingMode: ${warning}`);
+        }
+
+        // Obstacles and points
+        customObstacles.load(project.obstacles || []);
+        displayObstacles();
+
+        await addPoints(project.points);
+
+        // Layers (mesh mode decides which links are drawn)
+        if (layers.mesh !== undefined && layers.mesh !== appState.meshMode) toggleMeshMode();
+        if (layers.nonViableLinks !== undefined && layers.nonViableLinks !== appState.showNonViableLinks) toggleNonViableLinks();
+        if (layers.buildings !== undefined && layers.buildings !== appState.buildingsEnabled) toggleBuildingsLayer();
+        if (layers.coverage !== undefined && layers.coverage !== appState.coverageEnabled) toggleCoverageLayer();
+
+        // Last analysis results
+        const analyses = project.analyses || [];
+        if (analyses.length > 0 && !restoreAnalyses(analyses)) {
+            warnings.push('Saved analysis does not match the links, run the analysis again');
+        }
+
+        // Map view
+        const view = project.view;
+        if (view && appState.baseLayers[view.baseLayer]) {
+            Object.values(appState.baseLayers).forEach(layer => appState.map.removeLayer(layer));
+            appState.baseLayers[view.baseLayer].addTo(appState.map);
+        }
+        if (view && typeof view.lat === 'number' && typeof view.lon === 'number') {
+            appState.map.setView([view.lat, view.lon], view.zoom || 10);
+        } else if (appState.points.length > 0) {
+            appState.map.fitBounds(appState.points.map(point => [point.lat, point.lon]), { padding: [40, 40], maxZoom: 14 });
+        }
+    } finally {
+        appState.restoring = false;
+        schedulePermalinkUpdate();
+    }
+
+    return warnings;
+}
+
+/**
+ * Set a settings input and fire its handlers
+ * Returns a warning when the value is not accepted, null otherwise
+ */
+function setInputValue(id, value) {
+    const input = document.getElementById(id);
+    let warning = null;
+
+    if (input.type === 'checkbox') {
+        input.checked = Boolean(value);
+    } else {
+        const previous = input.value;
+        input.value = value;
+
+        // Selects reject unknown options, ranges clamp to their limits
+        if (input.tagName === 'SELECT' && input.value !== String(value)) {
+            input.value = previous;
+            return `"${value}" is not an option, kept "${previous}"`;
+        }
+        if (input.value !== String(value)) {
+            warning = `${value} is out of range, using ${input.value}`;
+        }
+    }
+
+    input.dispatchEvent(new Event('input'));
+    input.dispatchEvent(new Event('change'));
+    return warning;
+}
+
+/**
+ * Show saved analysis results without re-running the analysis
+ * Returns false when they do not match the current links
+ */
+function restoreAnalyses(saved) {
+    const pairs = appState.linkPairs;
+    const matches = saved.length === pairs.length && saved.every((analysis, k) =>
+        analysis.fromIndex === pairs[k][0] && analysis.toIndex === pairs[k][1]
+    );
+    if (!matches) return false;
+
+    const analyses = saved.map((analysis, k) => {
+        const restored = projectFile.restoreAnalysis(analysis);
+        const obstructionModeled = restored.diffraction !== null || restored.itm !== null;
+
+        restored.polyline = appState.polylines[k];
+        restored.polyline.setStyle({
+            color: getLinkColor(restored.losAnalysis.hasLoS || obstructionModeled, restored.linkBudget.status),
+            weight: 3,
+            opacity: 1
+        });
+        return restored;
+    });
+
+    appState.currentAnalysis = analyses;
+    applyLinkVisibility();
+    displayAnalysisResults(analyses);
+    displayMeshMatrix(analyses);
+    displayElevationCharts(analyses);
+
+    if (appState.buildingsEnabled) {
+        displayBuildingsOnMap();
+    }
+    return true;
+}
+
+/**
+ * Show loaded elevation tiles in the settings panel
+ */
+function updateElevationSourceInfo(errors = []) {
+    const tiles = hgtProvider.getTileList();
+
+    document.getElementById('elevationSourceValue').textContent =
+        tiles.length > 0 ? `${tiles.length} tile${tiles.length === 1 ? '' : 's'}` : 'Online';
+
+    document.getElementById('hgtTileList').innerHTML = [
+        ...tiles.map(tile => `<span class="tile-chip">${escapeHtml(tile.name)} (${tile.resolution}")</span>`),
+        ...errors.map(error => `<span class="tile-chip error">⚠️ ${escapeHtml(error)}</span>`)
+    ].join('');
+
+    document.getElementById('clearHgtBtn').style.display = tiles.length > 0 ? '' : 'none';
+}
+
+/**
+ * Show persistent cache statistics in the settings panel
+ */
+async function updateCacheStats() {
+    const stats = await persistentCache.getStats();
+    const container = document.getElementById('cacheStats');
+
+    if (!stats.available) {
+        container.textContent = 'Persistent cache unavailable in this browser';
+        return;
+    }
+
+    const { elevation, buildings } = stats.stores;
+
+    container.innerHTML = `
+        <span>⛰️ ${elevation.entries.toLocaleString()} elevation cells</span>
+        <span>🏢 ${buildings.entries.toLocaleString()} building tiles</span>
+        ${stats.usage !== null ? `<span>💾 ~${(stats.usage / (1024 * 1024)).toFixed(1)} MB</span>` : ''}
+    `;
+}
+
+/**
+ * Download elevations and buildings for the visible map area into the cache
+ */
+async function prefetchVisibleArea() {
+    if (appState.prefetching) return;
+
+    const btn = document.getElementById('prefetchAreaBtn');
+    const status = document.getElementById('prefetchStatus');
+    const bounds = appState.map.getBounds();
+
+    appState.prefetching = true;
+    btn.disabled = true;
+    status.textContent = 'Prefetching...';
+
+    try {
+        const result = await elevationService.prefetchArea(
+            bounds.getSouth(), bounds.getWest(), bounds.getNorth(), bounds.getEast(),
+            {
+                includeBuildings: true,
+                onProgress: (fraction) => {
+                    status.textContent = `Prefetching elevations... ${Math.round(fraction * 100)}%`;
+                }
+            }
+        );
+        status.textContent = `Cached ${result.points.toLocaleString()} elevation cells ` +
+            `(${result.fetched.toLocaleString()} new) and ${result.tiles - result.failedTiles} building tiles` +
+            (result.failedTiles > 0 ? ` (⚠️ ${result.failedTiles} failed)` : '');
+    } catch (error) {
+        console.error('Prefetch error:', error);
+        status.textContent = `⚠️ ${error.message}`;
+    } finally {
+        appState.prefetching = false;
+        btn.disabled = false;
+        updateCacheStats();
+    }
+}
+
+/**
+ * Empty the persistent and in-memory caches
+ */
+async function clearPersistentCache() {
+    await persistentCache.clear();
+    elevationService.clearCache();
+    elevationService.buildingCache.clear();
+    elevationService.landCoverCache.clear();
+    coverageService.clearCache();
+
+    document.getElementById('prefetchStatus').textContent = '';
+    updateCacheStats();
 }
 
 /**
- * Initialize input handlers for LoRa parameters
+ * Re-read point elevations and refresh results after the elevation sources change
  */
-function initInputHandlers() {
-    // Frequency radio buttons
-    document.querySelectorAll('input[name="frequency"]').forEach(radio => {
-        radio.addEventListener('change', (e) => {
-            loraParams.frequency = parseInt(e.target.value);
-            document.getElementById('frequencyValue').textContent = e.target.value;
-            updateCalculations();
-        });
-    });
+async function refreshElevations() {
+    elevationService.clearCache();
+    coverageService.clearCache();
 
-    // Bandwidth select
-    document.getElementById('bandwidth').addEventListener('change', (e) => {
-        loraParams.bandwidth = parseInt(e.target.value);
-        document.getElementById('bandwidthValue').textContent = e.target.value;
-        updateCalculations();
-    });
+    for (const point of appState.points) {
+        point.elevation = await elevationService.getElevation(point.lat, point.lon);
+    }
+    updatePointsTable();
 
-    // Spreading Factor range
-    document.getElementById('spreadingFactor').addEventListener('input', (e) => {
-        loraParams.spreadingFactor = parseInt(e.target.value);
-        document.getElementById('sfValue').textContent = e.target.value;
-        updateCalculations();
-    });
+    if (appState.currentAnalysis) {
+        analyzeLineOfSight();
+    }
 
-    // Coding Rate select
-    document.getElementById('codingRate').addEventListener('change', (e) => {
-        loraParams.codingRate = parseInt(e.target.value);
-        document.getElementById('crValue').textContent = `4/${e.target.value}`;
-        updateCalculations();
-    });
+    if (appState.coverageEnabled) {
+        updateCoverageLayer();
+    }
+}
 
-    // TX Power range
-    document.getElementById('txPower').addEventListener('input', (e) => {
-        loraParams.txPower = parseFloat(e.target.value);
-        document.getElementById('txPowerValue').textContent = e.target.value;
-        updateCalculations();
-    });
+/**
+ * Get the k-factor selected in the propagation settings
+ */
+function getKFactor() {
+    switch (propagationParams.kFactorMode) {
+        case 'worst':
+            return 2 / 3;
+        case 'custom':
+            return propagationParams.customKFactor;
+        case 'refractivity':
+            return elevationService.kFactorFromRefractivity(propagationParams.refractivity);
+        default:
+            return 4 / 3;
+    }
+}
 
-    // TX Gain range
-    document.getElementById('txGain').addEventListener('input', (e) => {
-        loraParams.txGain = parseFloat(e.target.value);
-        document.getElementById('txGainValue').textContent = e.target.value;
-        updateCalculations();
-    });
+/**
+ * Surface refractivity for ITM: the value entered when the k-factor is derived
+ * from refractivity, otherwise the default of the selected radio climate
+ */
+function getITMRefractivity() {
+    return propagationParams.kFactorMode === 'refractivity' ?
+        propagationParams.refractivity :
+        itmModel.climates[itmParams.climate].refractivity;
+}
 
-    // RX Gain range
-    document.getElementById('rxGain').addEventListener('input', (e) => {
-        loraParams.rxGain = parseFloat(e.target.value);
-        document.getElementById('rxGainValue').textContent = e.target.value;
-        updateCalculations();
-    });
+/**
+ * Apply propagation settings and re-analyze
+ */
+function updatePropagation() {
+    const kFactor = getKFactor();
+    elevationService.kFactor = kFactor;
+    document.getElementById('kFactorValue').textContent = formatKFactor(kFactor);
+    schedulePermalinkUpdate();
+
+    if (appState.currentAnalysis) {
+        analyzeLineOfSight();
+    }
+}
+
+/**
+ * Format k-factor for display
+ */
+function formatKFactor(kFactor) {
+    if (!isFinite(kFactor)) return '∞';
+    if (Math.abs(kFactor - 4 / 3) < 1e-6) return '4/3';
+    if (Math.abs(kFactor - 2 / 3) < 1e-6) return '2/3';
+    return kFactor.toFixed(2);
 }
 
 /**
  * Handle map clicks
  */
 function onMapClick(e) {
+    if (appState.drawingObstacle) {
+        addObstacleVertex(e.latlng.lat, e.latlng.lng);
+        return;
+    }
+
     if (appState.addingPoint) {
         addPoint(e.latlng.lat, e.latlng.lng);
         appState.addingPoint = false;
@@ -191,15 +1720,54 @@ function onMapClick(e) {
     }
 }
 
+/**
+ * Point label for an index: A..Z, then AA, AB, ... like spreadsheet columns
+ */
+function getPointLabel(index) {
+    let label = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        label = String.fromCharCode(65 + (n - 1) % 26) + label;
+    }
+    return label;
+}
+
+/**
+ * Add several points in order, fetching the missing elevations in one batch
+ * entries: { lat, lon, ...addPoint() options }
+ */
+async function addPoints(entries) {
+    const missing = entries.filter(entry => entry.elevation === undefined);
+    const elevations = missing.length > 0 ?
+        await elevationService.getElevations(missing.map(({ lat, lon }) => ({ lat, lon }))) :
+        [];
+    const fetched = new Map(missing.map((entry, i) => [entry, elevations[i]]));
+
+    for (const entry of entries) {
+        const options = fetched.has(entry) ? { ...entry, elevation: fetched.get(entry) } : entry;
+        await addPoint(entry.lat, entry.lon, options);
+    }
+}
+
 /**
  * Add a point to the map
+ * options: { name, elevation, antennaHeight, mountOnBuilding, buildingHeight, meshSelected }
+ * for points restored from a file (the elevation is fetched when not given),
+ * index to insert the point before an existing one instead of appending it
  */
-async function addPoint(lat, lon) {
-    const pointIndex = appState.points.length;
-    const label = String.fromCharCode(65 + pointIndex); // A, B, C, ...
+async function addPoint(lat, lon, options = {}) {
+    const pointIndex = options.index !== undefined ? options.index : appState.points.length;
+    const label = getPointLabel(pointIndex); // A, B, C, ...
+    const name = options.name || null;
 
     // Fetch elevation
-    const elevation = await elevationService.getElevation(lat, lon);
+    const elevation = options.elevation !== undefined ?
+        options.elevation :
+        await elevationService.getElevation(lat, lon);
+
+    // Shared links don't carry the roof height
+    const buildingHeight = options.mountOnBuilding && options.buildingHeight === undefined ?
+        await elevationService.getBuildingHeightAt(lat, lon) :
+        options.buildingHeight;
 
     // Create marker
     const marker = L.marker([lat, lon], {
@@ -213,13 +1781,14 @@ async function addPoint(lat, lon) {
     }).addTo(appState.map);
 
     // Add popup with delete button
-    marker.bindPopup(`
+    // (built on opening, as inserting or removing points changes the label and index)
+    marker.bindPopup(() => `
         <div style="color: #e4e6eb;">
-            <strong>Point ${label}</strong><br>
-            Lat: ${lat.toFixed(6)}<br>
-            Lon: ${lon.toFixed(6)}<br>
-            Elevation: ${elevation.toFixed(1)} m<br>
-            <button onclick="removePoint(${pointIndex})" style="
+            <strong>Point ${point.label}</strong>${name ? ` ${escapeHtml(name)}` : ''}<br>
+            Lat: ${point.lat.toFixed(6)}<br>
+            Lon: ${point.lon.toFixed(6)}<br>
+            Elevation: ${formatElevation(point.elevation)}<br>
+            <button onclick="removePoint(${appState.points.indexOf(point)})" style="
                 margin-top: 8px;
                 padding: 6px 12px;
                 background: #ff4466;
@@ -236,14 +1805,14 @@ async function addPoint(lat, lon) {
     // Handle marker drag
     marker.on('dragend', () => {
         const pos = marker.getLatLng();
-        updatePointPosition(pointIndex, pos.lat, pos.lng);
+        updatePointPosition(appState.points.indexOf(point), pos.lat, pos.lng);
     });
 
     // Handle double-click to delete
     marker.on('dblclick', (e) => {
         L.DomEvent.stopPropagation(e); // Prevent map zoom
-        if (confirm(`Delete point ${label}?`)) {
-            removePoint(pointIndex);
+        if (confirm(`Delete point ${point.label}?`)) {
+            removePoint(appState.points.indexOf(point));
         }
     });
 
@@ -253,21 +1822,31 @@ async function addPoint(lat, lon) {
         lon,
         elevation,
         label,
-        marker
+        name, // Optional site name
+        marker,
+        antennaHeight: options.antennaHeight !== undefined ? options.antennaHeight : DEFAULT_ANTENNA_HEIGHT, // m AGL
+        meshSelected: options.meshSelected !== undefined ? options.meshSelected : true, // Included in full-mesh analysis
+        mountOnBuilding: options.mountOnBuilding || false,
+        buildingHeight: buildingHeight !== undefined ? buildingHeight : null // OSM building height under the marker
     };
 
-    appState.points.push(point);
-    appState.markers.push(marker);
+    appState.points.splice(pointIndex, 0, point);
+    appState.markers.splice(pointIndex, 0, marker);
+
+    // Later points move up one letter
+    if (pointIndex < appState.points.length - 1) {
+        relabelPoints();
+    }
 
-    // Update UI
-    updatePointsTable();
-    updateAnalyzeButton();
-    
     // Draw lines if we have 2+ points
     if (appState.points.length >= 2) {
         drawLines();
     }
 
+    // Update UI
+    updatePointsTable();
+    updateAnalyzeButton();
+
     // Update coverage layer if enabled
     if (appState.coverageEnabled) {
         updateCoverageLayer();
@@ -284,8 +1863,86 @@ async function updatePointPosition(index, lat, lon) {
     appState.points[index].lon = lon;
     appState.points[index].elevation = elevation;
 
+    // Building under the marker may have changed
+    if (appState.points[index].mountOnBuilding) {
+        appState.points[index].buildingHeight = await elevationService.getBuildingHeightAt(lat, lon);
+    }
+
     updatePointsTable();
     drawLines();
+
+    if (appState.coverageEnabled) {
+        updateCoverageLayer();
+    }
+}
+
+/**
+ * Get the effective antenna height above terrain for a point
+ * Adds the building height when the antenna is mounted on a rooftop
+ */
+function getAntennaHeight(point) {
+    const roofHeight = point.mountOnBuilding ? (point.buildingHeight || 0) : 0;
+    return point.antennaHeight + roofHeight;
+}
+
+/**
+ * Set antenna height (AGL) for a point
+ */
+function setPointAntennaHeight(index, value) {
+    const height = parseFloat(value);
+    if (isNaN(height) || height < 0) {
+        updatePointsTable();
+        return;
+    }
+
+    appState.points[index].antennaHeight = height;
+    updatePointsTable();
+
+    if (appState.currentAnalysis) {
+        analyzeLineOfSight();
+    }
+}
+
+/**
+ * Toggle rooftop mounting for a point
+ */
+async function setPointMountOnBuilding(index, enabled) {
+    const point = appState.points[index];
+    point.mountOnBuilding = enabled;
+
+    if (enabled) {
+        point.buildingHeight = await elevationService.getBuildingHeightAt(point.lat, point.lon);
+    }
+
+    updatePointsTable();
+
+    if (appState.currentAnalysis) {
+        analyzeLineOfSight();
+    }
+}
+
+/**
+ * Get the point index pairs to analyze
+ * Consecutive points in chain mode, every selected pair in mesh mode
+ */
+function getLinkPairs() {
+    const pairs = [];
+
+    if (appState.meshMode) {
+        for (let i = 0; i < appState.points.length; i++) {
+            for (let j = i + 1; j < appState.points.length; j++) {
+                if (appState.points[i].meshSelected && appState.points[j].meshSelected) {
+                    pairs.push([i, j]);
+                }
+            }
+        }
+    } else {
+        for (let i = 0; i < appState.points.length - 1; i++) {
+            pairs.push([i, i + 1]);
+        }
+    }
+
+    return pairs;
 }
 
 /**
@@ -295,11 +1952,12 @@ function drawLines() {
     // Clear existing lines
     appState.polylines.forEach(line => appState.map.removeLayer(line));
     appState.polylines = [];
+    appState.linkPairs = getLinkPairs();
 
-    // Draw lines between consecutive points
-    for (let i = 0; i < appState.points.length - 1; i++) {
+    // Draw a line for every link to analyze
+    for (const [i, j] of appState.linkPairs) {
         const p1 = appState.points[i];
-        const p2 = appState.points[i + 1];
+        const p2 = appState.points[j];
 
         const polyline = L.polyline(
             [[p1.lat, p1.lon], [p2.lat, p2.lon]],
@@ -326,10 +1984,14 @@ function clearAllPoints() {
     // Remove lines
     appState.polylines.forEach(line => appState.map.removeLayer(line));
     appState.polylines = [];
+    appState.linkPairs = [];
 
-    // Remove coverage circles
-    appState.coverageCircles.forEach(circle => appState.map.removeLayer(circle));
-    appState.coverageCircles = [];
+    // Remove coverage overlay
+    appState.coverageGeneration++;
+    removeCoverageOverlay();
+
+    // Remove relay suggestions
+    clearRelayCandidates();
 
     // Remove building polygons
     if (appState.buildingPolygons) {
@@ -348,66 +2010,254 @@ function clearAllPoints() {
 }
 
 /**
- * Update points table
+ * Update points table
+ */
+function updatePointsTable() {
+    const tbody = document.getElementById('pointsTableBody');
+    schedulePermalinkUpdate();
+    
+    if (appState.points.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" class="placeholder">No points added yet</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = appState.points.map((point, index) => `
+        <tr>
+            <td><strong>${point.label}</strong>${point.name ? ` ${escapeHtml(point.name)}` : ''}</td>
+            <td>${point.lat.toFixed(6)}</td>
+            <td>${point.lon.toFixed(6)}</td>
+            <td>${point.elevation !== null ? `${point.elevation.toFixed(1)} m` :
+                '<span class="data-missing" title="Elevation lookup failed">⚠️ n/a</span>'}</td>
+            <td>
+                <div class="antenna-height-cell">
+                    <input type="number" class="table-input" min="0" max="300" step="0.5"
+                           value="${point.antennaHeight}"
+                           onchange="setPointAntennaHeight(${index}, this.value)" /> m
+                    <label class="table-checkbox" title="Mounted on building (adds OSM building height)">
+                        <input type="checkbox" ${point.mountOnBuilding ? 'checked' : ''}
+                               onchange="setPointMountOnBuilding(${index}, this.checked)" /> 🏢
+                    </label>
+                    ${point.mountOnBuilding ? `<span class="roof-height">${
+                        point.buildingHeight !== null
+                            ? `+${point.buildingHeight.toFixed(1)} m roof`
+                            : 'no building found'
+                    }</span>` : ''}
+                </div>
+            </td>
+            <td>
+                <input type="checkbox" ${point.meshSelected ? 'checked' : ''}
+                       ${appState.meshMode ? '' : 'disabled'}
+                       title="Include in full-mesh analysis"
+                       onchange="setPointMeshSelected(${index}, this.checked)" />
+            </td>
+            <td>
+                <button class="btn btn-sm btn-secondary" onclick="removePoint(${index})">
+                    Remove
+                </button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Remove a specific point
+ */
+function removePoint(index) {
+    // Remove marker
+    appState.map.removeLayer(appState.markers[index]);
+    
+    // Remove from arrays
+    appState.points.splice(index, 1);
+    appState.markers.splice(index, 1);
+
+    relabelPoints();
+
+    // Update UI
+    updatePointsTable();
+    updateAnalyzeButton();
+    drawLines();
+
+    if (appState.coverageEnabled) {
+        updateCoverageLayer();
+    }
+}
+
+/**
+ * Re-label points and their markers after the order changed
+ */
+function relabelPoints() {
+    appState.points.forEach((point, i) => {
+        point.label = getPointLabel(i);
+        const marker = appState.markers[i];
+        marker.setIcon(L.divIcon({
+            className: 'custom-marker',
+            html: `<div class="marker-label">${point.label}</div>`,
+            iconSize: [30, 30],
+            iconAnchor: [15, 15]
+        }));
+    });
+}
+
+/**
+ * Update analyze button state
+ */
+function updateAnalyzeButton() {
+    const btn = document.getElementById('analyzeBtn');
+    btn.disabled = getLinkPairs().length === 0;
+}
+
+/**
+ * Toggle full-mesh analysis of all point pairs
+ */
+function toggleMeshMode() {
+    const btn = document.getElementById('toggleMeshBtn');
+
+    appState.meshMode = !appState.meshMode;
+    btn.classList.toggle('active', appState.meshMode);
+
+    drawLines();
+    updatePointsTable();
+    updateAnalyzeButton();
+
+    if (appState.currentAnalysis) {
+        analyzeLineOfSight();
+    } else {
+        clearAnalysisResults();
+    }
+}
+
+/**
+ * Include or exclude a point from the full-mesh analysis
+ */
+function setPointMeshSelected(index, selected) {
+    appState.points[index].meshSelected = selected;
+
+    drawLines();
+    updateAnalyzeButton();
+
+    if (appState.currentAnalysis) {
+        analyzeLineOfSight();
+    }
+}
+
+/**
+ * Toggle visibility of non-viable links on the map
+ */
+function toggleNonViableLinks() {
+    const btn = document.getElementById('toggleNonViableBtn');
+
+    appState.showNonViableLinks = !appState.showNonViableLinks;
+    btn.classList.toggle('active', appState.showNonViableLinks);
+    schedulePermalinkUpdate();
+
+    applyLinkVisibility();
+}
+
+/**
+ * Show or hide analyzed link polylines according to viability
+ */
+function applyLinkVisibility() {
+    if (!appState.currentAnalysis) return;
+
+    appState.currentAnalysis.forEach(analysis => {
+        // Skip lines replaced by a redraw since the analysis ran
+        const polyline = analysis.polyline;
+        if (!polyline || !appState.polylines.includes(polyline)) return;
+
+        const visible = analysis.viable || appState.showNonViableLinks;
+        if (visible && !appState.map.hasLayer(polyline)) {
+            polyline.addTo(appState.map);
+        } else if (!visible && appState.map.hasLayer(polyline)) {
+            appState.map.removeLayer(polyline);
+        }
+    });
+}
+
+/**
+ * Determine if an analyzed link is viable
+ * With diffraction or ITM the obstruction loss is already in the margin
+ */
+function isLinkViable(losAnalysis, linkBudget, obstructionModeled) {
+    return (losAnalysis.hasLoS || obstructionModeled) && linkBudget.linkMargin > 0;
+}
+
+/**
+ * Get path loss model id and options for a link between two antenna heights
  */
-function updatePointsTable() {
-    const tbody = document.getElementById('pointsTableBody');
-    
-    if (appState.points.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="5" class="placeholder">No points added yet</td></tr>';
-        return;
-    }
+function getPathLossParams(txHeight, rxHeight) {
+    return {
+        pathLossModel: loraParams.pathLossModel,
+        pathLossOptions: {
+            txHeight,
+            rxHeight,
+            environment: loraParams.environment,
+            exponent: loraParams.pathLossExponent
+        }
+    };
+}
 
-    tbody.innerHTML = appState.points.map((point, index) => `
-        <tr>
-            <td><strong>${point.label}</strong></td>
-            <td>${point.lat.toFixed(6)}</td>
-            <td>${point.lon.toFixed(6)}</td>
-            <td>${point.elevation.toFixed(1)} m</td>
-            <td>
-                <button class="btn btn-sm btn-secondary" onclick="removePoint(${index})">
-                    Remove
-                </button>
-            </td>
-        </tr>
+/**
+ * Fill the frequency and bandwidth selects for the selected region,
+ * keeping the current frequency and bandwidth where the region has them
+ */
+function updateBandPlanOptions() {
+    const region = bandPlans.getRegion(loraParams.bandPlan);
+
+    const frequencySelect = document.getElementById('frequency');
+    frequencySelect.innerHTML = region.channels.map(list => `
+        <optgroup label="${list.name} (max ${list.limit.power} dBm ${list.limit.type})">
+            ${list.frequencies.map(frequency => `<option value="${frequency}">${frequency} MHz</option>`).join('')}
+        </optgroup>
     `).join('');
+    if (!bandPlans.getChannelList(loraParams.bandPlan, loraParams.frequency)) {
+        loraParams.frequency = region.channels[0].frequencies[0];
+    }
+    frequencySelect.value = String(loraParams.frequency);
+    document.getElementById('frequencyValue').textContent = loraParams.frequency;
+
+    const bandwidths = bandPlans.getBandwidths(loraParams.bandPlan);
+    const bandwidthSelect = document.getElementById('bandwidth');
+    bandwidthSelect.innerHTML = bandwidths.map(bandwidth =>
+        `<option value="${bandwidth}">${bandwidth} kHz</option>`).join('');
+    if (!bandwidths.includes(loraParams.bandwidth)) {
+        loraParams.bandwidth = bandwidths[0];
+    }
+    bandwidthSelect.value = String(loraParams.bandwidth);
+    document.getElementById('bandwidthValue').textContent = loraParams.bandwidth;
 }
 
 /**
- * Remove a specific point
+ * Compare the EIRP (TX power + TX antenna gain) with the limit of the selected channel
  */
-function removePoint(index) {
-    // Remove marker
-    appState.map.removeLayer(appState.markers[index]);
-    
-    // Remove from arrays
-    appState.points.splice(index, 1);
-    appState.markers.splice(index, 1);
-
-    // Re-label remaining points
-    appState.points.forEach((point, i) => {
-        point.label = String.fromCharCode(65 + i);
-        const marker = appState.markers[i];
-        marker.setIcon(L.divIcon({
-            className: 'custom-marker',
-            html: `<div class="marker-label">${point.label}</div>`,
-            iconSize: [30, 30],
-            iconAnchor: [15, 15]
-        }));
-    });
-
-    // Update UI
-    updatePointsTable();
-    updateAnalyzeButton();
-    drawLines();
+function updateTransmitLimit() {
+    const { bandPlan, frequency, txPower, txGain } = loraParams;
+    const limit = bandPlans.getLimit(bandPlan, frequency);
+    const eirp = txPower + txGain;
+    const exceeded = limit !== null && eirp > limit.eirp;
+
+    document.getElementById('bandLimit').textContent = !limit ? '' :
+        `Max ${limit.power} dBm ${limit.type}${limit.type === 'ERP' ? ` (${limit.eirp.toFixed(2)} dBm EIRP)` : ''}`;
+
+    const eirpValue = document.getElementById('eirp');
+    eirpValue.textContent = `${eirp.toFixed(1)} dBm`;
+    eirpValue.classList.toggle('over-limit', exceeded);
+
+    const warning = document.getElementById('eirpWarning');
+    warning.style.display = exceeded ? '' : 'none';
+    warning.textContent = exceeded ?
+        `⚠️ TX power + TX gain = ${eirp.toFixed(1)} dBm EIRP exceeds the ${bandPlan} limit of ` +
+        `${limit.eirp.toFixed(2)} dBm EIRP on ${frequency} MHz by ${(eirp - limit.eirp).toFixed(1)} dB` :
+        '';
 }
 
 /**
- * Update analyze button state
+ * Warn when the frequency is outside the selected path loss model's valid range
  */
-function updateAnalyzeButton() {
-    const btn = document.getElementById('analyzeBtn');
-    btn.disabled = appState.points.length < 2;
+function updateModelWarning() {
+    const warning = loraCalc.getPathLossModelWarning(loraParams.pathLossModel, loraParams.frequency);
+    const element = document.getElementById('modelWarning');
+    element.style.display = warning ? '' : 'none';
+    element.textContent = warning ? `⚠️ ${warning}` : '';
 }
 
 /**
@@ -429,7 +2279,8 @@ function updateCalculations() {
         rxGain,
         frequency,
         sf: spreadingFactor,
-        bw: bandwidth
+        bw: bandwidth,
+        ...getPathLossParams(DEFAULT_ANTENNA_HEIGHT, DEFAULT_ANTENNA_HEIGHT)
     });
 
     // Calculate link budget for a reference distance (1 km)
@@ -441,14 +2292,19 @@ function updateCalculations() {
         distance: 1,
         sf: spreadingFactor,
         bw: bandwidth,
-        cr: codingRate
+        cr: codingRate,
+        ...getPathLossParams(DEFAULT_ANTENNA_HEIGHT, DEFAULT_ANTENNA_HEIGHT)
     });
 
+    schedulePermalinkUpdate();
+
     // Update UI
     document.getElementById('linkBudget').textContent = `${refLinkBudget.linkBudget.toFixed(1)} dB`;
     document.getElementById('dataRate').textContent = formatDataRate(dataRate);
     document.getElementById('sensitivity').textContent = `${sensitivity.toFixed(1)} dBm`;
     document.getElementById('maxRange').textContent = `${maxRange.toFixed(1)} km`;
+    updateTransmitLimit();
+    updateModelWarning();
 
     // Update coverage layer if enabled
     if (appState.coverageEnabled) {
@@ -465,81 +2321,137 @@ function updateCalculations() {
  * Analyze line of sight
  */
 async function analyzeLineOfSight() {
-    if (appState.points.length < 2) return;
+    // Snapshot links so edits during the async analysis don't shift indices
+    const linkPairs = appState.linkPairs.slice();
+    const polylines = appState.polylines.slice();
+    if (linkPairs.length === 0) return;
+
+    // Relay suggestions belong to the previous results
+    clearRelayCandidates();
 
     // Show loading state
     const linkAnalysisDiv = document.getElementById('linkAnalysis');
     linkAnalysisDiv.innerHTML = '<p class="placeholder">Analyzing... Please wait</p>';
 
     try {
-        // Analyze each link between consecutive points
+        // Analyze each link (consecutive points or full mesh)
         const analyses = [];
 
-        for (let i = 0; i < appState.points.length - 1; i++) {
+        for (let k = 0; k < linkPairs.length; k++) {
+            const [i, j] = linkPairs[k];
             const p1 = appState.points[i];
-            const p2 = appState.points[i + 1];
-
-            // Get elevation profile
-            const elevationProfile = await elevationService.getElevationProfile(
-                { lat: p1.lat, lon: p1.lon },
-                { lat: p2.lat, lon: p2.lon },
-                50
+            const p2 = appState.points[j];
+
+            // Antenna heights above terrain (AGL + rooftop)
+            const txHeight = getAntennaHeight(p1);
+            const rxHeight = getAntennaHeight(p2);
+
+            // Get elevation profile (adaptive sampling), densified around suspected peaks
+            const elevationProfile = await elevationService.refineProfilePeaks(
+                await elevationService.getElevationProfile(
+                    { lat: p1.lat, lon: p1.lon },
+                    { lat: p2.lat, lon: p2.lon }
+                ),
+                txHeight,
+                rxHeight
             );
 
             // Calculate distance
             const distance = elevationProfile.totalDistance;
 
-            // Get buildings if enabled
+            // Calculate Fresnel radius
+            const fresnelRadius = loraCalc.calculateMaxFresnelRadius(distance, loraParams.frequency);
+
+            // Get buildings if enabled, in a corridor as wide as the Fresnel zone
             let buildings = [];
+            let buildingTiles = null;
             if (appState.buildingsEnabled) {
-                buildings = await elevationService.getBuildingsAlongPath(
-                    p1.lat, p1.lon, p2.lat, p2.lon, 0.1
+                const corridor = await elevationService.getBuildingsAlongPath(
+                    p1.lat, p1.lon, p2.lat, p2.lon, Math.max(0.1, fresnelRadius / 1000),
+                    (done, total) => {
+                        linkAnalysisDiv.innerHTML = `<p class="placeholder">Analyzing ${p1.label} → ${p2.label}... ` +
+                            `buildings ${done}/${total} tiles</p>`;
+                    }
                 );
+                buildings = corridor.buildings;
+                buildingTiles = { total: corridor.totalTiles, failed: corridor.failedTiles, errors: corridor.errors };
             }
 
-            // Calculate Fresnel radius
-            const fresnelRadius = loraCalc.calculateMaxFresnelRadius(distance, loraParams.frequency);
+            // Drawn obstacles count like buildings, with or without the buildings layer
+            buildings = buildings.concat(customObstacles.getAlongPath(
+                p1.lat, p1.lon, p2.lat, p2.lon, Math.max(0.1, fresnelRadius / 1000)
+            ));
 
             // Analyze LoS with buildings
             const losAnalysis = elevationService.analyzeLineOfSight(
                 elevationProfile,
-                10, // Antenna height point 1 (10m)
-                10, // Antenna height point 2 (10m)
+                txHeight,
+                rxHeight,
                 fresnelRadius,
                 loraParams.frequency,
                 buildings
             );
 
-            // Calculate link budget
-            const linkBudget = loraCalc.calculateLinkBudget({
-                ...loraParams,
-                distance,
-                sf: loraParams.spreadingFactor,
-                bw: loraParams.bandwidth,
-                cr: loraParams.codingRate
-            });
+            // Evaluate the same link under several k-factors
+            const robustness = propagationParams.robustnessCheck ?
+                elevationService.analyzeLineOfSightMultiK(
+                    elevationProfile,
+                    txHeight,
+                    rxHeight,
+                    fresnelRadius,
+                    loraParams.frequency,
+                    buildings,
+                    ROBUSTNESS_K_FACTORS
+                ) : null;
+
+            // Vegetation and land cover along the path
+            const clutter = await calculateClutter(elevationProfile, losAnalysis, txHeight, rxHeight);
+
+            // Path loss, diffraction and link budget
+            const { itm, diffraction, linkBudget } = evaluateLink(
+                elevationProfile, losAnalysis, txHeight, rxHeight, clutter
+            );
+
+            // Update polyline color based on status
+            const obstructionModeled = diffraction !== null || itm !== null;
+            const viable = isLinkViable(losAnalysis, linkBudget, obstructionModeled);
+            const color = getLinkColor(losAnalysis.hasLoS || obstructionModeled, linkBudget.status);
+            polylines[k].setStyle({ color, weight: 3, opacity: 1 });
 
             analyses.push({
                 from: p1.label,
                 to: p2.label,
+                fromIndex: i,
+                toIndex: j,
+                viable,
+                polyline: polylines[k],
                 distance,
                 elevationProfile,
                 losAnalysis,
                 linkBudget,
                 fresnelRadius,
-                buildings
+                buildings,
+                buildingTiles,
+                txHeight,
+                rxHeight,
+                robustness,
+                diffraction,
+                clutter,
+                itm
             });
-
-            // Update polyline color based on status
-            const color = getLinkColor(losAnalysis.hasLoS, linkBudget.status);
-            appState.polylines[i].setStyle({ color, weight: 3, opacity: 1 });
         }
 
         // Store analysis
         appState.currentAnalysis = analyses;
+        applyLinkVisibility();
+        schedulePermalinkUpdate();
 
         // Display results
         displayAnalysisResults(analyses);
+        displayMeshMatrix(analyses);
+
+        // New elevation and building data may have been cached
+        updateCacheStats();
 
         // Display elevation charts for all links
         displayElevationCharts(analyses);
@@ -551,10 +2463,120 @@ async function analyzeLineOfSight() {
 
     } catch (error) {
         console.error('Analysis error:', error);
-        linkAnalysisDiv.innerHTML = '<p class="placeholder" style="color: var(--danger);">Error during analysis. Please try again.</p>';
+        linkAnalysisDiv.innerHTML = `<p class="placeholder" style="color: var(--danger);">Error during analysis: ${error.message}</p>`;
+    }
+}
+
+/**
+ * Evaluate path loss and link budget for an analyzed profile
+ * Shared by the link analysis and the coverage heatmap (which has no clutter)
+ */
+function evaluateLink(elevationProfile, losAnalysis, txHeight, rxHeight, clutter = null) {
+    // Path loss from the Longley-Rice model over terrain, buildings and obstacles
+    const itm = loraParams.pathLossModel === 'itm' ?
+        calculateITM(elevationProfile, losAnalysis, txHeight, rxHeight) : null;
+
+    // Diffraction loss over the obstruction profile
+    // (ITM already includes diffraction over the obstruction surface)
+    const diffraction = itm ? null :
+        calculateDiffraction(elevationProfile, losAnalysis, txHeight, rxHeight);
+
+    // Calculate link budget
+    const linkBudget = loraCalc.calculateLinkBudget({
+        ...loraParams,
+        distance: elevationProfile.totalDistance,
+        sf: loraParams.spreadingFactor,
+        bw: loraParams.bandwidth,
+        cr: loraParams.codingRate,
+        ...getPathLossParams(txHeight, rxHeight),
+        diffractionLoss: diffraction ? diffraction.loss : 0,
+        clutterLoss: clutter && !clutter.error ? clutter.loss : 0,
+        obstacleLoss: losAnalysis.obstacleLoss || 0,
+        pathLoss: itm ? itm.loss : undefined
+    });
+
+    return { itm, diffraction, linkBudget };
+}
+
+/**
+ * Calculate clutter loss from OSM land cover along a link
+ * Returns null when clutter modeling is disabled, { error } when land cover is unavailable
+ */
+async function calculateClutter(elevationProfile, losAnalysis, txHeight, rxHeight) {
+    if (propagationParams.clutterMethod === 'none') return null;
+
+    const { profile } = elevationProfile;
+    const start = profile[0];
+    const end = profile[profile.length - 1];
+
+    try {
+        const areas = await elevationService.getLandCoverAlongPath(start.lat, start.lon, end.lat, end.lon);
+        const segments = clutterModel.getSegments(
+            elevationProfile,
+            areas,
+            start.elevation + txHeight,
+            end.elevation + rxHeight,
+            losAnalysis.kFactor
+        );
+
+        return clutterModel.calculateLoss(segments, loraParams.frequency, propagationParams.clutterMethod);
+    } catch (error) {
+        console.error('Error fetching land cover:', error);
+        return { error: error.message };
     }
 }
 
+/**
+ * Calculate diffraction loss for a link with the selected method
+ * Returns null when diffraction modeling is disabled
+ */
+function calculateDiffraction(elevationProfile, losAnalysis, txHeight, rxHeight) {
+    if (propagationParams.diffractionMethod === 'none') return null;
+
+    const { profile } = elevationProfile;
+    const obstacleProfile = profile.map((p, i) => ({
+        distance: p.distance,
+        height: losAnalysis.obstructionProfile[i],
+        lat: p.lat,
+        lon: p.lon
+    }));
+
+    return diffractionCalc.calculateLoss(
+        obstacleProfile,
+        profile[0].elevation + txHeight,
+        profile[profile.length - 1].elevation + rxHeight,
+        loraParams.frequency,
+        losAnalysis.kFactor,
+        propagationParams.diffractionMethod
+    );
+}
+
+/**
+ * Calculate Longley-Rice (ITM) path loss over the obstruction surface
+ * (terrain raised by the buildings and obstacles in the Fresnel zone)
+ */
+function calculateITM(elevationProfile, losAnalysis, txHeight, rxHeight) {
+    const ground = itmModel.groundTypes[itmParams.groundType];
+    const surface = {
+        ...elevationProfile,
+        profile: elevationProfile.profile.map((p, i) => ({ ...p, elevation: losAnalysis.obstructionProfile[i] }))
+    };
+
+    return itmModel.calculatePathLoss(surface, {
+        txHeight,
+        rxHeight,
+        frequency: loraParams.frequency,
+        climate: itmParams.climate,
+        refractivity: getITMRefractivity(),
+        permittivity: ground.permittivity,
+        conductivity: ground.conductivity,
+        polarization: itmParams.polarization,
+        time: itmParams.time,
+        location: itmParams.location,
+        situation: itmParams.situation
+    });
+}
+
 /**
  * Toggle buildings layer
  */
@@ -562,6 +2584,7 @@ function toggleBuildingsLayer() {
     const btn = document.getElementById('toggleBuildingsBtn');
     
     appState.buildingsEnabled = !appState.buildingsEnabled;
+    schedulePermalinkUpdate();
     
     if (appState.buildingsEnabled) {
         btn.classList.add('active');
@@ -602,28 +2625,40 @@ function displayBuildingsOnMap() {
 
     if (!appState.currentAnalysis) return;
 
-    // Collect all buildings from all analyses
+    // Collect all buildings from all analyses, highlighting those inside a Fresnel zone
     const allBuildings = new Set();
+    const zoneBuildings = new Set();
+    appState.currentAnalysis.forEach(analysis => {
+        (analysis.losAnalysis.zoneBuildings || []).forEach(building => zoneBuildings.add(building));
+    });
+
     appState.currentAnalysis.forEach(analysis => {
         if (analysis.buildings) {
             analysis.buildings.forEach(building => {
+                // Drawn obstacles have their own layer
+                if (building.source === 'obstacle' || allBuildings.has(building)) return;
+                allBuildings.add(building);
+
                 if (building.geometry && building.geometry.length > 0) {
                     // Create polygon for building
                     const coords = building.geometry.map(node => [node.lat, node.lon]);
+                    const inZone = zoneBuildings.has(building);
                     
                     // Only add if we have valid coordinates
                     if (coords.length >= 3) {
                         const polygon = L.polygon(coords, {
-                            color: '#ff6b6b',
-                            fillColor: '#ff6b6b',
-                            fillOpacity: 0.4,
-                            weight: 2
+                            color: inZone ? '#ff6b6b' : '#a8b3cf',
+                            fillColor: inZone ? '#ff6b6b' : '#a8b3cf',
+                            fillOpacity: inZone ? 0.4 : 0.15,
+                            weight: inZone ? 2 : 1
                         }).addTo(appState.map);
 
                         polygon.bindPopup(`
                             <div style="color: #0f1419;">
-                                <strong>Building</strong><br>
-                                Height: ${building.height.toFixed(1)} m
+                                <strong>Building</strong> (${building.source === 'local' ? 'local dataset' : 'OSM'})<br>
+                                Height: ${building.height.toFixed(1)} m<br>
+                                ${building.minHeight ? `Starts at: ${building.minHeight.toFixed(1)} m<br>` : ''}
+                                ${inZone ? 'Inside the Fresnel zone' : 'Outside the Fresnel zone'}
                             </div>
                         `);
 
@@ -642,80 +2677,157 @@ function toggleCoverageLayer() {
     const btn = document.getElementById('toggleCoverageBtn');
     
     appState.coverageEnabled = !appState.coverageEnabled;
+    schedulePermalinkUpdate();
     
     if (appState.coverageEnabled) {
         btn.classList.add('active');
         updateCoverageLayer();
     } else {
-        // Remove coverage circles
-        appState.coverageCircles.forEach(circle => appState.map.removeLayer(circle));
-        appState.coverageCircles = [];
+        // Cancel any running computation and remove the heatmap
+        appState.coverageGeneration++;
+        removeCoverageOverlay();
         btn.classList.remove('active');
     }
 }
 
 /**
- * Update coverage layer based on current points
+ * Remove coverage heatmap and legend from the map
  */
-function updateCoverageLayer() {
-    // Remove existing coverage circles
-    appState.coverageCircles.forEach(circle => appState.map.removeLayer(circle));
-    appState.coverageCircles = [];
-    
+function removeCoverageOverlay() {
+    if (appState.coverageOverlay) {
+        appState.map.removeLayer(appState.coverageOverlay);
+        appState.coverageOverlay = null;
+    }
+    if (appState.coverageLegend) {
+        appState.map.removeControl(appState.coverageLegend);
+        appState.coverageLegend = null;
+    }
+    appState.coverageRaster = null;
+}
+
+/**
+ * Predict RSSI at the end of a coverage radial profile
+ * Returns null when the path is blocked and no obstruction loss is modeled
+ */
+function predictCoverageRssi(elevationProfile, losAnalysis, txHeight, rxHeight) {
+    const { itm, diffraction, linkBudget } = evaluateLink(
+        elevationProfile, losAnalysis, txHeight, rxHeight
+    );
+
+    if (!losAnalysis.hasLoS && itm === null && diffraction === null) {
+        return null;
+    }
+
+    return linkBudget.rxPower;
+}
+
+/**
+ * Update coverage heatmap based on current points
+ * Casts radial terrain profiles from every site and renders predicted RSSI
+ */
+async function updateCoverageLayer() {
+    // Cancel any computation still running for older settings
+    const generation = ++appState.coverageGeneration;
+    const isCancelled = () => generation !== appState.coverageGeneration;
+
     if (!appState.coverageEnabled || appState.points.length === 0) {
+        removeCoverageOverlay();
         return;
     }
 
-    // Calculate max range for current settings
-    const maxRange = loraCalc.calculateMaxRange({
-        ...loraParams,
-        sf: loraParams.spreadingFactor,
-        bw: loraParams.bandwidth
-    });
+    const sensitivity = loraCalc.getSensitivity(loraParams.spreadingFactor, loraParams.bandwidth);
+    const radiusKm = coverageParams.radius;
+    const resolutionKm = coverageParams.resolution / 1000;
+    const coverages = [];
 
-    // Add coverage circle for each point
-    appState.points.forEach((point, index) => {
-        // Convert km to meters
-        const radiusMeters = maxRange * 1000;
-
-        // Alternate colors for different points
-        const colors = ['#00d9ff', '#7b61ff', '#00ff88', '#ffaa00'];
-        const color = colors[index % colors.length];
-
-        // Create circle with semi-transparent fill
-        const circle = L.circle([point.lat, point.lon], {
-            radius: radiusMeters,
-            color: color,
-            fillColor: color,
-            fillOpacity: 0.15,
-            weight: 3,
-            opacity: 0.8,
-            dashArray: '10, 10'
-        }).addTo(appState.map);
-
-        // Add popup with coverage info
-        circle.bindPopup(`
-            <div style="color: #0f1419; min-width: 200px;">
-                <strong>📡 Coverage Point ${point.label}</strong><br>
-                <hr style="margin: 8px 0;">
-                <b>Max Range:</b> ${maxRange.toFixed(1)} km<br>
-                <b>Frequency:</b> ${loraParams.frequency} MHz<br>
-                <b>SF:</b> ${loraParams.spreadingFactor}<br>
-                <b>BW:</b> ${loraParams.bandwidth} kHz<br>
-                <b>TX Power:</b> ${loraParams.txPower} dBm<br>
-                <b>TX Gain:</b> ${loraParams.txGain} dBi<br>
-                <b>RX Gain:</b> ${loraParams.rxGain} dBi
-            </div>
-        `);
+    showCoverageLegend(sensitivity, 'Computing coverage...');
 
-        appState.coverageCircles.push(circle);
-    });
+    try {
+        for (const point of appState.points) {
+            const coverage = await coverageService.computeSiteCoverage(
+                { lat: point.lat, lon: point.lon },
+                {
+                    radiusKm,
+                    resolutionKm,
+                    txHeight: getAntennaHeight(point),
+                    rxHeight: DEFAULT_ANTENNA_HEIGHT,
+                    frequency: loraParams.frequency,
+                    kFactor: elevationService.kFactor,
+                    evaluate: predictCoverageRssi,
+                    onProgress: (fraction) => {
+                        if (!isCancelled()) {
+                            setCoverageStatus(`Computing ${point.label}... ${Math.round(fraction * 100)}%`);
+                        }
+                    },
+                    isCancelled
+                }
+            );
+
+            if (!coverage || isCancelled()) return;
+            coverages.push(coverage);
+        }
+    } catch (error) {
+        console.error('Coverage error:', error);
+        if (!isCancelled()) setCoverageStatus('Error computing coverage');
+        return;
+    }
+
+    const raster = coverageService.renderRaster(coverages, resolutionKm, sensitivity);
+
+    if (appState.coverageOverlay) {
+        appState.map.removeLayer(appState.coverageOverlay);
+    }
+
+    appState.coverageRaster = raster;
+    appState.coverageOverlay = L.imageOverlay(raster.canvas.toDataURL(), raster.bounds, {
+        opacity: 0.55,
+        className: 'coverage-overlay'
+    }).addTo(appState.map);
+
+    // Be upfront about terrain filled in from neighbouring samples
+    const degraded = coverages.reduce((sum, coverage) => sum + coverage.degradedSamples, 0);
+    setCoverageStatus(`${radiusKm} km radius, ${coverageParams.resolution} m cells` +
+        (degraded > 0 ? ` — ⚠️ ${degraded} elevation samples void or failed` : ''));
+}
 
-    // Fit map to show all coverage circles if multiple points
-    if (appState.points.length > 1) {
-        const bounds = L.latLngBounds(appState.points.map(p => [p.lat, p.lon]));
-        appState.map.fitBounds(bounds.pad(0.3));
+/**
+ * Show coverage legend control on the map
+ */
+function showCoverageLegend(sensitivity, status) {
+    if (appState.coverageLegend) {
+        appState.map.removeControl(appState.coverageLegend);
     }
+
+    const legend = L.control({ position: 'bottomright' });
+    legend.onAdd = () => {
+        const div = L.DomUtil.create('div', 'coverage-legend');
+        div.innerHTML = `
+            <div class="coverage-legend-title">📡 Predicted RSSI</div>
+            ${coverageService.legend.map(item => `
+                <div class="coverage-legend-item">
+                    <span class="coverage-legend-swatch" style="background: rgb(${item.color.join(',')});"></span>
+                    ${item.min === -Infinity ? `-120 to ${sensitivity.toFixed(0)} dBm` : item.label}
+                </div>
+            `).join('')}
+            <div class="coverage-legend-item">
+                <span class="coverage-legend-swatch none"></span>
+                Below sensitivity / blocked
+            </div>
+            <div class="coverage-legend-status" id="coverageStatus">${status}</div>
+        `;
+        return div;
+    };
+
+    legend.addTo(appState.map);
+    appState.coverageLegend = legend;
+}
+
+/**
+ * Update the coverage legend status line
+ */
+function setCoverageStatus(text) {
+    const status = document.getElementById('coverageStatus');
+    if (status) status.textContent = text;
 }
 
 /**
@@ -724,17 +2836,19 @@ function updateCoverageLayer() {
 function displayAnalysisResults(analyses) {
     const linkAnalysisDiv = document.getElementById('linkAnalysis');
     
-    const html = analyses.map(analysis => {
-        const { from, to, distance, losAnalysis, linkBudget } = analysis;
+    const html = analyses.map((analysis, index) => {
+        const { from, to, distance, elevationProfile, losAnalysis, linkBudget, robustness, diffraction, clutter, itm, buildingTiles } = analysis;
+        const { quality } = elevationProfile;
         
         // Determine overall status
-        const isViable = losAnalysis.hasLoS && linkBudget.linkMargin > 0;
+        const isViable = analysis.viable;
         const statusClass = isViable ? 
             (linkBudget.status === 'excellent' || linkBudget.status === 'good' ? 'success' : 'warning') : 
             'danger';
         
         const statusText = isViable ?
-            (losAnalysis.quality === 'excellent' ? '✅ Excellent' : 
+            (!losAnalysis.hasLoS ? '〰️ Diffracted' :
+             losAnalysis.quality === 'excellent' ? '✅ Excellent' : 
              losAnalysis.quality === 'good' ? '✅ Good' :
              '⚠️ Marginal') :
             '❌ Not Viable';
@@ -746,11 +2860,19 @@ function displayAnalysisResults(analyses) {
         return `
             <div class="link-status ${statusClass}">
                 <div class="link-header">
-                    <span class="link-title">${from} → ${to}</span>
+                    <span class="link-title">${escapeHtml(from)} → ${escapeHtml(to)}</span>
                     <span class="link-status-badge ${statusClass}">${statusText}</span>
                 </div>
                 
                 <div class="link-details-compact">
+                    ${!quality.complete ? `
+                    <div class="detail-row data-warning" title="${escapeHtml(quality.errors.join('\n'))}">
+                        <span>⚠️ ${escapeHtml(describeDataQuality(quality))}</span>
+                    </div>` : ''}
+                    ${buildingTiles && buildingTiles.failed > 0 ? `
+                    <div class="detail-row data-warning" title="${escapeHtml(buildingTiles.errors.join('\n'))}">
+                        <span>⚠️ Buildings missing for ${buildingTiles.failed} of ${buildingTiles.total} tiles (${escapeHtml(buildingTiles.errors[0])})</span>
+                    </div>` : ''}
                     <div class="detail-row">
                         <span>📏 ${distance.toFixed(2)} km</span>
                         <span>📊 ${linkBudget.linkMargin.toFixed(1)} dB margin</span>
@@ -761,6 +2883,58 @@ function displayAnalysisResults(analyses) {
                         <span>👁️ ${losAnalysis.hasLoS ? 'Clear LoS' : `Blocked (${buildingObstructions}🏢 ${terrainObstructions}⛰️)`}</span>
                         <span>⚡ ${formatDataRate(linkBudget.dataRate)}</span>
                     </div>
+                    <div class="detail-row" title="True azimuth (degrees from north) at each end">
+                        <span>🧭 ${escapeHtml(from)} → ${escapeHtml(to)}: ${elevationProfile.azimuth.toFixed(1)}°</span>
+                        <span>${escapeHtml(to)} → ${escapeHtml(from)}: ${elevationProfile.reverseAzimuth.toFixed(1)}°</span>
+                    </div>
+                    ${itm ? `
+                    <div class="detail-row itm-row">
+                        <span>⛰️ ITM ${linkBudget.pathLoss.toFixed(1)} dB</span>
+                        <span>📶 FSPL ${linkBudget.fspl.toFixed(1)} dB</span>
+                        <span>${escapeHtml(itm.mode)}</span>
+                    </div>
+                    ${itm.errorCode > 0 ? `
+                    <div class="detail-row itm-warning">
+                        <span>⚠️ ITM: ${escapeHtml(itm.errorMessage)}</span>
+                    </div>` : ''}` : ''}
+                    ${diffraction ? `
+                    <div class="detail-row diffraction-row">
+                        <span>🔪 ${diffraction.loss.toFixed(1)} dB diffraction (${diffractionCalc.methods[diffraction.method]})</span>
+                        <span>${diffraction.edges.length > 0 ?
+                            'Edges: ' + diffraction.edges.map(edge =>
+                                `${edge.distance.toFixed(2)} km (${edge.loss.toFixed(1)} dB)`
+                            ).join(', ') :
+                            'No diffracting edges'}</span>
+                    </div>` : ''}
+                    ${clutter ? `
+                    <div class="detail-row clutter-row">
+                        ${clutter.error ? `<span>⚠️ Clutter not modeled: ${escapeHtml(clutter.error)}</span>` : `
+                        <span>🌲 ${clutter.loss.toFixed(1)} dB clutter (${clutterModel.methods[clutter.method]})</span>
+                        <span>${clutter.segments.length > 0 ?
+                            Object.entries(clutter.classes).map(([name, c]) =>
+                                `${clutterModel.classes[name].label} ${c.length.toFixed(0)} m (${c.loss.toFixed(1)} dB)`
+                            ).join(', ') :
+                            'Path clear of clutter'}</span>`}
+                    </div>` : ''}
+                    ${losAnalysis.obstacleLoss > 0 ? `
+                    <div class="detail-row clutter-row">
+                        <span>🚧 ${losAnalysis.obstacleLoss.toFixed(1)} dB through drawn obstacles</span>
+                    </div>` : ''}
+                    ${robustness ? `
+                    <div class="detail-row robustness-row">
+                        ${robustness.map(r => `
+                            <span title="${r.fresnelClearance.toFixed(0)}% Fresnel clearance">
+                                ${r.hasLoS ? '✅' : '❌'} k=${formatKFactor(r.kFactor)}: ${r.quality}
+                            </span>
+                        `).join('')}
+                    </div>` : ''}
+                    ${!isViable ? `
+                    <div class="detail-row relay-row">
+                        <button class="btn btn-sm btn-secondary" onclick="suggestRelay(${index})">
+                            📡 Suggest relay
+                        </button>
+                        <span id="relayResults-${index}" class="relay-results"></span>
+                    </div>` : ''}
                 </div>
             </div>
         `;
@@ -769,6 +2943,200 @@ function displayAnalysisResults(analyses) {
     linkAnalysisDiv.innerHTML = html;
 }
 
+/**
+ * Search for relay sites that would bridge a non-viable link
+ */
+async function suggestRelay(index) {
+    const analysis = appState.currentAnalysis[index];
+    const { profile } = analysis.elevationProfile;
+    const pointA = profile[0];
+    const pointB = profile[profile.length - 1];
+    const resultsSpan = document.getElementById(`relayResults-${index}`);
+
+    // Cancel any search still running for another link
+    clearRelayCandidates();
+    const search = appState.relaySearch;
+    const isCancelled = () => search !== appState.relaySearch;
+
+    resultsSpan.textContent = 'Searching...';
+
+    let candidates;
+    try {
+        candidates = await relayFinder.findRelays(pointA, pointB, {
+            txHeight: analysis.txHeight,
+            rxHeight: analysis.rxHeight,
+            relayHeight: DEFAULT_ANTENNA_HEIGHT,
+            frequency: loraParams.frequency,
+            kFactor: elevationService.kFactor,
+            evaluate: (elevationProfile, losAnalysis, txHeight, rxHeight) =>
+                evaluateLink(elevationProfile, losAnalysis, txHeight, rxHeight).linkBudget,
+            onProgress: (fraction) => {
+                if (!isCancelled()) {
+                    resultsSpan.textContent = `Searching... ${Math.round(fraction * 100)}%`;
+                }
+            },
+            isCancelled
+        });
+    } catch (error) {
+        console.error('Relay search error:', error);
+        if (!isCancelled()) resultsSpan.textContent = 'Error searching for relays';
+        return;
+    }
+
+    if (!candidates || isCancelled()) return;
+
+    if (candidates.length === 0) {
+        resultsSpan.textContent = 'No relay site with two clear hops found';
+        return;
+    }
+
+    resultsSpan.innerHTML = candidates.map((candidate, n) => `
+        <span class="relay-candidate" title="${candidate.lat.toFixed(6)}, ${candidate.lon.toFixed(6)}">
+            R${n + 1}: ${candidate.hops[0].margin.toFixed(1)} / ${candidate.hops[1].margin.toFixed(1)} dB
+        </span>
+    `).join('');
+
+    showRelayCandidates(candidates, analysis);
+}
+
+/**
+ * Show ranked relay candidates as markers on the map
+ */
+function showRelayCandidates(candidates, analysis) {
+    appState.relayCandidates = candidates;
+    appState.relayLink = [appState.points[analysis.fromIndex], appState.points[analysis.toIndex]];
+    appState.relayLayer = L.layerGroup().addTo(appState.map);
+
+    candidates.forEach((candidate, n) => {
+        const [first, second] = candidate.hops;
+
+        L.marker([candidate.lat, candidate.lon], {
+            icon: L.divIcon({
+                className: 'custom-marker',
+                html: `<div class="marker-label relay-marker-label">R${n + 1}</div>`,
+                iconSize: [30, 30],
+                iconAnchor: [15, 15]
+            })
+        }).bindPopup(`
+            <div style="color: #e4e6eb;">
+                <strong>Relay R${n + 1}</strong><br>
+                Elevation: ${candidate.elevation.toFixed(1)} m<br>
+                ${escapeHtml(analysis.from)} → R${n + 1}: ${first.distance.toFixed(2)} km, ${first.margin.toFixed(1)} dB<br>
+                R${n + 1} → ${escapeHtml(analysis.to)}: ${second.distance.toFixed(2)} km, ${second.margin.toFixed(1)} dB<br>
+                <button class="btn btn-sm btn-primary relay-add-btn" onclick="addRelayAsPoint(${n})">
+                    ➕ Add as point
+                </button>
+            </div>
+        `).addTo(appState.relayLayer);
+    });
+}
+
+/**
+ * Remove relay suggestions and cancel any running search
+ */
+function clearRelayCandidates() {
+    appState.relaySearch++;
+    appState.relayCandidates = [];
+    appState.relayLink = null;
+
+    if (appState.relayLayer) {
+        appState.map.removeLayer(appState.relayLayer);
+        appState.relayLayer = null;
+    }
+}
+
+/**
+ * Add a suggested relay site as a new point
+ * The relay goes right after the link's first point, so the chain runs through it
+ * (appended when the link's points are gone)
+ */
+async function addRelayAsPoint(n) {
+    const candidate = appState.relayCandidates[n];
+    if (!candidate) return;
+
+    const [from, to] = appState.relayLink;
+    const fromIndex = appState.points.indexOf(from);
+    const index = fromIndex >= 0 && appState.points.includes(to) ? fromIndex + 1 : undefined;
+
+    clearRelayCandidates();
+    await addPoint(candidate.lat, candidate.lon, { index });
+
+    if (appState.currentAnalysis) {
+        analyzeLineOfSight();
+    }
+}
+
+/**
+ * Describe incomplete elevation data of a profile
+ */
+function describeDataQuality(quality) {
+    const parts = [];
+    if (quality.missing > 0) parts.push(`${quality.missing} failed`);
+    if (quality.void > 0) parts.push(`${quality.void} void`);
+    if (quality.interpolated > 0) parts.push(`${quality.interpolated} partly void`);
+
+    const filled = quality.missing + quality.void;
+    return `Elevation data incomplete: ${parts.join(', ')} of ${quality.total} samples` +
+        (filled > 0 ? ', gaps interpolated from neighbours' : '');
+}
+
+/**
+ * Format an elevation that may be unavailable
+ */
+function formatElevation(elevation) {
+    return elevation !== null ? `${elevation.toFixed(1)} m` : 'unavailable';
+}
+
+/**
+ * Display N×N link margin matrix for the full-mesh analysis
+ */
+function displayMeshMatrix(analyses) {
+    const card = document.getElementById('meshMatrixCard');
+    const container = document.getElementById('meshMatrix');
+
+    if (!appState.meshMode) {
+        card.style.display = 'none';
+        container.innerHTML = '';
+        return;
+    }
+
+    // Points taking part in the mesh, in table order
+    const indices = [...new Set(analyses.flatMap(a => [a.fromIndex, a.toIndex]))].sort((a, b) => a - b);
+    const lookup = new Map();
+    analyses.forEach(analysis => {
+        lookup.set(`${analysis.fromIndex}-${analysis.toIndex}`, analysis);
+        lookup.set(`${analysis.toIndex}-${analysis.fromIndex}`, analysis);
+    });
+
+    const header = indices.map(i => `<th>${appState.points[i].label}</th>`).join('');
+    const rows = indices.map(row => {
+        const cells = indices.map(col => {
+            if (row === col) return '<td class="matrix-cell self">—</td>';
+
+            const analysis = lookup.get(`${row}-${col}`);
+            if (!analysis) return '<td class="matrix-cell">·</td>';
+
+            const { linkBudget } = analysis;
+            const statusClass = !analysis.viable ? 'danger' :
+                (linkBudget.status === 'excellent' || linkBudget.status === 'good' ? 'success' : 'warning');
+
+            return `<td class="matrix-cell ${statusClass}" title="${escapeHtml(analysis.from)} ↔ ${escapeHtml(analysis.to)}: ${analysis.distance.toFixed(2)} km">
+                ${linkBudget.linkMargin.toFixed(1)}
+            </td>`;
+        }).join('');
+
+        return `<tr><th>${appState.points[row].label}</th>${cells}</tr>`;
+    }).join('');
+
+    container.innerHTML = `
+        <table class="mesh-matrix">
+            <thead><tr><th>dB</th>${header}</tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+    card.style.display = '';
+}
+
 /**
  * Display elevation charts for all links
  */
@@ -782,34 +3150,59 @@ function displayElevationCharts(analyses) {
 
     // Create charts for each link
     analyses.forEach((analysis, index) => {
-        const { elevationProfile, losAnalysis, from, to, buildings } = analysis;
+        const { elevationProfile, losAnalysis, from, to, buildings, txHeight, rxHeight, diffraction, clutter } = analysis;
         const { profile } = elevationProfile;
 
+        // Elevation sources used along this profile; failed samples have no source
+        const sources = [...new Set(profile.map(p => p.source))].filter(source => source !== null);
+        const sourceColors = profile.map(p => ELEVATION_SOURCE_COLORS[p.source] || '#ff4466');
+
+        // Samples that are not clean measurements stand out as red crosses
+        const pointStyles = profile.map(p => (p.status === 'ok' ? 'circle' : 'crossRot'));
+        const pointRadii = profile.map(p => (p.status === 'ok' ? 2 : 6));
+        const pointColors = profile.map((p, i) => (p.status === 'ok' ? sourceColors[i] : '#ff4466'));
+        const { quality } = elevationProfile;
+        const clutterSegments = clutter && !clutter.error ? clutter.segments : [];
+
         // === ELEVATION CHART ===
         const elevChartCard = document.createElement('div');
         elevChartCard.className = 'elevation-chart-card';
         elevChartCard.innerHTML = `
-            <h3>📏 Elevation Profile: ${from} → ${to}</h3>
+            <h3>📏 Elevation Profile: ${escapeHtml(from)} → ${escapeHtml(to)} <span class="chart-subtitle">k = ${formatKFactor(losAnalysis.kFactor)},
+                ${profile.length} samples${elevationProfile.refinedPeaks ? `, ${elevationProfile.refinedPeaks} peaks refined` : ''}</span></h3>
+            <div class="chart-sources">
+                ${sources.map(source => `
+                    <span class="chart-source">
+                        <span class="chart-source-swatch" style="background: ${ELEVATION_SOURCE_COLORS[source] || '#ff4466'};"></span>
+                        ${elevationService.getProviderName(source)}
+                    </span>
+                `).join('')}
+                ${!quality.complete ? `<span class="chart-source data-warning">⚠️ ${describeDataQuality(quality)}</span>` : ''}
+                ${clutterSegments.length > 0 ? `<span class="chart-source">🌲 ${clutter.loss.toFixed(1)} dB clutter in ${clutterSegments.length} segment${clutterSegments.length > 1 ? 's' : ''}</span>` : ''}
+            </div>
             <canvas id="elevationChart${index}"></canvas>
         `;
         container.appendChild(elevChartCard);
 
-        // Prepare data
+        // Prepare data (linear distance axis: refined samples are not evenly spaced)
         const labels = profile.map(p => p.distance.toFixed(2));
         const elevations = profile.map(p => p.elevation);
 
-        // Calculate LoS line
-        const startHeight = profile[0].elevation + 10; // + antenna height
-        const endHeight = profile[profile.length - 1].elevation + 10;
-        const losLine = profile.map((p, i) => {
-            const fraction = i / (profile.length - 1);
-            return startHeight + (endHeight - startHeight) * fraction;
+        // Calculate LoS line, lowered by the earth bulge for the analysis k-factor
+        const totalDistance = elevationProfile.totalDistance;
+        const startHeight = profile[0].elevation + txHeight; // + antenna height
+        const endHeight = profile[profile.length - 1].elevation + rxHeight;
+        const losLine = profile.map(p => {
+            const fraction = p.distance / totalDistance;
+            const earthBulge = elevationService.calculateEarthBulge(
+                p.distance, totalDistance - p.distance, losAnalysis.kFactor
+            );
+            return startHeight + (endHeight - startHeight) * fraction - earthBulge;
         });
 
         // Calculate Fresnel zone boundaries (60% clearance)
         const fresnelUpper = [];
         const fresnelLower = [];
-        const totalDistance = elevationProfile.totalDistance;
         
         profile.forEach((p, i) => {
             const d1 = p.distance;
@@ -821,6 +3214,38 @@ function displayElevationCharts(analyses) {
             fresnelLower.push(lineHeight - fresnelRadius * 0.6);
         });
 
+        // Mark diffracting edges on the obstruction surface
+        const edgeMarkers = profile.map(() => null);
+        if (diffraction) {
+            diffraction.edges.forEach(edge => {
+                edgeMarkers[edge.index] = losAnalysis.obstructionProfile[edge.index];
+            });
+        }
+
+        // One band per clutter class at canopy/roof height over the segments it covers
+        const clutterDatasets = [...new Set(clutterSegments.map(s => s.clutterClass))].map(name => {
+            const clutterClass = clutterModel.classes[name];
+            const segmentAt = profile.map(() => null);
+            clutterSegments
+                .filter(s => s.clutterClass === name)
+                .forEach(s => {
+                    for (let i = s.startIndex; i <= s.endIndex; i++) segmentAt[i] = s;
+                });
+
+            return {
+                label: `${clutterClass.label} (${clutter.classes[name].loss.toFixed(1)} dB)`,
+                data: segmentAt.map((s, i) => (s ? elevations[i] + clutterClass.height : null)),
+                segments: segmentAt,
+                borderColor: clutterClass.color,
+                backgroundColor: clutterClass.color + '66',
+                fill: 0,
+                spanGaps: false,
+                pointRadius: 0,
+                borderWidth: 1,
+                order: 2
+            };
+        });
+
         // Create elevation chart
         const elevCtx = document.getElementById(`elevationChart${index}`).getContext('2d');
         const elevChart = new Chart(elevCtx, {
@@ -835,7 +3260,11 @@ function displayElevationCharts(analyses) {
                         backgroundColor: 'rgba(139, 115, 85, 0.4)',
                         fill: true,
                         tension: 0.4,
-                        pointRadius: 0,
+                        // Per-sample markers colored by elevation source
+                        pointRadius: pointRadii,
+                        pointStyle: pointStyles,
+                        pointBackgroundColor: pointColors,
+                        pointBorderColor: pointColors,
                         order: 3
                     },
                     {
@@ -868,7 +3297,18 @@ function displayElevationCharts(analyses) {
                         borderWidth: 0,
                         hidden: true,
                         order: 2
-                    }
+                    },
+                    {
+                        label: 'Diffraction Edges',
+                        data: edgeMarkers,
+                        borderColor: '#ff4466',
+                        backgroundColor: '#ff4466',
+                        showLine: false,
+                        pointStyle: 'triangle',
+                        pointRadius: 7,
+                        order: 0
+                    },
+                    ...clutterDatasets
                 ]
             },
             options: {
@@ -884,19 +3324,36 @@ function displayElevationCharts(analyses) {
                         labels: { 
                             color: '#e4e6eb',
                             font: { size: 10 },
-                            filter: (item) => item.text !== 'Fresnel Lower'
+                            filter: (item) => item.text !== 'Fresnel Lower' &&
+                                (item.text !== 'Diffraction Edges' || edgeMarkers.some(h => h !== null))
                         }
                     },
                     tooltip: {
                         callbacks: {
                             label: function(context) {
+                                if (context.parsed.y === null) return null;
+                                const segment = context.dataset.segments && context.dataset.segments[context.dataIndex];
+                                if (segment) {
+                                    return `${clutterModel.classes[segment.clutterClass].label}: ` +
+                                        `${segment.length.toFixed(0)} m segment, ${segment.loss.toFixed(1)} dB`;
+                                }
                                 return context.dataset.label + ': ' + context.parsed.y.toFixed(1) + ' m';
+                            },
+                            footer: function(items) {
+                                const sample = profile[items[0].dataIndex];
+                                const status = {
+                                    interpolated: ' (partly void, interpolated)',
+                                    void: ' (void, interpolated from neighbours)',
+                                    missing: ' (lookup failed, interpolated from neighbours)'
+                                }[sample.status] || '';
+                                return 'Source: ' + elevationService.getProviderName(sample.source) + status;
                             }
                         }
                     }
                 },
                 scales: {
                     x: {
+                        type: 'linear',
                         title: { display: true, text: 'Distance (km)', color: '#a8b3cf' },
                         ticks: { color: '#a8b3cf', font: { size: 10 } },
                         grid: { color: '#2d3548' }
@@ -914,25 +3371,8 @@ function displayElevationCharts(analyses) {
 
         // === BUILDING CHART (only if buildings exist) ===
         if (buildings && buildings.length > 0) {
-            // Calculate building heights along the path
-            const buildingHeights = profile.map((p, i) => {
-                let maxBuildingHeight = null;
-                
-                buildings.forEach(building => {
-                    const buildingDist = elevationService.calculateDistance(
-                        p.lat, p.lon, building.lat, building.lon
-                    );
-                    // If building is within 50m of the path point
-                    if (buildingDist < 0.05) { // 50m = 0.05km
-                        const bldgTop = elevations[i] + building.height;
-                        if (maxBuildingHeight === null || bldgTop > maxBuildingHeight) {
-                            maxBuildingHeight = bldgTop;
-                        }
-                    }
-                });
-                
-                return maxBuildingHeight;
-            });
+            // Roof tops of the buildings reaching into the Fresnel zone
+            const buildingHeights = losAnalysis.buildingProfile;
 
             // Check if there are actual building obstructions
             const hasBuildingObstructions = buildingHeights.some(h => h !== null);
@@ -942,7 +3382,7 @@ function displayElevationCharts(analyses) {
                 const bldgChartCard = document.createElement('div');
                 bldgChartCard.className = 'elevation-chart-card';
                 bldgChartCard.innerHTML = `
-                    <h3>🏢 Building Profile: ${from} → ${to}</h3>
+                    <h3>🏢 Building Profile: ${escapeHtml(from)} → ${escapeHtml(to)}</h3>
                     <canvas id="buildingChart${index}"></canvas>
                 `;
                 container.appendChild(bldgChartCard);
@@ -967,7 +3407,7 @@ function displayElevationCharts(analyses) {
                                 order: 3
                             },
                             {
-                                label: 'Buildings',
+                                label: 'Buildings in Fresnel zone',
                                 data: buildingDisplay,
                                 borderColor: '#ff6b6b',
                                 backgroundColor: 'rgba(255, 107, 107, 0.5)',
@@ -1014,6 +3454,7 @@ function displayElevationCharts(analyses) {
                         },
                         scales: {
                             x: {
+                                type: 'linear',
                                 title: { display: true, text: 'Distance (km)', color: '#a8b3cf' },
                                 ticks: { color: '#a8b3cf', font: { size: 10 } },
                                 grid: { color: '#2d3548' }
@@ -1038,6 +3479,8 @@ function displayElevationCharts(analyses) {
  */
 function clearAnalysisResults() {
     document.getElementById('linkAnalysis').innerHTML = '<p class="placeholder">Click "Analyze LoS" to see results</p>';
+    document.getElementById('meshMatrixCard').style.display = 'none';
+    document.getElementById('meshMatrix').innerHTML = '';
     
     appState.elevationCharts.forEach(chart => chart.destroy());
     appState.elevationCharts = [];
@@ -1061,6 +3504,17 @@ function getLinkColor(hasLoS, linkStatus) {
     }
 }
 
+/**
+ * Escape text from files for use in HTML
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 /**
  * Format data rate for display
  */
@@ -1071,5 +3525,12 @@ function formatDataRate(bps) {
     return `${bps.toFixed(0)} bps`;
 }
 
-// Make removePoint available globally
+// Make table handlers available globally
 window.removePoint = removePoint;
+window.setPointAntennaHeight = setPointAntennaHeight;
+window.setPointMountOnBuilding = setPointMountOnBuilding;
+window.setPointMeshSelected = setPointMeshSelected;
+window.suggestRelay = suggestRelay;
+window.addRelayAsPoint = addRelayAsPoint;
+window.updateObstacle = updateObstacle;
+window.removeObstacle = removeObstacle;
@@ -0,0 +1,135 @@
+/**
+ * Band Plans
+ * Regional LoRa frequency plans: center frequencies grouped into channel lists,
+ * the transmit power limit of each list (EIRP or ERP) and the bandwidths available
+ * Channel lists follow the LoRaWAN regional parameters; limits are the usual
+ * regulatory maxima and can be lower in individual countries
+ */
+
+class BandPlans {
+    constructor() {
+        this.erpToEirp = 2.15; // dB, half-wave dipole vs isotropic radiator
+        this.defaultBandwidths = [125, 250, 500]; // kHz, sub-GHz radios (SX126x / SX127x)
+
+        // Evenly spaced channels: count frequencies from start (MHz)
+        const channels = (start, step, count) => Array.from({ length: count }, (_, i) =>
+            Number((start + i * step).toFixed(4)));
+
+        this.regions = {
+            EU868: {
+                name: 'EU868 (Europe)',
+                range: [863, 870],
+                channels: [
+                    { name: 'Default channels', frequencies: [868.1, 868.3, 868.5], limit: { power: 14, type: 'ERP' } },
+                    { name: 'Additional channels', frequencies: channels(867.1, 0.2, 5), limit: { power: 14, type: 'ERP' } },
+                    { name: 'High power, 10% duty cycle', frequencies: [869.525], limit: { power: 27, type: 'ERP' } }
+                ]
+            },
+            EU433: {
+                name: 'EU433 (Europe)',
+                range: [433.05, 434.79],
+                channels: [
+                    { name: 'Default channels', frequencies: [433.175, 433.375, 433.575], limit: { power: 10, type: 'ERP' } }
+                ]
+            },
+            US915: {
+                name: 'US915 (North America)',
+                range: [902, 928],
+                channels: [
+                    { name: 'Uplink 125 kHz', frequencies: channels(902.3, 0.2, 64), limit: { power: 36, type: 'EIRP' } },
+                    { name: 'Uplink 500 kHz', frequencies: channels(903.0, 1.6, 8), limit: { power: 36, type: 'EIRP' } },
+                    { name: 'Downlink 500 kHz', frequencies: channels(923.3, 0.6, 8), limit: { power: 36, type: 'EIRP' } }
+                ]
+            },
+            AU915: {
+                name: 'AU915 (Australia)',
+                range: [915, 928],
+                channels: [
+                    { name: 'Uplink 125 kHz', frequencies: channels(915.2, 0.2, 64), limit: { power: 30, type: 'EIRP' } },
+                    { name: 'Uplink 500 kHz', frequencies: channels(915.9, 1.6, 8), limit: { power: 30, type: 'EIRP' } },
+                    { name: 'Downlink 500 kHz', frequencies: channels(923.3, 0.6, 8), limit: { power: 30, type: 'EIRP' } }
+                ]
+            },
+            AS923: {
+                name: 'AS923-1 (Asia)',
+                range: [915, 928],
+                channels: [
+                    { name: 'Default channels', frequencies: [923.2, 923.4], limit: { power: 16, type: 'EIRP' } },
+                    { name: 'Additional channels', frequencies: channels(922.0, 0.2, 6), limit: { power: 16, type: 'EIRP' } }
+                ]
+            },
+            IN865: {
+                name: 'IN865 (India)',
+                range: [865, 867],
+                channels: [
+                    { name: 'Default channels', frequencies: [865.0625, 865.4025, 865.985], limit: { power: 30, type: 'EIRP' } }
+                ]
+            },
+            ISM2400: {
+                name: '2.4 GHz ISM (SX1280)',
+                range: [2400, 2483.5],
+                bandwidths: [203, 406, 812, 1625],
+                channels: [
+                    { name: 'Default channels', frequencies: [2403, 2425, 2479], limit: { power: 10, type: 'EIRP' } }
+                ]
+            }
+        };
+    }
+
+    /**
+     * Region for an id, null if unknown
+     */
+    getRegion(id) {
+        return this.regions[id] || null;
+    }
+
+    /**
+     * Region whose band is closest to a frequency (for settings saved without a region)
+     */
+    findRegion(frequency) {
+        const distance = ([min, max]) => Math.max(min - frequency, frequency - max, 0);
+        return Object.keys(this.regions).reduce((best, id) =>
+            (distance(this.regions[id].range) < distance(this.regions[best].range) ? id : best));
+    }
+
+    /**
+     * Bandwidths (kHz) available in a region
+     */
+    getBandwidths(id) {
+        return this.regions[id].bandwidths || this.defaultBandwidths;
+    }
+
+    /**
+     * Channel list containing a frequency, null if it is not a channel of the region
+     */
+    getChannelList(id, frequency) {
+        return this.regions[id].channels.find(list =>
+            list.frequencies.some(channel => Math.abs(channel - frequency) < 1e-6)) || null;
+    }
+
+    /**
+     * Channel of a region closest to a frequency
+     */
+    getNearestFrequency(id, frequency) {
+        const all = this.regions[id].channels.flatMap(list => list.frequencies);
+        return all.reduce((best, channel) =>
+            (Math.abs(channel - frequency) < Math.abs(best - frequency) ? channel : best));
+    }
+
+    /**
+     * Transmit power limit on a channel
+     * Returns { power, type (EIRP | ERP), eirp (dBm) }, null off the channel lists
+     */
+    getLimit(id, frequency) {
+        const list = this.getChannelList(id, frequency);
+        if (!list) return null;
+
+        const { power, type } = list.limit;
+        return { power, type, eirp: type === 'ERP' ? power + this.erpToEirp : power };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BandPlans;
+}
@@ -0,0 +1,266 @@
+/**
+ * Building Dataset
+ * Local building footprints from a GeoJSON FeatureCollection (e.g. cadastral exports)
+ * used instead of, or merged with, OSM buildings
+ * Coordinates must be WGS84 longitude/latitude (RFC 7946)
+ */
+
+class BuildingDataset {
+    constructor(elevationService) {
+        this.elevationService = elevationService;
+        this.name = null;
+        this.features = [];
+        this.buildings = [];
+        this.bounds = null;
+        this.cellSize = 0.005; // degrees (~500 m), grid of the extent covered by footprints
+        this.coveredCells = new Set();
+        this.heightAttribute = 'height';
+        this.minHeightAttribute = 'min_height';
+        this.mode = 'replace'; // replace: drop OSM in grid cells with local footprints | merge: keep both
+        this.defaultHeight = 10; // m, for footprints without a usable height
+        this.missingHeights = 0;
+    }
+
+    /**
+     * Load a GeoJSON file from a file picker
+     * Returns a summary of the dataset
+     */
+    async loadFile(file) {
+        let geojson;
+        try {
+            geojson = JSON.parse(await file.text());
+        } catch (error) {
+            throw new Error(`${file.name}: not valid JSON`);
+        }
+
+        return this.loadGeoJson(geojson, file.name);
+    }
+
+    /**
+     * Load footprints from a parsed GeoJSON FeatureCollection
+     */
+    loadGeoJson(geojson, name) {
+        if (!geojson || geojson.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+            throw new Error(`${name}: expected a GeoJSON FeatureCollection`);
+        }
+
+        const features = geojson.features.filter(feature =>
+            feature.geometry && ['Polygon', 'MultiPolygon'].includes(feature.geometry.type)
+        );
+        if (features.length === 0) {
+            throw new Error(`${name}: no Polygon or MultiPolygon footprints`);
+        }
+
+        // Projected exports (e.g. national grids) have coordinates far outside lon/lat ranges
+        const [lon, lat] = features[0].geometry.type === 'Polygon' ?
+            features[0].geometry.coordinates[0][0] :
+            features[0].geometry.coordinates[0][0][0];
+        if (Math.abs(lon) > 180 || Math.abs(lat) > 90) {
+            throw new Error(`${name}: coordinates are not WGS84 longitude/latitude, export as EPSG:4326`);
+        }
+
+        this.name = name;
+        this.features = features;
+        return this.build();
+    }
+
+    /**
+     * Use another property as the building height and rebuild the footprints
+     */
+    setHeightAttribute(attribute) {
+        this.heightAttribute = attribute;
+        return this.features.length > 0 ? this.build() : null;
+    }
+
+    /**
+     * Convert the features into building objects (one per polygon, outer ring only)
+     */
+    build() {
+        const number = value => {
+            const parsed = parseFloat(value);
+            return isFinite(parsed) ? parsed : null;
+        };
+
+        this.buildings = [];
+        this.missingHeights = 0;
+
+        this.features.forEach((feature, index) => {
+            const properties = feature.properties || {};
+            let height = number(properties[this.heightAttribute]);
+            if (height === null || height <= 0) {
+                height = this.defaultHeight;
+                this.missingHeights++;
+            }
+            const minHeight = Math.max(0, Math.min(number(properties[this.minHeightAttribute]) || 0, height));
+
+            const polygons = feature.geometry.type === 'Polygon' ?
+                [feature.geometry.coordinates] :
+                feature.geometry.coordinates;
+
+            polygons.forEach((rings, part) => {
+                const geometry = (rings[0] || []).map(([lon, lat]) => ({ lat, lon }));
+                if (geometry.length < 3) return;
+
+                const lats = geometry.map(node => node.lat);
+                const lons = geometry.map(node => node.lon);
+
+                this.buildings.push({
+                    id: `local/${index}${polygons.length > 1 ? `.${part}` : ''}`,
+                    lat: lats.reduce((sum, v) => sum + v, 0) / lats.length,
+                    lon: lons.reduce((sum, v) => sum + v, 0) / lons.length,
+                    height,
+                    minHeight,
+                    geometry,
+                    source: 'local',
+                    bounds: {
+                        south: Math.min(...lats),
+                        north: Math.max(...lats),
+                        west: Math.min(...lons),
+                        east: Math.max(...lons)
+                    }
+                });
+            });
+        });
+
+        // Overall extent and the grid cells footprints reach into
+        // (a loop, as spreading large datasets into Math.min overflows the stack)
+        this.bounds = { south: Infinity, north: -Infinity, west: Infinity, east: -Infinity };
+        this.coveredCells = new Set();
+        this.buildings.forEach(({ bounds }) => {
+            this.bounds.south = Math.min(this.bounds.south, bounds.south);
+            this.bounds.north = Math.max(this.bounds.north, bounds.north);
+            this.bounds.west = Math.min(this.bounds.west, bounds.west);
+            this.bounds.east = Math.max(this.bounds.east, bounds.east);
+            this.forEachCell(bounds.south, bounds.west, bounds.north, bounds.east, key => this.coveredCells.add(key));
+        });
+        if (this.buildings.length === 0) this.bounds = null;
+
+        return this.getSummary();
+    }
+
+    /**
+     * Name, size and numeric attributes (candidate height fields) of the dataset
+     */
+    getSummary() {
+        const attributes = new Set();
+        this.features.slice(0, 100).forEach(feature => {
+            Object.entries(feature.properties || {}).forEach(([key, value]) => {
+                if (isFinite(parseFloat(value))) attributes.add(key);
+            });
+        });
+
+        return {
+            name: this.name,
+            buildings: this.buildings.length,
+            missingHeights: this.missingHeights,
+            heightAttribute: this.heightAttribute,
+            attributes: [...attributes]
+        };
+    }
+
+    /**
+     * True if a dataset is loaded
+     */
+    isLoaded() {
+        return this.buildings.length > 0;
+    }
+
+    /**
+     * Call fn with the key of every grid cell a box overlaps
+     */
+    forEachCell(south, west, north, east, fn) {
+        const size = this.cellSize;
+        for (let row = Math.floor(south / size); row <= Math.floor(north / size); row++) {
+            for (let col = Math.floor(west / size); col <= Math.floor(east / size); col++) {
+                fn(`${row},${col}`);
+            }
+        }
+    }
+
+    /**
+     * True if a location lies within the dataset extent, i.e. in a grid cell with local footprints
+     * Disjoint areas (e.g. two towns) don't cover the gap between them
+     */
+    covers(lat, lon) {
+        if (!this.bounds) return false;
+        const { south, north, west, east } = this.bounds;
+        if (lat < south || lat > north || lon < west || lon > east) return false;
+
+        const size = this.cellSize;
+        return this.coveredCells.has(`${Math.floor(lat / size)},${Math.floor(lon / size)}`);
+    }
+
+    /**
+     * True if a box lies entirely within the dataset extent
+     */
+    containsBox(south, west, north, east) {
+        if (!this.bounds) return false;
+
+        let contained = true;
+        this.forEachCell(south, west, north, east, key => {
+            if (!this.coveredCells.has(key)) contained = false;
+        });
+        return contained;
+    }
+
+    /**
+     * Footprints overlapping a bounding box
+     */
+    getBuildingsInBox(south, west, north, east) {
+        return this.buildings.filter(({ bounds }) =>
+            bounds.north >= south && bounds.south <= north && bounds.east >= west && bounds.west <= east
+        );
+    }
+
+    /**
+     * Height of the tallest footprint containing a location, null if none
+     */
+    getBuildingHeightAt(lat, lon) {
+        let height = null;
+
+        this.getBuildingsInBox(lat, lon, lat, lon).forEach(building => {
+            if (this.elevationService.isPointInPolygon(lat, lon, building.geometry)) {
+                height = Math.max(height || 0, building.height);
+            }
+        });
+
+        return height;
+    }
+
+    /**
+     * Combine OSM buildings with the local footprints
+     * replace: OSM buildings centered inside the dataset extent (grid cells with local footprints) are dropped
+     * merge: OSM buildings centered inside a local footprint are dropped (same building)
+     */
+    mergeWith(osmBuildings, localBuildings) {
+        const kept = osmBuildings.filter(building => {
+            if (this.mode === 'replace') {
+                return !this.covers(building.lat, building.lon);
+            }
+            return !localBuildings.some(({ bounds, geometry }) =>
+                building.lat >= bounds.south && building.lat <= bounds.north &&
+                building.lon >= bounds.west && building.lon <= bounds.east &&
+                this.elevationService.isPointInPolygon(building.lat, building.lon, geometry)
+            );
+        });
+
+        return [...kept, ...localBuildings];
+    }
+
+    /**
+     * Unload the dataset
+     */
+    clear() {
+        this.name = null;
+        this.features = [];
+        this.buildings = [];
+        this.bounds = null;
+        this.coveredCells = new Set();
+        this.missingHeights = 0;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BuildingDataset;
+}
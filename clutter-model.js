@@ -0,0 +1,171 @@
+/**
+ * Clutter Model
+ * Excess loss where the radio path runs through vegetation or built-up land cover
+ * from OSM (forest, wood, scrub, orchards, residential, commercial, industrial)
+ * Models: ITU-R P.833 (exponential, terrestrial path in woodland) and Weissberger
+ */
+
+class ClutterModel {
+    constructor(elevationService) {
+        this.elevationService = elevationService;
+
+        // height: canopy or roof height above ground (m)
+        // density: equivalent depth of dense foliage per metre of path
+        this.classes = {
+            forest: { label: 'Forest', height: 15, density: 1, color: '#2e7d32' },
+            orchard: { label: 'Orchard', height: 5, density: 0.5, color: '#9ccc65' },
+            scrub: { label: 'Scrub', height: 3, density: 0.5, color: '#c0ca33' },
+            residential: { label: 'Residential', height: 8, density: 0.3, color: '#bcaaa4' },
+            commercial: { label: 'Commercial', height: 12, density: 0.3, color: '#ffb74d' },
+            industrial: { label: 'Industrial', height: 10, density: 0.2, color: '#90a4ae' }
+        };
+
+        // OSM tag -> clutter class
+        this.tagClasses = {
+            'landuse=forest': 'forest',
+            'natural=wood': 'forest',
+            'landuse=orchard': 'orchard',
+            'landuse=vineyard': 'orchard',
+            'natural=scrub': 'scrub',
+            'landuse=residential': 'residential',
+            'landuse=commercial': 'commercial',
+            'landuse=retail': 'commercial',
+            'landuse=industrial': 'industrial'
+        };
+
+        this.methods = {
+            'p833': 'ITU-R P.833',
+            'weissberger': 'Weissberger'
+        };
+
+        this.specificAttenuation = 0.2; // dB/m, P.833 γ for dense in-leaf foliage at the reference frequency
+        this.referenceFrequency = 900; // MHz
+        this.attenuationExponent = 0.7; // γ ∝ f^0.7, ~0.4 dB/m at 2.4 GHz (P.833 in-leaf curve)
+    }
+
+    /**
+     * P.833 specific attenuation γ (dB/m) at a frequency, scaled from the reference frequency
+     */
+    getSpecificAttenuation(frequencyMHz) {
+        return this.specificAttenuation * Math.pow(frequencyMHz / this.referenceFrequency, this.attenuationExponent);
+    }
+
+    /**
+     * Clutter class of a land cover area, null if it is not clutter
+     */
+    getClass(area) {
+        return this.tagClasses[area.tag] || null;
+    }
+
+    /**
+     * Densest clutter class at a location, null in the open
+     */
+    getClassAt(lat, lon, areas) {
+        let best = null;
+
+        areas.forEach(area => {
+            const clutterClass = this.getClass(area);
+            if (!clutterClass) return;
+            if (best && this.classes[best].density >= this.classes[clutterClass].density) return;
+
+            const { bounds } = area;
+            if (lat < bounds.south || lat > bounds.north || lon < bounds.west || lon > bounds.east) return;
+
+            const es = this.elevationService;
+            const inside = area.outers.some(ring => es.isPointInPolygon(lat, lon, ring)) &&
+                !area.inners.some(ring => es.isPointInPolygon(lat, lon, ring));
+            if (inside) best = clutterClass;
+        });
+
+        return best;
+    }
+
+    /**
+     * Split a profile into stretches where the direct path runs through clutter,
+     * i.e. over a clutter area and below its canopy/roof height
+     * startHeight, endHeight: antenna heights in m AMSL
+     * Returns [{ clutterClass, startIndex, endIndex, start, end (km), length (m) }]
+     */
+    getSegments(elevationProfile, areas, startHeight, endHeight, kFactor) {
+        const { profile, totalDistance } = elevationProfile;
+        const es = this.elevationService;
+        const segments = [];
+        let current = null;
+
+        profile.forEach((p, i) => {
+            const lineHeight = startHeight + (endHeight - startHeight) * (p.distance / totalDistance) -
+                es.calculateEarthBulge(p.distance, totalDistance - p.distance, kFactor);
+
+            const found = this.getClassAt(p.lat, p.lon, areas);
+            const clutterClass = found && lineHeight - p.elevation < this.classes[found].height ? found : null;
+
+            // Each sample stands for half the distance to its neighbours
+            const before = i > 0 ? (p.distance - profile[i - 1].distance) / 2 : 0;
+            const after = i < profile.length - 1 ? (profile[i + 1].distance - p.distance) / 2 : 0;
+
+            if (current && current.clutterClass !== clutterClass) {
+                segments.push(current);
+                current = null;
+            }
+            if (!clutterClass) return;
+
+            if (!current) {
+                current = { clutterClass, startIndex: i, start: p.distance - before, length: 0 };
+            }
+            current.endIndex = i;
+            current.end = p.distance + after;
+            current.length += (before + after) * 1000;
+        });
+
+        if (current) segments.push(current);
+        return segments;
+    }
+
+    /**
+     * Vegetation loss in dB for an equivalent foliage depth (m)
+     */
+    vegetationLoss(depth, frequencyMHz, method) {
+        if (depth <= 0) return 0;
+
+        if (method === 'weissberger') {
+            // Valid for depths up to 400 m
+            const f = Math.pow(frequencyMHz / 1000, 0.284);
+            const d = Math.min(depth, 400);
+            return d <= 14 ? 0.45 * f * d : 1.33 * f * Math.pow(d, 0.588);
+        }
+
+        // ITU-R P.833: A = Am (1 - exp(-d γ / Am)), Am = A1 f^α
+        const maxLoss = 0.18 * Math.pow(frequencyMHz, 0.752);
+        return maxLoss * (1 - Math.exp(-depth * this.getSpecificAttenuation(frequencyMHz) / maxLoss));
+    }
+
+    /**
+     * Clutter loss of a path with the selected method
+     * The total loss is shared between the segments by their equivalent depth
+     * Returns { method, loss, depth, segments, classes: { class: { length, loss } } }
+     */
+    calculateLoss(segments, frequencyMHz, method = 'p833') {
+        const depth = segments.reduce((sum, s) => sum + s.length * this.classes[s.clutterClass].density, 0);
+        const loss = this.vegetationLoss(depth, frequencyMHz, method);
+        const classes = {};
+
+        const shared = segments.map(segment => {
+            const segmentDepth = segment.length * this.classes[segment.clutterClass].density;
+            const segmentLoss = depth > 0 ? loss * segmentDepth / depth : 0;
+
+            const total = classes[segment.clutterClass] || { length: 0, loss: 0 };
+            total.length += segment.length;
+            total.loss += segmentLoss;
+            classes[segment.clutterClass] = total;
+
+            return { ...segment, loss: segmentLoss };
+        });
+
+        return { method, loss, depth, segments: shared, classes };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ClutterModel;
+}
@@ -0,0 +1,230 @@
+/**
+ * Coverage Service
+ * Predicts received signal strength around each site from radial terrain profiles
+ * and rasterizes it into a colored canvas for the map overlay
+ */
+
+class CoverageService {
+    constructor(elevationService) {
+        this.elevationService = elevationService;
+        this.profileCache = new Map();
+        this.maxRadials = 360;
+        this.minRadials = 36;
+
+        // RSSI legend classes (dBm), strongest first
+        this.legend = [
+            { min: -100, color: [0, 255, 136], label: '> -100 dBm' },
+            { min: -110, color: [198, 255, 0], label: '-100 to -110 dBm' },
+            { min: -120, color: [255, 170, 0], label: '-110 to -120 dBm' },
+            { min: -Infinity, color: [255, 68, 102], label: '-120 dBm to sensitivity' }
+        ];
+    }
+
+    /**
+     * Number of radials needed so adjacent radials are about one cell apart at the edge
+     */
+    getRadialCount(radiusKm, resolutionKm) {
+        const radials = Math.round((2 * Math.PI * radiusKm) / resolutionKm);
+        return Math.min(this.maxRadials, Math.max(this.minRadials, radials));
+    }
+
+    /**
+     * Get (cached) elevation profiles along all radials of a site
+     * Missing radials are fetched together, so their samples share batched requests
+     */
+    async getRadialProfiles(site, radials, radiusKm, samples, onProgress) {
+        const keys = Array.from({ length: radials }, (_, r) =>
+            `${site.lat.toFixed(6)},${site.lon.toFixed(6)}:${((360 * r) / radials).toFixed(2)}:${radiusKm}:${samples}`);
+
+        const missing = [];
+        keys.forEach((key, r) => {
+            if (!this.profileCache.has(key)) missing.push(r);
+        });
+
+        if (missing.length > 0) {
+            const start = { lat: site.lat, lon: site.lon };
+            const profiles = await this.elevationService.getElevationProfiles(missing.map(r => ({
+                point1: start,
+                point2: this.elevationService.calculateDestination(site.lat, site.lon, (360 * r) / radials, radiusKm),
+                numSamples: samples
+            })), onProgress);
+
+            missing.forEach((r, i) => this.profileCache.set(keys[r], profiles[i]));
+        }
+
+        return keys.map(key => this.profileCache.get(key));
+    }
+
+    /**
+     * Predict RSSI along every radial around a site
+     * options: {
+     *   radiusKm, resolutionKm
+     *   txHeight, rxHeight       antenna heights above terrain (m)
+     *   frequency, kFactor
+     *   evaluate(elevationProfile, losAnalysis, txHeight, rxHeight)
+     *                            returns predicted RSSI (dBm) or null when there is no link
+     *   onProgress(fraction)     first half for the terrain download, second half for the evaluation
+     *   isCancelled()            returns true to abort
+     * }
+     * Returns { site, radials, samples, radiusKm, resolutionKm, rssi: [radial][sample], degradedSamples }
+     * degradedSamples counts terrain samples that were not clean measurements
+     */
+    async computeSiteCoverage(site, options) {
+        const {
+            radiusKm,
+            resolutionKm,
+            txHeight,
+            rxHeight,
+            frequency,
+            kFactor,
+            evaluate,
+            onProgress = () => {},
+            isCancelled = () => false
+        } = options;
+
+        const radials = this.getRadialCount(radiusKm, resolutionKm);
+        const samples = Math.max(2, Math.round(radiusKm / resolutionKm));
+        const rssi = [];
+        let degradedSamples = 0;
+
+        const radialProfiles = await this.getRadialProfiles(site, radials, radiusKm, samples,
+            fraction => onProgress(fraction / 2));
+
+        for (let r = 0; r < radials; r++) {
+            if (isCancelled()) return null;
+
+            const { profile, quality } = radialProfiles[r];
+            const values = [null];
+            degradedSamples += quality.total - quality.ok;
+
+            // Evaluate the link from the site to every sample along the radial
+            for (let j = 1; j < profile.length; j++) {
+                const subProfile = {
+                    profile: profile.slice(0, j + 1),
+                    totalDistance: profile[j].distance,
+                    startElevation: profile[0].elevation,
+                    endElevation: profile[j].elevation
+                };
+
+                const losAnalysis = this.elevationService.analyzeLineOfSight(
+                    subProfile,
+                    txHeight,
+                    rxHeight,
+                    null,
+                    frequency,
+                    [],
+                    kFactor
+                );
+
+                values.push(evaluate(subProfile, losAnalysis, txHeight, rxHeight));
+            }
+
+            rssi.push(values);
+            onProgress(0.5 + (r + 1) / radials / 2);
+
+            // Let the browser handle input (and cancellation) between radials
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        return { site, radials, samples, radiusKm, resolutionKm, rssi, degradedSamples };
+    }
+
+    /**
+     * Look up the predicted RSSI of a site at a location (nearest radial sample)
+     */
+    sampleCoverage(coverage, lat, lon) {
+        const { site, radials, samples, radiusKm } = coverage;
+        const { distance, azimuth: bearing } = this.elevationService.calculateGeodesic(site.lat, site.lon, lat, lon);
+
+        if (distance > radiusKm) return null;
+
+        const radial = Math.round(bearing / (360 / radials)) % radials;
+        const sample = Math.min(samples, Math.round((distance / radiusKm) * samples));
+
+        return coverage.rssi[radial][sample];
+    }
+
+    /**
+     * Rasterize one or more site coverages into a canvas (best server per cell)
+     * Returns { canvas, bounds: [[south, west], [north, east]], rows, cols, classes } or null
+     * classes holds the legend index per cell (row-major from the north-west), -1 where empty
+     */
+    renderRaster(coverages, resolutionKm, sensitivity) {
+        if (coverages.length === 0) return null;
+
+        // Bounding box of all coverage circles
+        let south = Infinity, west = Infinity, north = -Infinity, east = -Infinity;
+        coverages.forEach(({ site, radiusKm }) => {
+            const dLat = radiusKm / 111.32;
+            const dLon = radiusKm / (111.32 * Math.cos(this.elevationService.toRadians(site.lat)));
+            south = Math.min(south, site.lat - dLat);
+            north = Math.max(north, site.lat + dLat);
+            west = Math.min(west, site.lon - dLon);
+            east = Math.max(east, site.lon + dLon);
+        });
+
+        const midLat = this.elevationService.toRadians((south + north) / 2);
+        const rows = Math.max(1, Math.ceil(((north - south) * 111.32) / resolutionKm));
+        const cols = Math.max(1, Math.ceil(((east - west) * 111.32 * Math.cos(midLat)) / resolutionKm));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = cols;
+        canvas.height = rows;
+        const ctx = canvas.getContext('2d');
+        const image = ctx.createImageData(cols, rows);
+        const classes = new Int8Array(rows * cols).fill(-1);
+
+        for (let y = 0; y < rows; y++) {
+            const lat = north - ((y + 0.5) / rows) * (north - south);
+
+            for (let x = 0; x < cols; x++) {
+                const lon = west + ((x + 0.5) / cols) * (east - west);
+
+                let best = null;
+                coverages.forEach(coverage => {
+                    const value = this.sampleCoverage(coverage, lat, lon);
+                    if (value !== null && (best === null || value > best)) {
+                        best = value;
+                    }
+                });
+
+                const index = this.getRssiClass(best, sensitivity);
+                if (index < 0) continue;
+
+                const { color } = this.legend[index];
+                classes[y * cols + x] = index;
+
+                const offset = (y * cols + x) * 4;
+                image.data[offset] = color[0];
+                image.data[offset + 1] = color[1];
+                image.data[offset + 2] = color[2];
+                image.data[offset + 3] = 255;
+            }
+        }
+
+        ctx.putImageData(image, 0, 0);
+
+        return { canvas, bounds: [[south, west], [north, east]], rows, cols, classes };
+    }
+
+    /**
+     * Legend index for an RSSI value, -1 if below sensitivity or no link
+     */
+    getRssiClass(rssi, sensitivity) {
+        if (rssi === null || rssi < sensitivity) return -1;
+
+        return this.legend.findIndex(item => rssi >= item.min);
+    }
+
+    /**
+     * Clear cached radial profiles
+     */
+    clearCache() {
+        this.profileCache.clear();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CoverageService;
+}
@@ -0,0 +1,199 @@
+/**
+ * Custom Obstacles
+ * Obstacles drawn by hand (water towers, silos, tree lines, ...) that the data sources miss
+ * Points become circles and lines become strips, so all of them can be analyzed like
+ * building footprints. An attenuation (dB/m) makes an obstacle semi-transparent (trees)
+ * instead of solid
+ */
+
+class CustomObstacles {
+    constructor(elevationService) {
+        this.elevationService = elevationService;
+        this.obstacles = [];
+        this.nextId = 1;
+
+        this.types = {
+            point: { label: 'Point', height: 30, radius: 5 }, // radius in m
+            line: { label: 'Line', height: 15, width: 10 }, // width in m
+            polygon: { label: 'Polygon', height: 10 }
+        };
+        this.circleSegments = 16;
+    }
+
+    /**
+     * Add an obstacle
+     * obstacle: { type, coordinates: [{ lat, lon }], height, attenuation, name, radius, width }
+     * Returns the stored obstacle
+     */
+    add(obstacle) {
+        const defaults = this.types[obstacle.type];
+        if (!defaults) {
+            throw new Error(`Unknown obstacle type: ${obstacle.type}`);
+        }
+
+        const minVertices = { point: 1, line: 2, polygon: 3 }[obstacle.type];
+        if (!obstacle.coordinates || obstacle.coordinates.length < minVertices) {
+            throw new Error(`A ${defaults.label.toLowerCase()} obstacle needs at least ${minVertices} vertices`);
+        }
+
+        // Ids end up in popup handlers, so only positive integers are kept
+        const id = Number.isInteger(obstacle.id) && obstacle.id > 0 ? obstacle.id : this.nextId;
+        const stored = {
+            id,
+            type: obstacle.type,
+            name: obstacle.name ? String(obstacle.name) : `${defaults.label} ${id}`,
+            coordinates: obstacle.coordinates.map(({ lat, lon }) => ({ lat, lon })),
+            height: obstacle.height > 0 ? obstacle.height : defaults.height,
+            attenuation: obstacle.attenuation > 0 ? obstacle.attenuation : 0
+        };
+        if (obstacle.type === 'point') stored.radius = obstacle.radius || defaults.radius;
+        if (obstacle.type === 'line') stored.width = obstacle.width || defaults.width;
+
+        this.nextId = Math.max(this.nextId, stored.id) + 1;
+        this.obstacles.push(stored);
+        return stored;
+    }
+
+    /**
+     * Change the height, attenuation or name of an obstacle
+     */
+    update(id, changes) {
+        const obstacle = this.get(id);
+        if (!obstacle) return null;
+
+        if (changes.height > 0) obstacle.height = changes.height;
+        if (changes.attenuation >= 0) obstacle.attenuation = changes.attenuation;
+        if (changes.name) obstacle.name = changes.name;
+        return obstacle;
+    }
+
+    /**
+     * Get an obstacle by id
+     */
+    get(id) {
+        return this.obstacles.find(obstacle => obstacle.id === id) || null;
+    }
+
+    /**
+     * Remove an obstacle
+     */
+    remove(id) {
+        this.obstacles = this.obstacles.filter(obstacle => obstacle.id !== id);
+    }
+
+    /**
+     * Remove all obstacles
+     */
+    clear() {
+        this.obstacles = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Footprint polygon of an obstacle
+     */
+    getFootprint(obstacle) {
+        const es = this.elevationService;
+
+        if (obstacle.type === 'point') {
+            const [center] = obstacle.coordinates;
+            return Array.from({ length: this.circleSegments }, (_, i) =>
+                es.calculateDestination(center.lat, center.lon, (360 / this.circleSegments) * i, obstacle.radius / 1000)
+            );
+        }
+
+        if (obstacle.type === 'line') {
+            // Offset every vertex to both sides, perpendicular to the mean direction of its segments
+            const nodes = obstacle.coordinates;
+            const halfWidth = obstacle.width / 2000; // km
+            const left = [];
+            const right = [];
+
+            nodes.forEach((node, i) => {
+                const bearings = [];
+                if (i > 0) bearings.push(es.calculateBearing(nodes[i - 1].lat, nodes[i - 1].lon, node.lat, node.lon));
+                if (i < nodes.length - 1) bearings.push(es.calculateBearing(node.lat, node.lon, nodes[i + 1].lat, nodes[i + 1].lon));
+
+                // Circular mean of the bearings
+                const x = bearings.reduce((sum, b) => sum + Math.cos(b * Math.PI / 180), 0);
+                const y = bearings.reduce((sum, b) => sum + Math.sin(b * Math.PI / 180), 0);
+                const bearing = Math.atan2(y, x) * 180 / Math.PI;
+
+                left.push(es.calculateDestination(node.lat, node.lon, bearing - 90, halfWidth));
+                right.push(es.calculateDestination(node.lat, node.lon, bearing + 90, halfWidth));
+            });
+
+            return [...left, ...right.reverse()];
+        }
+
+        return obstacle.coordinates;
+    }
+
+    /**
+     * Obstacles as building objects for the line of sight analysis
+     */
+    toBuildings() {
+        return this.obstacles.map(obstacle => {
+            const geometry = this.getFootprint(obstacle);
+            const lats = geometry.map(node => node.lat);
+            const lons = geometry.map(node => node.lon);
+
+            return {
+                id: `obstacle/${obstacle.id}`,
+                name: obstacle.name,
+                lat: lats.reduce((sum, v) => sum + v, 0) / lats.length,
+                lon: lons.reduce((sum, v) => sum + v, 0) / lons.length,
+                height: obstacle.height,
+                minHeight: 0,
+                attenuation: obstacle.attenuation,
+                geometry,
+                source: 'obstacle',
+                bounds: {
+                    south: Math.min(...lats),
+                    north: Math.max(...lats),
+                    west: Math.min(...lons),
+                    east: Math.max(...lons)
+                }
+            };
+        });
+    }
+
+    /**
+     * Obstacles whose footprint reaches into a bounding box around a path
+     */
+    getAlongPath(lat1, lon1, lat2, lon2, bufferKm = 0.1) {
+        const dLat = bufferKm / 111;
+        const dLon = bufferKm / (111 * Math.cos(Math.max(Math.abs(lat1), Math.abs(lat2)) * Math.PI / 180));
+        const south = Math.min(lat1, lat2) - dLat;
+        const north = Math.max(lat1, lat2) + dLat;
+        const west = Math.min(lon1, lon2) - dLon;
+        const east = Math.max(lon1, lon2) + dLon;
+
+        return this.toBuildings().filter(({ bounds }) =>
+            bounds.north >= south && bounds.south <= north && bounds.east >= west && bounds.west <= east
+        );
+    }
+
+    /**
+     * Plain copies of the obstacles, for saving
+     */
+    serialize() {
+        return this.obstacles.map(obstacle => ({
+            ...obstacle,
+            coordinates: obstacle.coordinates.map(({ lat, lon }) => ({ lat, lon }))
+        }));
+    }
+
+    /**
+     * Replace all obstacles with saved ones
+     */
+    load(obstacles) {
+        this.clear();
+        obstacles.forEach(obstacle => this.add(obstacle));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CustomObstacles;
+}
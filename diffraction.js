@@ -0,0 +1,262 @@
+/**
+ * Diffraction Calculator
+ * Knife-edge diffraction loss over terrain/building profiles (ITU-R P.526)
+ * Methods: single edge, Deygout, Epstein-Peterson, Bullington
+ */
+
+class DiffractionCalculator {
+    constructor() {
+        this.earthRadius = 6371; // km
+        this.deygoutDepth = 2; // Principal edge plus one sub-edge on each side: up to 3 edges, as in P.526
+
+        this.methods = {
+            'single': 'Single knife-edge',
+            'deygout': 'Deygout (multi-edge)',
+            'epstein-peterson': 'Epstein-Peterson',
+            'bullington': 'Bullington'
+        };
+    }
+
+    /**
+     * Knife-edge diffraction loss J(v) in dB (ITU-R P.526 eq. 31)
+     */
+    knifeEdgeLoss(v) {
+        if (v <= -0.78) return 0;
+        return 6.9 + 20 * Math.log10(Math.sqrt(Math.pow(v - 0.1, 2) + 1) + v - 0.1);
+    }
+
+    /**
+     * Fresnel-Kirchhoff diffraction parameter v
+     * h: height of edge above the line between the two ends (m)
+     * d1, d2: distances from the ends (km), wavelength in m
+     */
+    calculateV(h, d1, d2, wavelength) {
+        if (d1 <= 0 || d2 <= 0) return -Infinity;
+        return h * Math.sqrt((2 / wavelength) * (1 / (d1 * 1000) + 1 / (d2 * 1000)));
+    }
+
+    /**
+     * Calculate diffraction loss for a profile
+     * profile: array of { distance (km), height (m AMSL, terrain + obstacles), lat, lon }
+     * txHeight, rxHeight: antenna heights in m AMSL
+     * Returns { method, loss, edges }
+     */
+    calculateLoss(profile, txHeight, rxHeight, frequencyMHz, kFactor = 4 / 3, method = 'deygout') {
+        if (profile.length < 3) {
+            return { method, loss: 0, edges: [] };
+        }
+
+        const wavelength = 299.792458 / frequencyMHz; // m
+        const points = this.applyEarthCurvature(profile, txHeight, rxHeight, kFactor);
+
+        let edges;
+        switch (method) {
+            case 'single':
+                edges = this.singleEdge(points, 0, points.length - 1, wavelength);
+                break;
+            case 'epstein-peterson':
+                edges = this.epsteinPeterson(points, wavelength);
+                break;
+            case 'bullington':
+                edges = this.bullington(points, wavelength);
+                break;
+            default:
+                edges = this.deygout(points, 0, points.length - 1, wavelength, this.deygoutDepth);
+        }
+
+        const loss = edges.reduce((sum, edge) => sum + edge.loss, 0);
+
+        // Report edges in path order
+        edges.sort((a, b) => a.distance - b.distance);
+
+        return {
+            method,
+            loss,
+            edges: edges.map(edge => ({
+                index: edge.index,
+                distance: edge.distance,
+                height: profile[edge.index].height,
+                v: edge.v,
+                loss: edge.loss,
+                lat: profile[edge.index].lat,
+                lon: profile[edge.index].lon
+            }))
+        };
+    }
+
+    /**
+     * Add effective earth bulge to intermediate heights and pin the antennas at the ends
+     */
+    applyEarthCurvature(profile, txHeight, rxHeight, kFactor) {
+        const totalDistance = profile[profile.length - 1].distance;
+        const effectiveRadius = kFactor > 0 ? this.earthRadius * kFactor : Infinity;
+
+        return profile.map((p, i) => {
+            if (i === 0) return { distance: 0, height: txHeight };
+            if (i === profile.length - 1) return { distance: totalDistance, height: rxHeight };
+
+            const d1 = p.distance;
+            const d2 = totalDistance - d1;
+            const bulge = isFinite(effectiveRadius) ? (d1 * d2) / (2 * effectiveRadius) * 1000 : 0;
+
+            return { distance: d1, height: p.height + bulge };
+        });
+    }
+
+    /**
+     * Find the edge with the highest v between two profile indices
+     */
+    findPrincipalEdge(points, start, end, wavelength) {
+        const a = points[start];
+        const b = points[end];
+        const span = b.distance - a.distance;
+
+        let best = null;
+        for (let i = start + 1; i < end; i++) {
+            const d1 = points[i].distance - a.distance;
+            const d2 = b.distance - points[i].distance;
+            const lineHeight = a.height + (b.height - a.height) * (d1 / span);
+            const v = this.calculateV(points[i].height - lineHeight, d1, d2, wavelength);
+
+            if (!best || v > best.v) {
+                best = { index: i, distance: points[i].distance, v };
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Single dominant knife-edge
+     */
+    singleEdge(points, start, end, wavelength) {
+        const edge = this.findPrincipalEdge(points, start, end, wavelength);
+        if (!edge || edge.v <= -0.78) return [];
+
+        return [{ ...edge, loss: this.knifeEdgeLoss(edge.v) }];
+    }
+
+    /**
+     * Deygout method: principal edge, then recursively the sub-paths on each side
+     * depth levels give up to 2^depth - 1 edges
+     */
+    deygout(points, start, end, wavelength, depth) {
+        if (depth <= 0 || end - start < 2) return [];
+
+        const edge = this.findPrincipalEdge(points, start, end, wavelength);
+        if (!edge || edge.v <= -0.78) return [];
+
+        return [
+            { ...edge, loss: this.knifeEdgeLoss(edge.v) },
+            ...this.deygout(points, start, edge.index, wavelength, depth - 1),
+            ...this.deygout(points, edge.index, end, wavelength, depth - 1)
+        ];
+    }
+
+    /**
+     * Epstein-Peterson method: each edge on the upper convex hull of the profile
+     * is evaluated between its neighbouring edges and the losses are summed
+     */
+    epsteinPeterson(points, wavelength) {
+        const hull = this.upperHull(points);
+        const edges = [];
+
+        for (let h = 1; h < hull.length - 1; h++) {
+            const prev = points[hull[h - 1]];
+            const edgePoint = points[hull[h]];
+            const next = points[hull[h + 1]];
+
+            const d1 = edgePoint.distance - prev.distance;
+            const d2 = next.distance - edgePoint.distance;
+            const lineHeight = prev.height + (next.height - prev.height) * (d1 / (d1 + d2));
+            const v = this.calculateV(edgePoint.height - lineHeight, d1, d2, wavelength);
+
+            if (v > -0.78) {
+                edges.push({ index: hull[h], distance: edgePoint.distance, v, loss: this.knifeEdgeLoss(v) });
+            }
+        }
+
+        return edges;
+    }
+
+    /**
+     * Indices of the upper convex hull ("rubber band") from first to last point
+     */
+    upperHull(points) {
+        const hull = [];
+
+        points.forEach((p, i) => {
+            while (hull.length >= 2) {
+                const a = points[hull[hull.length - 2]];
+                const b = points[hull[hull.length - 1]];
+                const cross = (b.distance - a.distance) * (p.height - a.height) -
+                              (b.height - a.height) * (p.distance - a.distance);
+                if (cross >= 0) {
+                    hull.pop();
+                } else {
+                    break;
+                }
+            }
+            hull.push(i);
+        });
+
+        return hull;
+    }
+
+    /**
+     * Bullington method (ITU-R P.526 §4.5.1 knife-edge part)
+     * Replaces all obstacles by a single equivalent edge at the
+     * intersection of the steepest rays from each terminal
+     */
+    bullington(points, wavelength) {
+        const n = points.length - 1;
+        const d = points[n].distance;
+        const hts = points[0].height;
+        const hrs = points[n].height;
+
+        // Slope of the line from transmitter to receiver
+        const str = (hrs - hts) / d;
+
+        // Steepest slope from the transmitter to any intermediate point
+        let stim = -Infinity;
+        for (let i = 1; i < n; i++) {
+            stim = Math.max(stim, (points[i].height - hts) / points[i].distance);
+        }
+
+        if (stim < str) {
+            // Line of sight: use the intermediate point with the highest v
+            const edge = this.findPrincipalEdge(points, 0, n, wavelength);
+            if (!edge || edge.v <= -0.78) return [];
+            return [{ ...edge, loss: this.knifeEdgeLoss(edge.v) }];
+        }
+
+        // Steepest slope from the receiver to any intermediate point
+        let srim = -Infinity;
+        for (let i = 1; i < n; i++) {
+            srim = Math.max(srim, (points[i].height - hrs) / (d - points[i].distance));
+        }
+
+        // Bullington point: intersection of the two steepest rays
+        const dbp = (hrs - hts + srim * d) / (stim + srim);
+        const heightAtBp = hts + stim * dbp;
+        const lineHeight = (hts * (d - dbp) + hrs * dbp) / d;
+        const v = this.calculateV(heightAtBp - lineHeight, dbp, d - dbp, wavelength);
+
+        if (v <= -0.78) return [];
+
+        // Attribute the equivalent edge to the nearest profile sample
+        let index = 1;
+        for (let i = 1; i < n; i++) {
+            if (Math.abs(points[i].distance - dbp) < Math.abs(points[index].distance - dbp)) {
+                index = i;
+            }
+        }
+
+        return [{ index, distance: dbp, v, loss: this.knifeEdgeLoss(v) }];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DiffractionCalculator;
+}
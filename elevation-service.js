@@ -1,91 +1,824 @@
 /**
  * Elevation Service
- * Fetches elevation data from Open-Elevation API
+ * Fetches elevation data from pluggable providers (Open-Elevation by default)
  * Handles terrain profile calculations and Fresnel zone analysis
+ *
+ * Provider interface:
+ *   id, name
+ *   covers(lat, lon)       true if the provider may have data for the location
+ *   async lookup(locations) one { elevation (m), status } per location, null where not covered
+ *                           status: 'ok', 'interpolated' (filled around voids) or 'void' (elevation null)
+ *                           throws when the source fails
+ *   getResolution(lat, lon) optional, data spacing in m at the location
+ *
+ * Sample status after all providers: 'ok', 'interpolated', 'void' (no provider had data)
+ * or 'missing' (lookup failed)
  */
 
 class ElevationService {
     constructor() {
-        this.apiUrl = 'https://api.open-elevation.com/api/v1/lookup';
+        this.providers = []; // Local sources, highest priority first
+        this.defaultProvider = new OpenElevationProvider();
         this.overpassUrl = 'https://overpass-api.de/api/interpreter';
         this.cache = new Map();
         this.buildingCache = new Map();
+        this.landCoverCache = new Map();
+        this.persistentCache = null; // Optional PersistentCache for online results
+        this.buildingDataset = null; // Optional BuildingDataset with local footprints
+        this.terrainCellsPerDegree = 3600; // Persistent elevation keys: 1 arc-second cells (~30 m), the Open-Elevation spacing
+        this.buildingTileSize = 0.02; // Persistent building and land cover keys: tile size in degrees (~2 km)
+        this.buildingTilesPerRequest = 4; // Corridor tiles per Overpass query
+        this.overpassRetries = 2;
+        this.overpassRetryDelay = 2000; // ms, doubled on every retry
+        this.batchSize = 50; // Locations per online elevation request
+        this.maxConcurrentRequests = 3;
+        this.maxPrefetchPoints = 10000;
+        this.defaultResolution = 30; // m, when no provider reports its resolution
+
+        // OSM land cover fetched for clutter loss
+        this.landCoverTags = {
+            landuse: ['forest', 'orchard', 'vineyard', 'residential', 'commercial', 'retail', 'industrial'],
+            natural: ['wood', 'scrub']
+        };
+
+        // OSM layers fetched in corridor tiles: Overpass tag filters, parser (null to skip)
+        // and the bounding box deciding which tiles a feature belongs to
+        this.overpassLayers = {
+            buildings: {
+                store: 'buildings',
+                cache: this.buildingCache,
+                filters: ['["building"]'],
+                parse: element => {
+                    const building = this.parseBuilding(element);
+                    return building.lat !== null && building.lon !== null ? building : null;
+                },
+                getBounds: building => this.getNodeBounds(building.geometry || [building])
+            },
+            landcover: {
+                store: 'landcover',
+                cache: this.landCoverCache,
+                filters: Object.entries(this.landCoverTags)
+                    .map(([tag, values]) => `["${tag}"~"^(${values.join('|')})$"]`),
+                parse: element => this.parseLandCover(element),
+                getBounds: area => area.bounds
+            }
+        };
+
+        // Adaptive profile sampling: one sample per (DEM resolution × spacingFactor), up to maxSamples
+        this.samplingMode = 'accurate';
+        this.samplingModes = {
+            fast: { spacingFactor: 3, minSamples: 20, maxSamples: 100, refinePeaks: false },
+            accurate: { spacingFactor: 1, minSamples: 50, maxSamples: 1000, refinePeaks: true }
+        };
+        this.maxRefinedPeaks = 10;
+        this.geodesy = new Geodesy(); // WGS84 distances, azimuths and geodesic paths
         this.earthRadius = 6371; // km
+        this.kFactor = 4 / 3; // Effective earth radius factor (standard atmosphere)
     }
 
     /**
-     * Fetch buildings along a path from OSM
+     * Use a persistent cache for online elevations and OSM buildings
      */
-    async getBuildingsAlongPath(lat1, lon1, lat2, lon2, bufferKm = 0.1) {
-        const key = `${lat1},${lon1}-${lat2},${lon2}`;
-        
-        if (this.buildingCache.has(key)) {
-            return this.buildingCache.get(key);
+    setPersistentCache(cache) {
+        this.persistentCache = cache;
+    }
+
+    /**
+     * Use local building footprints instead of, or merged with, OSM
+     */
+    setBuildingDataset(dataset) {
+        this.buildingDataset = dataset;
+    }
+
+    /**
+     * Fetch buildings in a corridor along a path from OSM
+     * Only the tiles the buffered path crosses are requested, a few per Overpass query
+     * onProgress(doneTiles, totalTiles) reports the download
+     * Returns { buildings, totalTiles, failedTiles, errors }; tiles that could not be
+     * fetched are left out rather than failing the whole corridor
+     * Footprints from a loaded building dataset replace or are merged with OSM
+     */
+    async getBuildingsAlongPath(lat1, lon1, lat2, lon2, bufferKm = 0.1, onProgress = () => {}) {
+        const dataset = this.buildingDataset && this.buildingDataset.isLoaded() ? this.buildingDataset : null;
+        let tiles = this.getCorridorTiles(lat1, lon1, lat2, lon2, bufferKm);
+
+        // No OSM download where a replacing dataset covers the whole tile
+        if (dataset && dataset.mode === 'replace') {
+            tiles = tiles.filter(tile => !dataset.containsBox(tile.south, tile.west, tile.north, tile.east));
+        }
+
+        const { buildings: tileBuildings, failed, errors } = await this.getBuildingsForTiles(tiles, onProgress);
+
+        let candidates = tileBuildings.flat();
+        if (dataset) {
+            const dLat = bufferKm / 111;
+            const dLon = bufferKm / (111 * Math.cos(Math.max(Math.abs(lat1), Math.abs(lat2)) * Math.PI / 180));
+            const local = dataset.getBuildingsInBox(
+                Math.min(lat1, lat2) - dLat, Math.min(lon1, lon2) - dLon,
+                Math.max(lat1, lat2) + dLat, Math.max(lon1, lon2) + dLon
+            );
+            candidates = dataset.mergeWith(candidates, local);
+        }
+
+        // Keep every footprint reaching into the corridor, not just those centered in it
+        const margin = bufferKm / Math.max(this.calculateDistance(lat1, lon1, lat2, lon2), bufferKm);
+        const nearPath = node => {
+            const { along, cross } = this.geodesy.trackOffset(lat1, lon1, lat2, lon2, node.lat, node.lon);
+            return along >= -margin && along <= 1 + margin && Math.abs(cross) <= bufferKm * 1000;
+        };
+
+        // Buildings can reach the same path through several tiles or cache generations
+        const unique = new Map();
+        candidates.forEach(building => {
+            const key = building.id || building;
+            if (unique.has(key)) return;
+            if (nearPath(building) || (building.geometry && building.geometry.some(nearPath))) {
+                unique.set(key, building);
+            }
+        });
+
+        if (failed.length > 0) {
+            console.error(`Buildings missing for ${failed.length} of ${tiles.length} tiles:`, errors);
+        }
+
+        return {
+            buildings: [...unique.values()],
+            totalTiles: tiles.length,
+            failedTiles: failed.length,
+            errors
+        };
+    }
+
+    /**
+     * Grid tile for a row and column
+     */
+    getBuildingTile(row, col) {
+        const size = this.buildingTileSize;
+        return {
+            key: `${row},${col}`,
+            south: +(row * size).toFixed(6),
+            west: +(col * size).toFixed(6),
+            north: +((row + 1) * size).toFixed(6),
+            east: +((col + 1) * size).toFixed(6)
+        };
+    }
+
+    /**
+     * Fixed grid tiles covering a bounding box
+     */
+    getBuildingTiles(minLat, minLon, maxLat, maxLon) {
+        const size = this.buildingTileSize;
+        const tiles = [];
+
+        for (let row = Math.floor(minLat / size); row <= Math.floor(maxLat / size); row++) {
+            for (let col = Math.floor(minLon / size); col <= Math.floor(maxLon / size); col++) {
+                tiles.push(this.getBuildingTile(row, col));
+            }
         }
 
-        // Calculate bounding box with buffer
-        const minLat = Math.min(lat1, lat2) - bufferKm / 111;
-        const maxLat = Math.max(lat1, lat2) + bufferKm / 111;
-        const minLon = Math.min(lon1, lon2) - bufferKm / (111 * Math.cos(lat1 * Math.PI / 180));
-        const maxLon = Math.max(lon1, lon2) + bufferKm / (111 * Math.cos(lat1 * Math.PI / 180));
+        return tiles;
+    }
+
+    /**
+     * Grid tiles touched by a path buffered by bufferKm, in order along the path
+     */
+    getCorridorTiles(lat1, lon1, lat2, lon2, bufferKm) {
+        const size = this.buildingTileSize;
+        const distance = this.calculateDistance(lat1, lon1, lat2, lon2);
+
+        // Step well below the tile size so no crossed tile is skipped
+        const steps = Math.max(1, Math.ceil(distance / (size * 111 / 4)));
+        const tiles = new Map();
+
+        this.interpolatePath(lat1, lon1, lat2, lon2, steps).forEach(point => {
+            const dLat = bufferKm / 111;
+            const dLon = bufferKm / (111 * Math.cos(point.lat * Math.PI / 180));
+
+            for (let row = Math.floor((point.lat - dLat) / size); row <= Math.floor((point.lat + dLat) / size); row++) {
+                for (let col = Math.floor((point.lon - dLon) / size); col <= Math.floor((point.lon + dLon) / size); col++) {
+                    const key = `${row},${col}`;
+                    if (!tiles.has(key)) tiles.set(key, this.getBuildingTile(row, col));
+                }
+            }
+        });
 
+        return [...tiles.values()];
+    }
+
+    /**
+     * Buildings per tile from the memory cache, the persistent cache or Overpass
+     * onProgress(doneTiles, totalTiles) is called as tiles arrive
+     * Returns { buildings: one array per tile, failed: [tile keys], errors: [messages] }
+     */
+    async getBuildingsForTiles(tiles, onProgress = () => {}) {
+        const { items, failed, errors } = await this.getOverpassTiles('buildings', tiles, onProgress);
+        return { buildings: items, failed, errors };
+    }
+
+    /**
+     * OSM features of a layer (buildings, landcover) per tile from the memory cache,
+     * the persistent cache or Overpass
+     * onProgress(doneTiles, totalTiles) is called as tiles arrive
+     * Returns { items: one array per tile, failed: [tile keys], errors: [messages] }
+     */
+    async getOverpassTiles(layerId, tiles, onProgress = () => {}) {
+        const layer = this.overpassLayers[layerId];
+        const result = new Map();
+        tiles.forEach(tile => {
+            const key = `tile:${tile.key}`;
+            if (layer.cache.has(key)) {
+                result.set(tile.key, layer.cache.get(key));
+            }
+        });
+
+        let missing = tiles.filter(tile => !result.has(tile.key));
+
+        if (missing.length > 0 && this.persistentCache) {
+            const stored = await this.persistentCache.getMany(layer.store, missing.map(tile => tile.key));
+            stored.forEach((items, key) => {
+                layer.cache.set(`tile:${key}`, items);
+                result.set(key, items);
+            });
+            missing = missing.filter(tile => !result.has(tile.key));
+        }
+
+        const failed = [];
+        const errors = [];
+        let rateLimited = false;
+        let done = tiles.length - missing.length;
+        onProgress(done, tiles.length);
+
+        for (let i = 0; i < missing.length; i += this.buildingTilesPerRequest) {
+            const chunk = missing.slice(i, i + this.buildingTilesPerRequest);
+
+            // Once Overpass is rate limiting, the remaining tiles would only add to it
+            if (rateLimited) {
+                chunk.forEach(tile => failed.push(tile.key));
+                done += chunk.length;
+                onProgress(done, tiles.length);
+                continue;
+            }
+
+            let fetched;
+            try {
+                fetched = await this.fetchTileChunk(layer, chunk, failed, errors);
+            } catch (error) {
+                if (!error.rateLimited) throw error;
+                rateLimited = true;
+                chunk.forEach(tile => failed.push(tile.key));
+                errors.push(error.message);
+                fetched = new Map();
+            }
+
+            fetched.forEach((items, key) => {
+                layer.cache.set(`tile:${key}`, items);
+                result.set(key, items);
+            });
+
+            if (this.persistentCache && fetched.size > 0) {
+                await this.persistentCache.setMany(layer.store,
+                    [...fetched].map(([key, value]) => ({ key, value })));
+            }
+
+            done += chunk.length;
+            onProgress(done, tiles.length);
+        }
+
+        return {
+            items: tiles.map(tile => result.get(tile.key) || []),
+            failed,
+            errors: [...new Set(errors)]
+        };
+    }
+
+    /**
+     * Fetch a group of tiles, splitting it in halves when Overpass gives up on its size
+     * (dense areas time out) until single tiles fail, which are recorded in failed/errors
+     * Other errors fail the whole group; rate limiting is rethrown to stop further queries
+     * Returns a Map of tile key -> features for the tiles that arrived
+     */
+    async fetchTileChunk(layer, tiles, failed, errors) {
+        try {
+            return await this.fetchTiles(layer, tiles);
+        } catch (error) {
+            if (error.rateLimited) throw error;
+
+            if (tiles.length === 1 || !error.tooLarge) {
+                tiles.forEach(tile => failed.push(tile.key));
+                errors.push(error.message);
+                return new Map();
+            }
+
+            const half = Math.ceil(tiles.length / 2);
+            const first = await this.fetchTileChunk(layer, tiles.slice(0, half), failed, errors);
+            const second = await this.fetchTileChunk(layer, tiles.slice(half), failed, errors);
+            return new Map([...first, ...second]);
+        }
+    }
+
+    /**
+     * Query Overpass for several tiles at once and split the features by tile
+     * A feature goes to every requested tile its bounding box overlaps
+     * (duplicates are removed when the tiles are merged)
+     * Returns a Map of tile key -> features (empty tiles included)
+     */
+    async fetchTiles(layer, tiles) {
+        const bboxes = tiles.map(t => `${t.south},${t.west},${t.north},${t.east}`);
+        const selectors = bboxes.flatMap(bbox => layer.filters.flatMap(filter =>
+            [`way${filter}(${bbox});`, `relation${filter}(${bbox});`]));
         const query = `
             [out:json][timeout:25];
             (
-              way["building"](${minLat},${minLon},${maxLat},${maxLon});
-              relation["building"](${minLat},${minLon},${maxLat},${maxLon});
+              ${selectors.join('\n              ')}
             );
             out geom;
         `;
 
-        try {
+        const data = await this.fetchOverpass(query);
+
+        const byTile = new Map(tiles.map(tile => [tile.key, []]));
+        const size = this.buildingTileSize;
+
+        data.elements
+            .map(element => layer.parse(element))
+            .filter(item => item !== null)
+            .forEach(item => {
+                const { south, west, north, east } = layer.getBounds(item);
+
+                for (let row = Math.floor(south / size); row <= Math.floor(north / size); row++) {
+                    for (let col = Math.floor(west / size); col <= Math.floor(east / size); col++) {
+                        const key = `${row},${col}`;
+                        if (byTile.has(key)) {
+                            byTile.get(key).push(item);
+                        }
+                    }
+                }
+            });
+
+        return byTile;
+    }
+
+    /**
+     * Bounding box of a list of { lat, lon } nodes
+     */
+    getNodeBounds(nodes) {
+        return nodes.reduce((bounds, { lat, lon }) => ({
+            south: Math.min(bounds.south, lat),
+            north: Math.max(bounds.north, lat),
+            west: Math.min(bounds.west, lon),
+            east: Math.max(bounds.east, lon)
+        }), { south: Infinity, north: -Infinity, west: Infinity, east: -Infinity });
+    }
+
+    /**
+     * Overpass error with flags telling callers how to react
+     * flags: { rateLimited, tooLarge }
+     */
+    overpassError(message, flags) {
+        const error = new Error(message);
+        error.rateLimited = Boolean(flags.rateLimited);
+        error.tooLarge = Boolean(flags.tooLarge);
+        return error;
+    }
+
+    /**
+     * Run an Overpass query and return the parsed response
+     * Retries with exponential backoff on rate limiting (429) and overload (504),
+     * honoring Retry-After; throws when the query fails or times out on the server
+     * Thrown errors carry rateLimited (429) or tooLarge (timeout, 504, runtime error)
+     */
+    async fetchOverpass(query) {
+        for (let attempt = 0; ; attempt++) {
             const response = await fetch(this.overpassUrl, {
                 method: 'POST',
                 body: `data=${encodeURIComponent(query)}`
             });
-            
-            const data = await response.json();
-            
-            // Process buildings
-            const buildings = data.elements.map(element => {
-                let height = 10; // Default building height in meters
-                
-                if (element.tags) {
-                    if (element.tags['height']) {
-                        height = parseFloat(element.tags['height']);
-                    } else if (element.tags['building:levels']) {
-                        height = parseFloat(element.tags['building:levels']) * 3; // 3m per level
-                    }
+
+            if (response.ok) {
+                const data = await response.json();
+
+                // Server-side timeouts still answer 200, with a remark instead of all elements
+                if (data.remark && /runtime error|timed out|out of memory/i.test(data.remark)) {
+                    throw this.overpassError(`Overpass: ${data.remark}`, { tooLarge: true });
                 }
+                return data;
+            }
+
+            const retryable = response.status === 429 || response.status === 504;
+            if (!retryable || attempt >= this.overpassRetries) {
+                throw this.overpassError(response.status === 429 ?
+                    'Overpass rate limit reached, try again in a minute' :
+                    `Overpass request failed (HTTP ${response.status})`, {
+                    rateLimited: response.status === 429,
+                    tooLarge: response.status === 504
+                });
+            }
+
+            const retryAfter = parseFloat(response.headers.get('Retry-After'));
+            const delay = !isNaN(retryAfter) ? retryAfter * 1000 : this.overpassRetryDelay * Math.pow(2, attempt);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+
+    /**
+     * Fetch land cover areas (forest, wood, residential, ...) along a path from OSM
+     * Uses the same corridor tiles and caches as the buildings
+     * Returns [{ id, tag: 'landuse=forest', outers: [ring], inners: [ring], bounds }]
+     * Throws if any tile could not be fetched, as missing forest would understate the loss
+     */
+    async getLandCoverAlongPath(lat1, lon1, lat2, lon2, bufferKm = 0.05) {
+        const tiles = this.getCorridorTiles(lat1, lon1, lat2, lon2, bufferKm);
+        const { items, failed, errors } = await this.getOverpassTiles('landcover', tiles);
+
+        if (failed.length > 0) {
+            throw new Error(`Land cover missing for ${failed.length} of ${tiles.length} tiles (${errors[0]})`);
+        }
+
+        // Large areas reach the path through several tiles
+        const unique = new Map();
+        items.flat().forEach(area => {
+            if (!unique.has(area.id)) unique.set(area.id, area);
+        });
+        return [...unique.values()];
+    }
 
-                // Get center point
-                let centerLat, centerLon;
-                if (element.geometry && element.geometry.length > 0) {
-                    const latSum = element.geometry.reduce((sum, node) => sum + node.lat, 0);
-                    const lonSum = element.geometry.reduce((sum, node) => sum + node.lon, 0);
-                    centerLat = latSum / element.geometry.length;
-                    centerLon = lonSum / element.geometry.length;
+    /**
+     * Convert an Overpass land cover way or multipolygon relation into an area
+     * Returns null if it has no closed outer ring
+     */
+    parseLandCover(element) {
+        const tags = element.tags || {};
+        const tagName = Object.keys(this.landCoverTags).find(name =>
+            this.landCoverTags[name].includes(tags[name])
+        );
+        if (!tagName) return null;
+
+        let outers = [];
+        let inners = [];
+        if (element.type === 'way' && element.geometry) {
+            outers = [element.geometry];
+        } else if (element.members) {
+            const ways = role => element.members
+                .filter(member => member.type === 'way' && member.role === role && member.geometry)
+                .map(member => member.geometry);
+            outers = this.assembleRings(ways('outer'));
+            inners = this.assembleRings(ways('inner'));
+        }
+
+        outers = outers.filter(ring => ring.length >= 3);
+        if (outers.length === 0) return null;
+
+        return {
+            id: `${element.type}/${element.id}`,
+            tag: `${tagName}=${tags[tagName]}`,
+            outers,
+            inners,
+            bounds: this.getNodeBounds(outers.flat())
+        };
+    }
+
+    /**
+     * Join multipolygon member ways end to end into rings
+     */
+    assembleRings(ways) {
+        const same = (a, b) => a.lat === b.lat && a.lon === b.lon;
+        const remaining = ways.map(way => way.slice());
+        const rings = [];
+
+        while (remaining.length > 0) {
+            const ring = remaining.shift();
+
+            let extended = true;
+            while (extended && !same(ring[0], ring[ring.length - 1])) {
+                extended = false;
+                for (let i = 0; i < remaining.length; i++) {
+                    const way = remaining[i];
+                    const end = ring[ring.length - 1];
+
+                    if (same(end, way[0])) {
+                        ring.push(...way.slice(1));
+                    } else if (same(end, way[way.length - 1])) {
+                        ring.push(...way.slice(0, -1).reverse());
+                    } else {
+                        continue;
+                    }
+
+                    remaining.splice(i, 1);
+                    extended = true;
+                    break;
                 }
+            }
 
-                return {
-                    lat: centerLat,
-                    lon: centerLon,
-                    height,
-                    geometry: element.geometry
-                };
-            }).filter(b => b.lat && b.lon);
+            rings.push(ring);
+        }
+
+        return rings;
+    }
+
+    /**
+     * Convert an Overpass building element into a building object
+     * height is the roof top above ground, minHeight the underside (raised parts, overhangs)
+     * Multipolygon relations use their largest outer ring
+     */
+    parseBuilding(element) {
+        const tags = element.tags || {};
+        const levelHeight = 3; // m per level
+        const tag = name => {
+            const value = parseFloat(tags[name]);
+            return isFinite(value) ? value : null;
+        };
+
+        // height covers the roof; building:levels does not, so add the roof on top
+        let height = 10; // Default building height in meters
+        if (tag('height') !== null) {
+            height = tag('height');
+        } else if (tag('building:levels') !== null) {
+            const roofHeight = tag('roof:height') !== null ? tag('roof:height') :
+                (tag('roof:levels') || 0) * levelHeight;
+            height = tag('building:levels') * levelHeight + roofHeight;
+        }
+
+        let minHeight = 0;
+        if (tag('min_height') !== null) {
+            minHeight = tag('min_height');
+        } else if (tag('building:min_level') !== null) {
+            minHeight = tag('building:min_level') * levelHeight;
+        }
+
+        let geometry = element.geometry;
+        if (!geometry && element.members) {
+            geometry = element.members
+                .filter(member => member.role === 'outer' && member.geometry)
+                .map(member => member.geometry)
+                .sort((a, b) => b.length - a.length)[0];
+        }
+
+        // Get center point, null without geometry
+        let centerLat = null;
+        let centerLon = null;
+        if (geometry && geometry.length > 0) {
+            const latSum = geometry.reduce((sum, node) => sum + node.lat, 0);
+            const lonSum = geometry.reduce((sum, node) => sum + node.lon, 0);
+            centerLat = latSum / geometry.length;
+            centerLon = lonSum / geometry.length;
+        }
+
+        return {
+            id: `${element.type}/${element.id}`,
+            lat: centerLat,
+            lon: centerLon,
+            height,
+            minHeight: Math.min(minHeight, height),
+            geometry
+        };
+    }
+
+    /**
+     * Get the height of the building a point sits on (rooftop mounting)
+     * Returns null if the point is not inside any building footprint
+     */
+    async getBuildingHeightAt(lat, lon) {
+        // Local footprints first; in replace mode they are authoritative inside their extent
+        const dataset = this.buildingDataset;
+        if (dataset && dataset.isLoaded() && dataset.covers(lat, lon)) {
+            const localHeight = dataset.getBuildingHeightAt(lat, lon);
+            if (localHeight !== null || dataset.mode === 'replace') return localHeight;
+        }
+
+        const key = `roof:${lat.toFixed(6)},${lon.toFixed(6)}`;
+
+        if (this.buildingCache.has(key)) {
+            return this.buildingCache.get(key);
+        }
+
+        const query = `
+            [out:json][timeout:25];
+            way["building"](around:50,${lat},${lon});
+            out geom;
+        `;
+
+        try {
+            const data = await this.fetchOverpass(query);
+
+            let height = null;
+            data.elements
+                .map(element => this.parseBuilding(element))
+                .filter(b => b.geometry && b.geometry.length >= 3)
+                .forEach(building => {
+                    if (this.isPointInPolygon(lat, lon, building.geometry)) {
+                        height = Math.max(height || 0, building.height);
+                    }
+                });
+
+            this.buildingCache.set(key, height);
+            return height;
 
-            this.buildingCache.set(key, buildings);
-            return buildings;
-            
         } catch (error) {
-            console.error('Error fetching buildings:', error);
-            return [];
+            console.error('Error fetching building at point:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Ray casting point-in-polygon test
+     * polygon is an array of { lat, lon } nodes
+     */
+    isPointInPolygon(lat, lon, polygon) {
+        let inside = false;
+
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const yi = polygon[i].lat, xi = polygon[i].lon;
+            const yj = polygon[j].lat, xj = polygon[j].lon;
+
+            const intersects = ((yi > lat) !== (yj > lat)) &&
+                (lon < (xj - xi) * (lat - yi) / (yj - yi) + xi);
+            if (intersects) inside = !inside;
+        }
+
+        return inside;
+    }
+
+    /**
+     * Register an elevation provider ahead of the existing ones
+     */
+    addProvider(provider) {
+        this.removeProvider(provider.id);
+        this.providers.unshift(provider);
+        this.cache.clear();
+    }
+
+    /**
+     * Unregister an elevation provider by id
+     */
+    removeProvider(id) {
+        this.providers = this.providers.filter(provider => provider.id !== id);
+        this.cache.clear();
+    }
+
+    /**
+     * All providers in lookup order, default provider last
+     */
+    getProviders() {
+        return [...this.providers, this.defaultProvider];
+    }
+
+    /**
+     * Display name of a provider id
+     */
+    getProviderName(id) {
+        const provider = this.getProviders().find(p => p.id === id);
+        return provider ? provider.name : 'No data';
+    }
+
+    /**
+     * Fetch elevations with the provider that answered each location
+     * Each provider is asked only for the locations still missing
+     * Returns [{ elevation, source, status, error }], source is the provider id;
+     * elevation is null (and source null) where no provider could answer
+     */
+    async getElevationSamples(locations) {
+        const samples = locations.map(() => null);
+        const failures = locations.map(() => ({ status: 'missing', error: 'No elevation source covers this location' }));
+
+        for (const provider of this.getProviders()) {
+            const pending = [];
+            locations.forEach((loc, i) => {
+                if (samples[i] === null && provider.covers(loc.lat, loc.lon)) {
+                    pending.push(i);
+                }
+            });
+
+            if (pending.length === 0) continue;
+
+            try {
+                const results = await this.lookupProvider(provider, pending.map(i => locations[i]));
+                pending.forEach((i, n) => {
+                    const result = results[n];
+                    if (!result) return;
+
+                    if (result.elevation !== null && result.elevation !== undefined) {
+                        samples[i] = {
+                            elevation: result.elevation,
+                            source: provider.id,
+                            status: result.status || 'ok',
+                            error: null
+                        };
+                    } else if (result.status === 'void') {
+                        failures[i] = { status: 'void', error: `${provider.name}: data void` };
+                    }
+                });
+            } catch (error) {
+                console.error(`Error fetching elevations from ${provider.name}:`, error);
+                pending.forEach(i => {
+                    if (failures[i].status !== 'void') {
+                        failures[i] = { status: 'missing', error: `${provider.name}: ${error.message}` };
+                    }
+                });
+            }
+        }
+
+        return samples.map((sample, i) => sample || { elevation: null, source: null, ...failures[i] });
+    }
+
+    /**
+     * Look up elevations from one provider
+     * Online results go through the persistent cache, keyed by 1 arc-second cell
+     */
+    async lookupProvider(provider, locations) {
+        if (provider !== this.defaultProvider || !this.persistentCache) {
+            return provider.lookup(locations);
+        }
+
+        const keys = locations.map(loc => this.getTerrainCellKey(loc.lat, loc.lon));
+        const cached = await this.persistentCache.getMany('elevation', keys);
+        const results = keys.map(key => (cached.has(key) ? { elevation: cached.get(key), status: 'ok' } : null));
+
+        const missing = [];
+        results.forEach((result, i) => {
+            if (result === null) missing.push(i);
+        });
+
+        if (missing.length > 0) {
+            const fetched = await provider.lookup(missing.map(i => locations[i]));
+            const entries = [];
+
+            // Only clean values are cached; voids are asked again next time
+            missing.forEach((i, n) => {
+                results[i] = fetched[n];
+                if (fetched[n] && fetched[n].status === 'ok') {
+                    entries.push({ key: keys[i], value: fetched[n].elevation });
+                }
+            });
+
+            await this.persistentCache.setMany('elevation', entries);
+        }
+
+        return results;
+    }
+
+    /**
+     * Persistent cache key of the terrain cell containing a location
+     * The cell size is part of the key, so entries of a coarser grid are never reused
+     */
+    getTerrainCellKey(lat, lon) {
+        const n = this.terrainCellsPerDegree;
+        return `${n}:${Math.round(lat * n)},${Math.round(lon * n)}`;
+    }
+
+    /**
+     * Download online elevations (and optionally OSM buildings) for an area into the persistent cache
+     * options: { includeBuildings, onProgress(fraction), isCancelled() }
+     * Returns { points, fetched, tiles, failedTiles }
+     */
+    async prefetchArea(south, west, north, east, options = {}) {
+        const {
+            includeBuildings = true,
+            onProgress = () => {},
+            isCancelled = () => false
+        } = options;
+
+        if (!this.persistentCache) {
+            throw new Error('Persistent cache is not available');
+        }
+
+        // One location per terrain cell
+        const n = this.terrainCellsPerDegree;
+        const locations = [];
+        for (let row = Math.floor(south * n); row <= Math.ceil(north * n); row++) {
+            for (let col = Math.floor(west * n); col <= Math.ceil(east * n); col++) {
+                locations.push({ lat: row / n, lon: col / n });
+            }
+        }
+
+        if (locations.length > this.maxPrefetchPoints) {
+            throw new Error(`Area too large (${locations.length} points, max ${this.maxPrefetchPoints}), zoom in`);
         }
+
+        const keys = locations.map(loc => this.getTerrainCellKey(loc.lat, loc.lon));
+        const cached = await this.persistentCache.getMany('elevation', keys);
+        const missing = locations.filter((loc, i) => !cached.has(keys[i]));
+
+        for (let i = 0; i < missing.length; i += this.batchSize) {
+            if (isCancelled()) break;
+
+            await this.lookupProvider(this.defaultProvider, missing.slice(i, i + this.batchSize));
+            onProgress(Math.min(1, (i + this.batchSize) / missing.length));
+        }
+
+        let tiles = 0;
+        let failedTiles = 0;
+        if (includeBuildings && !isCancelled()) {
+            const buildingTiles = this.getBuildingTiles(south, west, north, east);
+            const { failed } = await this.getBuildingsForTiles(buildingTiles);
+            tiles = buildingTiles.length;
+            failedTiles = failed.length;
+        }
+
+        return { points: locations.length, fetched: missing.length, tiles, failedTiles };
     }
 
     /**
-     * Fetch elevation for a single point
+     * Fetch elevation for a single point, null if unavailable
      */
     async getElevation(lat, lon) {
         const key = `${lat.toFixed(6)},${lon.toFixed(6)}`;
@@ -94,101 +827,174 @@ class ElevationService {
             return this.cache.get(key);
         }
 
-        try {
-            const response = await fetch(`${this.apiUrl}?locations=${lat},${lon}`);
-            const data = await response.json();
-            
-            if (data.results && data.results.length > 0) {
-                const elevation = data.results[0].elevation;
-                this.cache.set(key, elevation);
-                return elevation;
-            }
-        } catch (error) {
-            console.error('Error fetching elevation:', error);
+        const [sample] = await this.getElevationSamples([{ lat, lon }]);
+        if (sample.elevation !== null) {
+            this.cache.set(key, sample.elevation);
         }
-        
-        return 0;
+
+        return sample.elevation;
     }
 
     /**
-     * Fetch elevations for multiple points
+     * Fetch elevations for multiple points, null where unavailable
+     * Requests are batched like profile samples, so any number of points can be asked for
      */
     async getElevations(locations) {
-        // Open-Elevation API accepts batch requests
-        const locationString = locations
-            .map(loc => `${loc.lat},${loc.lon}`)
-            .join('|');
+        const samples = await this.fetchSamples(locations);
+        return samples.map(sample => sample.elevation);
+    }
 
-        try {
-            const response = await fetch(`${this.apiUrl}?locations=${locationString}`);
-            const data = await response.json();
-            
-            if (data.results) {
-                return data.results.map(result => result.elevation);
-            }
-        } catch (error) {
-            console.error('Error fetching elevations:', error);
-        }
-        
-        return locations.map(() => 0);
+    /**
+     * Clear cached point elevations (e.g. after the elevation sources change)
+     */
+    clearCache() {
+        this.cache.clear();
+    }
+
+    /**
+     * Geodesic between two points on the WGS84 ellipsoid
+     * Returns { distance (km), azimuth, reverseAzimuth } (degrees from true north,
+     * azimuth at point 1 towards point 2 and at point 2 back towards point 1)
+     */
+    calculateGeodesic(lat1, lon1, lat2, lon2) {
+        const { distance, initialBearing, finalBearing } = this.geodesy.inverse(lat1, lon1, lat2, lon2);
+
+        return {
+            distance: distance / 1000,
+            azimuth: initialBearing,
+            reverseAzimuth: (finalBearing + 180) % 360
+        };
     }
 
     /**
-     * Calculate distance between two points (Haversine formula)
+     * Calculate distance between two points in km (Vincenty, WGS84)
      */
     calculateDistance(lat1, lon1, lat2, lon2) {
-        const dLat = this.toRadians(lat2 - lat1);
-        const dLon = this.toRadians(lon2 - lon1);
-        
-        const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-                  Math.cos(this.toRadians(lat1)) * Math.cos(this.toRadians(lat2)) *
-                  Math.sin(dLon / 2) * Math.sin(dLon / 2);
-        
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-        
-        return this.earthRadius * c; // km
+        return this.geodesy.inverse(lat1, lon1, lat2, lon2).distance / 1000;
     }
 
     /**
-     * Interpolate points along a path
+     * Calculate true azimuth from point 1 to point 2 (degrees from north)
+     */
+    calculateBearing(lat1, lon1, lat2, lon2) {
+        return this.geodesy.inverse(lat1, lon1, lat2, lon2).initialBearing;
+    }
+
+    /**
+     * Calculate destination point from a start point, bearing (degrees) and distance (km)
+     */
+    calculateDestination(lat, lon, bearing, distanceKm) {
+        const { lat: lat2, lon: lon2 } = this.geodesy.direct(lat, lon, bearing, distanceKm * 1000);
+        return { lat: lat2, lon: lon2 };
+    }
+
+    /**
+     * Evenly spaced points along the geodesic (the radio path) between two locations
      */
     interpolatePath(lat1, lon1, lat2, lon2, numPoints = 50) {
-        const points = [];
-        
-        for (let i = 0; i <= numPoints; i++) {
-            const fraction = i / numPoints;
-            
-            const lat = lat1 + (lat2 - lat1) * fraction;
-            const lon = lon1 + (lon2 - lon1) * fraction;
-            
-            points.push({ lat, lon });
+        return this.geodesy.interpolate(lat1, lon1, lat2, lon2, numPoints);
+    }
+
+    /**
+     * Finest elevation data spacing (m) available at a location
+     */
+    getResolutionAt(lat, lon) {
+        const provider = this.getProviders().find(p => p.covers(lat, lon) && p.getResolution);
+        const resolution = provider ? provider.getResolution(lat, lon) : null;
+        return resolution || this.defaultResolution;
+    }
+
+    /**
+     * Finest data spacing (m) at the ends and middle of a path
+     */
+    getPathResolution(point1, point2) {
+        const [, middle] = this.interpolatePath(point1.lat, point1.lon, point2.lat, point2.lon, 2);
+        return Math.min(...[point1, middle, point2].map(p => this.getResolutionAt(p.lat, p.lon)));
+    }
+
+    /**
+     * Number of profile intervals for a path in the current sampling mode
+     */
+    getAdaptiveSampleCount(point1, point2) {
+        const mode = this.samplingModes[this.samplingMode];
+        const distanceM = this.calculateDistance(point1.lat, point1.lon, point2.lat, point2.lon) * 1000;
+        const spacing = this.getPathResolution(point1, point2) * mode.spacingFactor;
+
+        return Math.max(mode.minSamples, Math.min(mode.maxSamples, Math.ceil(distanceM / spacing)));
+    }
+
+    /**
+     * Fetch samples in batches, with a limited number of requests in flight
+     * onProgress(fraction) is called after every batch
+     */
+    async fetchSamples(locations, onProgress = () => {}) {
+        const batches = [];
+        for (let i = 0; i < locations.length; i += this.batchSize) {
+            batches.push(locations.slice(i, i + this.batchSize));
         }
-        
-        return points;
+
+        const results = new Array(batches.length);
+        let next = 0;
+        let done = 0;
+        const worker = async () => {
+            while (next < batches.length) {
+                const index = next++;
+                results[index] = await this.getElevationSamples(batches[index]);
+                onProgress(++done / batches.length);
+            }
+        };
+
+        const workers = Math.min(this.maxConcurrentRequests, batches.length);
+        await Promise.all(Array.from({ length: workers }, worker));
+
+        return results.flat();
     }
 
     /**
      * Get elevation profile between two points
+     * numSamples: number of intervals, adaptive to DEM resolution and length when omitted
+     */
+    async getElevationProfile(point1, point2, numSamples = null) {
+        const [profile] = await this.getElevationProfiles([{ point1, point2, numSamples }]);
+        return profile;
+    }
+
+    /**
+     * Get several elevation profiles with one batched fetch of all their samples
+     * paths: [{ point1, point2, numSamples }], onProgress(fraction) follows the fetch
      */
-    async getElevationProfile(point1, point2, numSamples = 50) {
-        const pathPoints = this.interpolatePath(
+    async getElevationProfiles(paths, onProgress = () => {}) {
+        const pathPoints = paths.map(({ point1, point2, numSamples }) => this.interpolatePath(
             point1.lat, point1.lon,
             point2.lat, point2.lon,
-            numSamples
-        );
+            numSamples || this.getAdaptiveSampleCount(point1, point2)
+        ));
 
         // Fetch elevations (in batches to respect API limits)
-        const batchSize = 50;
-        const elevations = [];
-        
-        for (let i = 0; i < pathPoints.length; i += batchSize) {
-            const batch = pathPoints.slice(i, i + batchSize);
-            const batchElevations = await this.getElevations(batch);
-            elevations.push(...batchElevations);
+        const samples = await this.fetchSamples(pathPoints.flat(), onProgress);
+
+        let offset = 0;
+        return paths.map(({ point1, point2 }, i) => {
+            const pathSamples = samples.slice(offset, offset + pathPoints[i].length);
+            offset += pathPoints[i].length;
+            return this.buildProfile(point1, point2, pathPoints[i], pathSamples);
+        });
+    }
+
+    /**
+     * Elevation profile from the fetched samples of a path
+     */
+    buildProfile(point1, point2, pathPoints, samples) {
+        // Fill voids and failed samples from their neighbours, but say so
+        const elevations = this.fillProfileGaps(samples.map(sample => sample.elevation));
+        const quality = this.getProfileQuality(samples);
+
+        if (quality.ok + quality.interpolated === 0) {
+            throw new Error(`No elevation data for this path${quality.errors.length ? ` (${quality.errors[0]})` : ''}`);
         }
 
-        // Calculate distances from start
-        const totalDistance = this.calculateDistance(
+        // Samples are evenly spaced along the geodesic
+        const { distance: totalDistance, azimuth, reverseAzimuth } = this.calculateGeodesic(
             point1.lat, point1.lon,
             point2.lat, point2.lon
         );
@@ -199,24 +1005,214 @@ class ElevationService {
             return {
                 lat: point.lat,
                 lon: point.lon,
-                elevation: elevations[index] || 0,
-                distance: distanceFromStart
+                elevation: elevations[index],
+                distance: distanceFromStart,
+                source: samples[index].source, // Provider id
+                status: samples[index].status
             };
         });
 
         return {
             profile,
             totalDistance,
-            startElevation: elevations[0] || 0,
-            endElevation: elevations[elevations.length - 1] || 0
+            azimuth,
+            reverseAzimuth,
+            startElevation: elevations[0],
+            endElevation: elevations[elevations.length - 1],
+            quality
+        };
+    }
+
+    /**
+     * Densify a profile around suspected peaks: the local maxima of terrain that come
+     * closest to (or above) the LoS line, taking earth curvature into account
+     * Skipped in fast mode and when samples are already at the DEM resolution
+     * Returns a new profile with the extra samples flagged refined: true
+     */
+    async refineProfilePeaks(elevationProfile, point1Height, point2Height, kFactor = this.kFactor) {
+        const { profile, totalDistance } = elevationProfile;
+        const mode = this.samplingModes[this.samplingMode];
+        if (!mode.refinePeaks || profile.length < 3) return elevationProfile;
+
+        const first = profile[0];
+        const last = profile[profile.length - 1];
+        const spacing = (totalDistance * 1000) / (profile.length - 1);
+        const steps = Math.floor(spacing / this.getPathResolution(first, last));
+        if (steps < 2) return elevationProfile;
+
+        // Terrain height relative to the LoS line
+        const startHeight = first.elevation + point1Height;
+        const endHeight = last.elevation + point2Height;
+        const relative = profile.map(p => {
+            const lineHeight = startHeight + (endHeight - startHeight) * (p.distance / totalDistance);
+            const bulge = this.calculateEarthBulge(p.distance, totalDistance - p.distance, kFactor);
+            return p.elevation + bulge - lineHeight;
+        });
+
+        const peaks = [];
+        for (let i = 1; i < profile.length - 1; i++) {
+            if (relative[i] >= relative[i - 1] && relative[i] >= relative[i + 1]) {
+                peaks.push(i);
+            }
+        }
+        peaks.sort((a, b) => relative[b] - relative[a]);
+
+        // Gaps on both sides of each peak
+        const gaps = new Set();
+        peaks.slice(0, this.maxRefinedPeaks).forEach(i => {
+            gaps.add(i - 1);
+            gaps.add(i);
+        });
+
+        const locations = [];
+        gaps.forEach(a => {
+            const from = profile[a];
+            const to = profile[a + 1];
+            for (let s = 1; s < steps; s++) {
+                const fraction = s / steps;
+                locations.push({
+                    lat: from.lat + (to.lat - from.lat) * fraction,
+                    lon: from.lon + (to.lon - from.lon) * fraction,
+                    distance: from.distance + (to.distance - from.distance) * fraction,
+                    from,
+                    to,
+                    fraction
+                });
+            }
+        });
+
+        const samples = await this.fetchSamples(locations);
+        const refined = locations.map((loc, i) => ({
+            lat: loc.lat,
+            lon: loc.lon,
+            // Failed samples fall back to the straight line between their neighbours
+            elevation: samples[i].elevation !== null ? samples[i].elevation :
+                loc.from.elevation + (loc.to.elevation - loc.from.elevation) * loc.fraction,
+            distance: loc.distance,
+            source: samples[i].source,
+            status: samples[i].status,
+            refined: true
+        }));
+
+        const extraQuality = this.getProfileQuality(samples);
+        const quality = { ...elevationProfile.quality };
+        ['total', 'ok', 'interpolated', 'void', 'missing'].forEach(key => {
+            quality[key] += extraQuality[key];
+        });
+        quality.complete = quality.ok === quality.total;
+        quality.errors = [...new Set([...quality.errors, ...extraQuality.errors])];
+
+        return {
+            ...elevationProfile,
+            profile: [...profile, ...refined].sort((a, b) => a.distance - b.distance),
+            quality,
+            refinedPeaks: Math.min(peaks.length, this.maxRefinedPeaks)
         };
     }
 
+    /**
+     * Fill null elevations by linear interpolation between the nearest valid samples
+     * (nearest valid value at the ends)
+     */
+    fillProfileGaps(elevations) {
+        const filled = elevations.slice();
+
+        for (let i = 0; i < filled.length; i++) {
+            if (filled[i] !== null) continue;
+
+            let prev = i - 1;
+            while (prev >= 0 && elevations[prev] === null) prev--;
+            let next = i + 1;
+            while (next < elevations.length && elevations[next] === null) next++;
+
+            if (prev >= 0 && next < elevations.length) {
+                const fraction = (i - prev) / (next - prev);
+                filled[i] = elevations[prev] + (elevations[next] - elevations[prev]) * fraction;
+            } else if (prev >= 0) {
+                filled[i] = elevations[prev];
+            } else if (next < elevations.length) {
+                filled[i] = elevations[next];
+            }
+        }
+
+        return filled;
+    }
+
+    /**
+     * Data quality summary of profile samples
+     * Returns { total, ok, interpolated, void, missing, complete, errors }
+     */
+    getProfileQuality(samples) {
+        const quality = { total: samples.length, ok: 0, interpolated: 0, void: 0, missing: 0 };
+        samples.forEach(sample => {
+            quality[sample.status]++;
+        });
+
+        quality.complete = quality.ok === quality.total;
+        quality.errors = [...new Set(samples.filter(s => s.error).map(s => s.error))];
+
+        return quality;
+    }
+
+    /**
+     * Project building footprints into path coordinates
+     * u = distance along the path (km), v = offset across it (m)
+     * Returns [{ building, points, minU, maxU }] for footprints with at least 3 nodes
+     */
+    projectFootprints(buildings, start, end, totalDistance) {
+        return buildings
+            .filter(building => building.geometry && building.geometry.length >= 3)
+            .map(building => {
+                const points = building.geometry.map(node => {
+                    const { along, cross } = this.geodesy.trackOffset(
+                        start.lat, start.lon, end.lat, end.lon, node.lat, node.lon
+                    );
+                    return { u: along * totalDistance, v: cross };
+                });
+
+                return {
+                    building,
+                    points,
+                    minU: Math.min(...points.map(p => p.u)),
+                    maxU: Math.max(...points.map(p => p.u))
+                };
+            });
+    }
+
+    /**
+     * Offset (m) of a footprint's cross-section at u from the path axis
+     * 0 when the footprint straddles the axis, null when it does not reach u
+     */
+    getFootprintOffset(points, u) {
+        const crossings = [];
+
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const a = points[j], b = points[i];
+            if ((a.u - u) * (b.u - u) > 0) continue;
+
+            if (a.u === b.u) {
+                crossings.push(a.v, b.v);
+            } else {
+                crossings.push(a.v + (b.v - a.v) * (u - a.u) / (b.u - a.u));
+            }
+        }
+
+        if (crossings.length === 0) return null;
+
+        const min = Math.min(...crossings);
+        const max = Math.max(...crossings);
+        if (min <= 0 && max >= 0) return 0;
+        return Math.min(Math.abs(min), Math.abs(max));
+    }
+
     /**
      * Calculate line of sight with Fresnel zone clearance
-     * Now includes building obstructions
+     * Buildings count where their footprint reaches into the first Fresnel zone's
+     * horizontal extent and their height range reaches into the zone
+     * Buildings with an attenuation (dB/m, e.g. drawn tree lines) do not block; the
+     * length of the direct path inside them adds to obstacleLoss instead
      */
-    analyzeLineOfSight(elevationProfile, point1Height, point2Height, fresnelRadius, frequency, buildings = []) {
+    analyzeLineOfSight(elevationProfile, point1Height, point2Height, fresnelRadius, frequency, buildings = [], kFactor = this.kFactor) {
         const { profile, totalDistance } = elevationProfile;
         
         if (profile.length < 2) {
@@ -233,6 +1229,43 @@ class ElevationService {
         const obstructions = [];
         let minClearance = Infinity;
 
+        // Obstruction surface (terrain + buildings) per sample, used for diffraction
+        const obstructionProfile = profile.map(p => p.elevation);
+
+        // Roof tops of the buildings reaching into the zone per sample, for charts
+        const buildingProfile = profile.map(() => null);
+        const zoneBuildings = new Set();
+
+        // Length (m) of the direct path inside each attenuating building
+        const attenuatingLengths = new Map();
+
+        // Footprints are checked at every sample they span, or at the nearest
+        // sample when they fit between two
+        const footprints = this.projectFootprints(buildings, profile[0], profile[profile.length - 1], totalDistance);
+        const footprintsAt = profile.map(() => []);
+        footprints.forEach(footprint => {
+            let nearest = 1;
+            let spanned = false;
+            const middle = (footprint.minU + footprint.maxU) / 2;
+
+            for (let i = 1; i < profile.length - 1; i++) {
+                const d = profile[i].distance;
+                if (d >= footprint.minU && d <= footprint.maxU) {
+                    footprintsAt[i].push(footprint);
+                    spanned = true;
+                }
+                if (Math.abs(d - middle) < Math.abs(profile[nearest].distance - middle)) {
+                    nearest = i;
+                }
+            }
+
+            if (!spanned && nearest < profile.length - 1) {
+                footprintsAt[nearest].push(footprint);
+            }
+        });
+
+        const calculator = new LoRaCalculator();
+
         // Check each point along the profile
         for (let i = 1; i < profile.length - 1; i++) {
             const point = profile[i];
@@ -244,30 +1277,47 @@ class ElevationService {
                 (endElevation - startElevation) * (d1 / totalDistance);
 
             // Earth curvature correction (important for long distances)
-            const earthBulge = this.calculateEarthBulge(d1, d2);
+            const earthBulge = this.calculateEarthBulge(d1, d2, kFactor);
 
             // Adjusted line height accounting for earth curvature
             const adjustedLineHeight = lineHeight - earthBulge;
 
             // Calculate Fresnel zone radius at this point
-            const calculator = new LoRaCalculator();
             const localFresnelRadius = calculator.calculateFresnelRadius(d1, d2, frequency);
 
-            // Required clearance height (60% of first Fresnel zone)
-            const requiredHeight = adjustedLineHeight + (localFresnelRadius * 0.6);
+            // Obstructions must stay below the line by 60% of the first Fresnel zone
+            const requiredHeight = adjustedLineHeight - (localFresnelRadius * 0.6);
 
             // Actual terrain height
             let obstructionHeight = point.elevation;
 
-            // Check for buildings at this point
-            buildings.forEach(building => {
-                const buildingDist = this.calculateDistance(point.lat, point.lon, building.lat, building.lon);
-                // If building is within 50m of the path point
-                if (buildingDist < 0.05) { // 50m = 0.05km
-                    obstructionHeight = Math.max(obstructionHeight, point.elevation + building.height);
+            // Buildings reaching into the zone's circular cross-section. An off-axis footprint
+            // only meets the lower part of the circle, so its roof counts as lowered by the
+            // sag of the circle at its offset
+            footprintsAt[i].forEach(({ building, points, minU, maxU }) => {
+                const offset = this.getFootprintOffset(points, Math.min(Math.max(d1, minU), maxU));
+                if (offset === null || offset > localFresnelRadius) return;
+
+                const halfHeight = Math.sqrt(localFresnelRadius ** 2 - offset ** 2);
+                const top = point.elevation + building.height;
+                const bottom = point.elevation + (building.minHeight || 0);
+                if (bottom >= adjustedLineHeight + halfHeight) return; // Zone passes underneath
+
+                if (building.attenuation > 0) {
+                    if (offset === 0 && adjustedLineHeight < top && adjustedLineHeight > bottom) {
+                        // Each sample stands for half the distance to its neighbours
+                        const sampleLength = (profile[i + 1].distance - profile[i - 1].distance) / 2 * 1000;
+                        attenuatingLengths.set(building, (attenuatingLengths.get(building) || 0) + sampleLength);
+                    }
+                } else {
+                    obstructionHeight = Math.max(obstructionHeight, top - (localFresnelRadius - halfHeight));
                 }
+                buildingProfile[i] = buildingProfile[i] === null ? top : Math.max(buildingProfile[i], top);
+                zoneBuildings.add(building);
             });
 
+            obstructionProfile[i] = obstructionHeight;
+
             // Calculate clearance
             const clearance = adjustedLineHeight - obstructionHeight;
             const fresnelClearancePercent = (clearance / localFresnelRadius) * 100;
@@ -283,7 +1333,7 @@ class ElevationService {
                     obstruction: obstructionHeight - requiredHeight,
                     lat: point.lat,
                     lon: point.lon,
-                    type: obstructionHeight > point.elevation + 5 ? 'building' : 'terrain'
+                    type: obstructionHeight > point.elevation ? 'building' : 'terrain'
                 });
             }
         }
@@ -291,6 +1341,14 @@ class ElevationService {
         const hasLoS = obstructions.length === 0;
         const fresnelClearance = minClearance;
 
+        // Path length inside an attenuating building is at most its extent along the path
+        let obstacleLoss = 0;
+        footprints.forEach(({ building, minU, maxU }) => {
+            if (!attenuatingLengths.has(building)) return;
+            const length = Math.min(attenuatingLengths.get(building), (maxU - minU) * 1000);
+            obstacleLoss += length * building.attenuation;
+        });
+
         // Determine quality
         let quality = 'excellent';
         if (!hasLoS) {
@@ -308,20 +1366,65 @@ class ElevationService {
             obstructions,
             fresnelClearance,
             quality,
-            totalDistance
+            totalDistance,
+            kFactor,
+            obstructionProfile,
+            buildingProfile,
+            zoneBuildings: [...zoneBuildings],
+            obstacleLoss
         };
     }
 
+    /**
+     * Run the line of sight analysis under several k-factors
+     * Shows how robust a link is across atmospheric conditions
+     */
+    analyzeLineOfSightMultiK(elevationProfile, point1Height, point2Height, fresnelRadius, frequency, buildings = [], kFactors = [2 / 3, 1, 4 / 3]) {
+        return kFactors.map(kFactor => this.analyzeLineOfSight(
+            elevationProfile,
+            point1Height,
+            point2Height,
+            fresnelRadius,
+            frequency,
+            buildings,
+            kFactor
+        ));
+    }
+
     /**
      * Calculate earth bulge (curvature) at a point
+     * Uses the effective earth radius (k × 6371 km)
      * Returns bulge height in meters
      */
-    calculateEarthBulge(d1, d2) {
+    calculateEarthBulge(d1, d2, kFactor = this.kFactor) {
         // d1 and d2 in km
-        const bulge = (d1 * d2) / (2 * this.earthRadius);
+        const effectiveRadius = this.getEffectiveEarthRadius(kFactor);
+        if (!isFinite(effectiveRadius)) return 0; // k = ∞ (flat earth)
+
+        const bulge = (d1 * d2) / (2 * effectiveRadius);
         return bulge * 1000; // Convert to meters
     }
 
+    /**
+     * Get effective earth radius in km for a k-factor
+     */
+    getEffectiveEarthRadius(kFactor = this.kFactor) {
+        if (kFactor <= 0) return Infinity; // Ducting - treat as flat earth
+        return this.earthRadius * kFactor;
+    }
+
+    /**
+     * Derive k-factor from surface refractivity Ns (N-units)
+     * Uses the exponential atmosphere model (ITU-R P.453):
+     * dN/dh = -7.32 × e^(0.005577 × Ns), k = 157 / (157 + dN/dh)
+     */
+    kFactorFromRefractivity(ns) {
+        const gradient = -7.32 * Math.exp(0.005577 * ns); // N-units/km
+        const denominator = 157 + gradient;
+        if (denominator <= 0) return Infinity; // Super-refraction / ducting
+        return 157 / denominator;
+    }
+
     /**
      * Convert degrees to radians
      */
@@ -0,0 +1,400 @@
+/**
+ * Geo Export
+ * Sites, analyzed links, obstructions and the coverage raster as KML, KMZ or GeoJSON
+ * for Google Earth and QGIS
+ * KMZ archives are written here (ZIP, deflated where CompressionStream is available)
+ */
+
+class GeoExport {
+    constructor() {
+        this.coverageOpacity = 0.55;
+        this.crcTable = null;
+    }
+
+    /**
+     * Radio settings as plain attributes
+     */
+    getRadioAttributes(radio) {
+        return {
+            bandPlan: radio.bandPlan,
+            frequencyMHz: radio.frequency,
+            bandwidthKHz: radio.bandwidth,
+            spreadingFactor: radio.spreadingFactor,
+            codingRate: `4/${radio.codingRate}`,
+            txPowerDbm: radio.txPower,
+            txGainDbi: radio.txGain,
+            rxGainDbi: radio.rxGain
+        };
+    }
+
+    /**
+     * Attributes of a site
+     */
+    getSiteAttributes(point, radio) {
+        return {
+            label: point.label,
+            name: point.name || '',
+            elevationM: point.elevation,
+            antennaHeightM: point.antennaHeight,
+            heightAboveTerrainM: point.totalHeight,
+            ...this.getRadioAttributes(radio)
+        };
+    }
+
+    /**
+     * Attributes of an analyzed link
+     */
+    getLinkAttributes(link) {
+        const round = (value, digits = 1) => (value === null || value === undefined || !isFinite(value) ?
+            null : Number(value.toFixed(digits)));
+
+        return {
+            from: link.from,
+            to: link.to,
+            distanceKm: round(link.distance, 3),
+            viable: link.viable,
+            lineOfSight: link.hasLoS,
+            quality: link.quality,
+            status: link.status,
+            fresnelClearancePct: round(link.fresnelClearance, 0),
+            fresnelRadiusM: round(link.fresnelRadius),
+            pathLossDb: round(link.pathLoss),
+            obstructionLossDb: round(link.obstructionLoss),
+            rxPowerDbm: round(link.rxPower),
+            linkMarginDb: round(link.linkMargin),
+            obstructions: link.obstructions.length,
+            color: link.color
+        };
+    }
+
+    /**
+     * Merge coverage cells of the same class along each row into rectangles
+     * Returns [{ index, label, color, boxes: [[south, west, north, east]] }] per legend class
+     */
+    getCoverageBoxes(coverage) {
+        const { rows, cols, classes, legend } = coverage;
+        const [[south, west], [north, east]] = coverage.bounds;
+        const cellLat = (north - south) / rows;
+        const cellLon = (east - west) / cols;
+        const groups = legend.map((entry, index) => ({ index, label: entry.label, color: entry.color, boxes: [] }));
+
+        for (let y = 0; y < rows; y++) {
+            let x = 0;
+            while (x < cols) {
+                const index = classes[y * cols + x];
+                let end = x + 1;
+                while (end < cols && classes[y * cols + end] === index) end++;
+
+                if (index >= 0) {
+                    groups[index].boxes.push([
+                        north - (y + 1) * cellLat,
+                        west + x * cellLon,
+                        north - y * cellLat,
+                        west + end * cellLon
+                    ]);
+                }
+                x = end;
+            }
+        }
+
+        return groups.filter(group => group.boxes.length > 0);
+    }
+
+    /**
+     * GeoJSON FeatureCollection (RFC 7946, WGS84 lon/lat)
+     * data: { name, radio, points, links, coverage }
+     */
+    toGeoJson(data) {
+        const features = [];
+
+        data.points.forEach(point => {
+            features.push({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [point.lon, point.lat] },
+                properties: { kind: 'site', ...this.getSiteAttributes(point, data.radio) }
+            });
+        });
+
+        data.links.forEach(link => {
+            features.push({
+                type: 'Feature',
+                geometry: {
+                    type: 'LineString',
+                    coordinates: [[link.start.lon, link.start.lat], [link.end.lon, link.end.lat]]
+                },
+                // stroke/stroke-width: simplestyle, picked up by geojson.io and QGIS
+                properties: { kind: 'link', ...this.getLinkAttributes(link), stroke: link.color, 'stroke-width': 3 }
+            });
+
+            link.obstructions.forEach(obstruction => {
+                features.push({
+                    type: 'Feature',
+                    geometry: { type: 'Point', coordinates: [obstruction.lon, obstruction.lat] },
+                    properties: {
+                        kind: 'obstruction',
+                        link: `${link.from} → ${link.to}`,
+                        type: obstruction.type,
+                        distanceKm: Number(obstruction.distance.toFixed(3)),
+                        elevationM: Number(obstruction.elevation.toFixed(1)),
+                        excessM: Number(obstruction.obstruction.toFixed(1))
+                    }
+                });
+            });
+        });
+
+        if (data.coverage) {
+            this.getCoverageBoxes(data.coverage).forEach(group => {
+                features.push({
+                    type: 'Feature',
+                    geometry: {
+                        type: 'MultiPolygon',
+                        coordinates: group.boxes.map(([south, west, north, east]) => [[
+                            [west, south], [east, south], [east, north], [west, north], [west, south]
+                        ]])
+                    },
+                    properties: {
+                        kind: 'coverage',
+                        rssi: group.label,
+                        fill: this.toHexColor(group.color),
+                        'fill-opacity': this.coverageOpacity,
+                        'stroke-width': 0
+                    }
+                });
+            });
+        }
+
+        return { type: 'FeatureCollection', name: data.name, features };
+    }
+
+    /**
+     * KML document
+     * coverageImage: file name of the coverage PNG inside a KMZ; without it the
+     * coverage is written as polygons
+     */
+    toKml(data, coverageImage = null) {
+        const xml = text => String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+
+        const extendedData = attributes => `<ExtendedData>${Object.entries(attributes).map(([key, value]) =>
+            `<Data name="${xml(key)}"><value>${xml(value === null ? '' : value)}</value></Data>`
+        ).join('')}</ExtendedData>`;
+
+        const sites = data.points.map(point => `
+      <Placemark>
+        <name>${xml(point.name ? `${point.label} ${point.name}` : point.label)}</name>
+        <styleUrl>#site</styleUrl>
+        ${extendedData(this.getSiteAttributes(point, data.radio))}
+        <Point>
+          <altitudeMode>relativeToGround</altitudeMode>
+          <coordinates>${point.lon},${point.lat},${point.totalHeight}</coordinates>
+        </Point>
+      </Placemark>`).join('');
+
+        // Links are drawn between the antennas
+        const links = data.links.map(link => `
+      <Placemark>
+        <name>${xml(`${link.from} → ${link.to}`)}</name>
+        <description>${xml(`${link.distance.toFixed(2)} km, margin ${link.linkMargin.toFixed(1)} dB, ` +
+            `Fresnel clearance ${isFinite(link.fresnelClearance) ? link.fresnelClearance.toFixed(0) : '-'}%`)}</description>
+        <Style><LineStyle><color>${this.toKmlColor(link.color)}</color><width>3</width></LineStyle></Style>
+        ${extendedData(this.getLinkAttributes(link))}
+        <LineString>
+          <altitudeMode>relativeToGround</altitudeMode>
+          <coordinates>${link.start.lon},${link.start.lat},${link.start.height} ${link.end.lon},${link.end.lat},${link.end.height}</coordinates>
+        </LineString>
+      </Placemark>`).join('');
+
+        const obstructions = data.links.map(link => link.obstructions.map(obstruction => `
+      <Placemark>
+        <name>${xml(`${link.from} → ${link.to} ${obstruction.distance.toFixed(2)} km`)}</name>
+        <description>${xml(`${obstruction.type}, ${obstruction.obstruction.toFixed(1)} m into the Fresnel zone`)}</description>
+        <styleUrl>#obstruction</styleUrl>
+        <Point>
+          <altitudeMode>absolute</altitudeMode>
+          <coordinates>${obstruction.lon},${obstruction.lat},${obstruction.elevation}</coordinates>
+        </Point>
+      </Placemark>`).join('')).join('');
+
+        let coverage = '';
+        if (data.coverage && coverageImage) {
+            const [[south, west], [north, east]] = data.coverage.bounds;
+            coverage = `
+    <GroundOverlay>
+      <name>Coverage</name>
+      <color>${this.toKmlColor('#ffffff', this.coverageOpacity)}</color>
+      <Icon><href>${xml(coverageImage)}</href></Icon>
+      <LatLonBox><north>${north}</north><south>${south}</south><east>${east}</east><west>${west}</west></LatLonBox>
+    </GroundOverlay>`;
+        } else if (data.coverage) {
+            coverage = `
+    <Folder>
+      <name>Coverage</name>${this.getCoverageBoxes(data.coverage).map(group => `
+      <Placemark>
+        <name>${xml(group.label)}</name>
+        <Style>
+          <LineStyle><width>0</width></LineStyle>
+          <PolyStyle><color>${this.toKmlColor(this.toHexColor(group.color), this.coverageOpacity)}</color><outline>0</outline></PolyStyle>
+        </Style>
+        <MultiGeometry>${group.boxes.map(([s, w, n, e]) =>
+            `<Polygon><outerBoundaryIs><LinearRing><coordinates>${w},${s} ${e},${s} ${e},${n} ${w},${n} ${w},${s}</coordinates></LinearRing></outerBoundaryIs></Polygon>`
+        ).join('')}</MultiGeometry>
+      </Placemark>`).join('')}
+    </Folder>`;
+        }
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${xml(data.name)}</name>
+    <Style id="site"><IconStyle><color>ffffd900</color><scale>1.2</scale></IconStyle></Style>
+    <Style id="obstruction"><IconStyle><color>ff6644ff</color><scale>0.6</scale></IconStyle></Style>
+    <Folder><name>Sites</name>${sites}
+    </Folder>
+    <Folder><name>Links</name>${links}
+    </Folder>
+    <Folder><name>Obstructions</name>${obstructions}
+    </Folder>${coverage}
+  </Document>
+</kml>
+`;
+    }
+
+    /**
+     * KMZ archive with the KML and the coverage image as a ground overlay
+     * coveragePng: PNG bytes of the coverage raster, or null
+     */
+    async toKmz(data, coveragePng = null) {
+        const encoder = new TextEncoder();
+        const files = [{ name: 'doc.kml', data: encoder.encode(this.toKml(data, coveragePng ? 'coverage.png' : null)) }];
+        if (coveragePng) {
+            files.push({ name: 'coverage.png', data: coveragePng });
+        }
+        return this.createZip(files);
+    }
+
+    /**
+     * ZIP archive from [{ name, data: Uint8Array }]
+     */
+    async createZip(files) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        for (const file of files) {
+            const name = encoder.encode(file.name);
+            const crc = this.crc32(file.data);
+            const deflated = await this.deflate(file.data);
+            const method = deflated && deflated.length < file.data.length ? 8 : 0;
+            const content = method === 8 ? deflated : file.data;
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true); // Local file header signature
+            local.setUint16(4, 20, true); // Version needed (2.0)
+            local.setUint16(6, 0x0800, true); // UTF-8 names
+            local.setUint16(8, method, true);
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, content.length, true);
+            local.setUint32(22, file.data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true); // Central directory signature
+            central.setUint16(4, 20, true); // Version made by
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, method, true);
+            central.setUint16(12, dosTime, true);
+            central.setUint16(14, dosDate, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, content.length, true);
+            central.setUint32(24, file.data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true); // Local header offset
+
+            localParts.push(new Uint8Array(local.buffer), name, content);
+            centralParts.push(new Uint8Array(central.buffer), name);
+            offset += 30 + name.length + content.length;
+        }
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true); // End of central directory signature
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            zip.set(part, position);
+            position += part.length;
+        });
+
+        return zip;
+    }
+
+    /**
+     * Raw deflate, null where CompressionStream is unavailable
+     */
+    async deflate(bytes) {
+        if (typeof CompressionStream === 'undefined') return null;
+
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * CRC-32 (IEEE) as used by ZIP
+     */
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * #rrggbb from an [r, g, b] triple
+     */
+    toHexColor([r, g, b]) {
+        return `#${[r, g, b].map(v => v.toString(16).padStart(2, '0')).join('')}`;
+    }
+
+    /**
+     * KML aabbggrr color from #rrggbb
+     */
+    toKmlColor(hex, opacity = 1) {
+        const alpha = Math.round(opacity * 255).toString(16).padStart(2, '0');
+        return `${alpha}${hex.slice(5, 7)}${hex.slice(3, 5)}${hex.slice(1, 3)}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GeoExport;
+}
@@ -0,0 +1,239 @@
+/**
+ * Geodesy
+ * Distances, azimuths and paths on the WGS84 ellipsoid (Vincenty 1975)
+ * Falls back to the sphere where Vincenty does not converge (nearly antipodal points)
+ */
+
+class Geodesy {
+    constructor() {
+        // WGS84 ellipsoid
+        this.a = 6378137;
+        this.f = 1 / 298.257223563;
+        this.b = this.a * (1 - this.f);
+        this.meanRadius = 6371008.8; // m, for the spherical fallback
+
+        this.maxIterations = 200;
+        this.tolerance = 1e-12;
+    }
+
+    /**
+     * Convert degrees to radians
+     */
+    toRadians(degrees) {
+        return degrees * Math.PI / 180;
+    }
+
+    /**
+     * Convert radians to degrees
+     */
+    toDegrees(radians) {
+        return radians * 180 / Math.PI;
+    }
+
+    /**
+     * Normalize an azimuth to 0-360°
+     */
+    normalizeBearing(degrees) {
+        return (degrees % 360 + 360) % 360;
+    }
+
+    /**
+     * Vincenty inverse problem
+     * Returns { distance (m), initialBearing, finalBearing (degrees) }
+     */
+    inverse(lat1, lon1, lat2, lon2) {
+        const { a, b, f } = this;
+        const L = this.toRadians(lon2 - lon1);
+        const U1 = Math.atan((1 - f) * Math.tan(this.toRadians(lat1)));
+        const U2 = Math.atan((1 - f) * Math.tan(this.toRadians(lat2)));
+        const sinU1 = Math.sin(U1), cosU1 = Math.cos(U1);
+        const sinU2 = Math.sin(U2), cosU2 = Math.cos(U2);
+
+        let lambda = L;
+        let sinLambda, cosLambda, sinSigma, cosSigma, sigma, cosSqAlpha, cos2SigmaM;
+        let converged = false;
+
+        for (let i = 0; i < this.maxIterations; i++) {
+            sinLambda = Math.sin(lambda);
+            cosLambda = Math.cos(lambda);
+
+            const sinSqSigma = Math.pow(cosU2 * sinLambda, 2) +
+                Math.pow(cosU1 * sinU2 - sinU1 * cosU2 * cosLambda, 2);
+            sinSigma = Math.sqrt(sinSqSigma);
+
+            if (sinSigma === 0) {
+                // Coincident points
+                return { distance: 0, initialBearing: 0, finalBearing: 0 };
+            }
+
+            cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+            sigma = Math.atan2(sinSigma, cosSigma);
+
+            const sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+            cosSqAlpha = 1 - sinAlpha * sinAlpha;
+            cos2SigmaM = cosSqAlpha !== 0 ? cosSigma - 2 * sinU1 * sinU2 / cosSqAlpha : 0; // Equatorial line
+
+            const C = f / 16 * cosSqAlpha * (4 + f * (4 - 3 * cosSqAlpha));
+            const lambdaPrev = lambda;
+            lambda = L + (1 - C) * f * sinAlpha *
+                (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+
+            if (Math.abs(lambda - lambdaPrev) < this.tolerance) {
+                converged = true;
+                break;
+            }
+        }
+
+        if (!converged) {
+            return this.sphericalInverse(lat1, lon1, lat2, lon2);
+        }
+
+        const uSq = cosSqAlpha * (a * a - b * b) / (b * b);
+        const A = 1 + uSq / 16384 * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+        const B = uSq / 1024 * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+        const deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 * (
+            cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+            B / 6 * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)
+        ));
+
+        const distance = b * A * (sigma - deltaSigma);
+        const alpha1 = Math.atan2(cosU2 * sinLambda, cosU1 * sinU2 - sinU1 * cosU2 * cosLambda);
+        const alpha2 = Math.atan2(cosU1 * sinLambda, -sinU1 * cosU2 + cosU1 * sinU2 * cosLambda);
+
+        return {
+            distance,
+            initialBearing: this.normalizeBearing(this.toDegrees(alpha1)),
+            finalBearing: this.normalizeBearing(this.toDegrees(alpha2))
+        };
+    }
+
+    /**
+     * Vincenty direct problem
+     * Returns { lat, lon, finalBearing } after travelling distance (m) along bearing (degrees)
+     */
+    direct(lat, lon, bearing, distance) {
+        const { a, b, f } = this;
+        const alpha1 = this.toRadians(bearing);
+        const sinAlpha1 = Math.sin(alpha1), cosAlpha1 = Math.cos(alpha1);
+
+        const tanU1 = (1 - f) * Math.tan(this.toRadians(lat));
+        const cosU1 = 1 / Math.sqrt(1 + tanU1 * tanU1);
+        const sinU1 = tanU1 * cosU1;
+        const sigma1 = Math.atan2(tanU1, cosAlpha1);
+        const sinAlpha = cosU1 * sinAlpha1;
+        const cosSqAlpha = 1 - sinAlpha * sinAlpha;
+        const uSq = cosSqAlpha * (a * a - b * b) / (b * b);
+        const A = 1 + uSq / 16384 * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+        const B = uSq / 1024 * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+
+        let sigma = distance / (b * A);
+        let sinSigma, cosSigma, cos2SigmaM;
+
+        for (let i = 0; i < this.maxIterations; i++) {
+            cos2SigmaM = Math.cos(2 * sigma1 + sigma);
+            sinSigma = Math.sin(sigma);
+            cosSigma = Math.cos(sigma);
+
+            const deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 * (
+                cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+                B / 6 * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)
+            ));
+            const sigmaPrev = sigma;
+            sigma = distance / (b * A) + deltaSigma;
+
+            if (Math.abs(sigma - sigmaPrev) < this.tolerance) break;
+        }
+
+        sinSigma = Math.sin(sigma);
+        cosSigma = Math.cos(sigma);
+        cos2SigmaM = Math.cos(2 * sigma1 + sigma);
+
+        const x = sinU1 * sinSigma - cosU1 * cosSigma * cosAlpha1;
+        const lat2 = Math.atan2(
+            sinU1 * cosSigma + cosU1 * sinSigma * cosAlpha1,
+            (1 - f) * Math.sqrt(sinAlpha * sinAlpha + x * x)
+        );
+        const lambda = Math.atan2(sinSigma * sinAlpha1, cosU1 * cosSigma - sinU1 * sinSigma * cosAlpha1);
+        const C = f / 16 * cosSqAlpha * (4 + f * (4 - 3 * cosSqAlpha));
+        const L = lambda - (1 - C) * f * sinAlpha *
+            (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+        const alpha2 = Math.atan2(sinAlpha, -x);
+
+        return {
+            lat: this.toDegrees(lat2),
+            lon: (this.toDegrees(this.toRadians(lon) + L) + 540) % 360 - 180,
+            finalBearing: this.normalizeBearing(this.toDegrees(alpha2))
+        };
+    }
+
+    /**
+     * Great-circle fallback for the inverse problem
+     */
+    sphericalInverse(lat1, lon1, lat2, lon2) {
+        const phi1 = this.toRadians(lat1);
+        const phi2 = this.toRadians(lat2);
+        const dPhi = phi2 - phi1;
+        const dLambda = this.toRadians(lon2 - lon1);
+
+        const h = Math.sin(dPhi / 2) ** 2 + Math.cos(phi1) * Math.cos(phi2) * Math.sin(dLambda / 2) ** 2;
+        const distance = 2 * this.meanRadius * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+
+        const bearing = (p1, p2, dl) => Math.atan2(
+            Math.sin(dl) * Math.cos(p2),
+            Math.cos(p1) * Math.sin(p2) - Math.sin(p1) * Math.cos(p2) * Math.cos(dl)
+        );
+
+        return {
+            distance,
+            initialBearing: this.normalizeBearing(this.toDegrees(bearing(phi1, phi2, dLambda))),
+            finalBearing: this.normalizeBearing(this.toDegrees(bearing(phi2, phi1, -dLambda)) + 180)
+        };
+    }
+
+    /**
+     * Position of a point relative to the great circle through two locations
+     * Returns { along (fraction of the path, negative behind the start), cross (m, positive to the right) }
+     * Spherical, which is accurate enough for offsets close to the path
+     */
+    trackOffset(lat1, lon1, lat2, lon2, lat, lon) {
+        const path = this.sphericalInverse(lat1, lon1, lat2, lon2);
+        const toPoint = this.sphericalInverse(lat1, lon1, lat, lon);
+        if (path.distance === 0) return { along: 0, cross: toPoint.distance };
+
+        const delta = toPoint.distance / this.meanRadius;
+        const theta = this.toRadians(toPoint.initialBearing - path.initialBearing);
+        const crossAngle = Math.asin(Math.sin(delta) * Math.sin(theta));
+        const alongAngle = Math.acos(Math.max(-1, Math.min(1, Math.cos(delta) / Math.cos(crossAngle))));
+
+        return {
+            along: Math.sign(Math.cos(theta)) * alongAngle * this.meanRadius / path.distance,
+            cross: crossAngle * this.meanRadius
+        };
+    }
+
+    /**
+     * Evenly spaced points along the geodesic between two locations (numPoints intervals)
+     */
+    interpolate(lat1, lon1, lat2, lon2, numPoints) {
+        const { distance, initialBearing } = this.inverse(lat1, lon1, lat2, lon2);
+        const points = [];
+
+        for (let i = 0; i <= numPoints; i++) {
+            if (i === 0) {
+                points.push({ lat: lat1, lon: lon1 });
+            } else if (i === numPoints) {
+                points.push({ lat: lat2, lon: lon2 }); // Exact end point
+            } else {
+                const { lat, lon } = this.direct(lat1, lon1, initialBearing, distance * i / numPoints);
+                points.push({ lat, lon });
+            }
+        }
+
+        return points;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Geodesy;
+}
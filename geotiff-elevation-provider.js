@@ -0,0 +1,281 @@
+/**
+ * GeoTIFF Elevation Provider
+ * Samples a user-supplied single-band GeoTIFF DEM/DSM (e.g. lidar) inside its extent
+ * Supports geographic (EPSG:4326/4258/4269), UTM and Web Mercator rasters
+ * Requires geotiff.js (global GeoTIFF)
+ */
+
+class GeoTiffElevationProvider {
+    constructor() {
+        this.id = 'geotiff';
+        this.name = 'GeoTIFF DEM';
+        this.raster = null;
+
+        // WGS84 ellipsoid (UTM)
+        this.semiMajorAxis = 6378137;
+        this.flattening = 1 / 298.257223563;
+        this.utmScale = 0.9996;
+    }
+
+    /**
+     * Load a GeoTIFF file from a file picker
+     * Returns a summary of the raster
+     */
+    async loadFile(file) {
+        const buffer = await file.arrayBuffer();
+        const tiff = await GeoTIFF.fromArrayBuffer(buffer);
+        const image = await tiff.getImage();
+
+        if (image.getSamplesPerPixel() !== 1) {
+            throw new Error(`${file.name}: expected a single-band elevation raster`);
+        }
+
+        const width = image.getWidth();
+        const height = image.getHeight();
+        if (width < 2 || height < 2) {
+            throw new Error(`${file.name}: raster is too small`);
+        }
+
+        const geoKeys = image.getGeoKeys() || {};
+        const crs = this.getCrs(geoKeys);
+        if (!crs) {
+            throw new Error(`${file.name}: unsupported coordinate reference system`);
+        }
+
+        const [data] = await image.readRasters({ samples: [0] });
+        const [originX, originY] = image.getOrigin();
+        const [resX, resY] = image.getResolution();
+
+        this.raster = {
+            name: file.name,
+            width,
+            height,
+            data,
+            originX,
+            originY,
+            resX,
+            resY,
+            crs,
+            noData: image.getGDALNoData(),
+            // PixelIsPoint rasters reference the pixel center, PixelIsArea the corner
+            pixelOffset: geoKeys.GTRasterTypeGeoKey === 2 ? 0 : 0.5
+        };
+
+        return {
+            name: file.name,
+            width,
+            height,
+            crs: crs.label,
+            resolution: Math.abs(resX) // CRS units per pixel
+        };
+    }
+
+    /**
+     * Determine the raster CRS from its GeoTIFF keys
+     * Returns { type: 'geographic' | 'utm' | 'mercator', zone, south, label } or null
+     */
+    getCrs(geoKeys) {
+        const projected = geoKeys.ProjectedCSTypeGeoKey;
+
+        if (projected) {
+            if (projected >= 32601 && projected <= 32660) {
+                return { type: 'utm', zone: projected - 32600, south: false, label: `EPSG:${projected}` };
+            }
+            if (projected >= 32701 && projected <= 32760) {
+                return { type: 'utm', zone: projected - 32700, south: true, label: `EPSG:${projected}` };
+            }
+            // ETRS89 and NAD83 UTM zones (datum difference is negligible here)
+            if (projected >= 25828 && projected <= 25838) {
+                return { type: 'utm', zone: projected - 25800, south: false, label: `EPSG:${projected}` };
+            }
+            if (projected >= 26903 && projected <= 26923) {
+                return { type: 'utm', zone: projected - 26900, south: false, label: `EPSG:${projected}` };
+            }
+            if (projected === 3857) {
+                return { type: 'mercator', label: 'EPSG:3857' };
+            }
+            return null;
+        }
+
+        const geographic = geoKeys.GeographicTypeGeoKey;
+        if ([4326, 4258, 4269].includes(geographic) || geoKeys.GTModelTypeGeoKey === 2) {
+            return { type: 'geographic', label: `EPSG:${geographic || 4326}` };
+        }
+
+        return null;
+    }
+
+    /**
+     * Project a location into the raster CRS
+     */
+    project(lat, lon) {
+        const { crs } = this.raster;
+
+        if (crs.type === 'utm') {
+            return this.latLonToUtm(lat, lon, crs.zone, crs.south);
+        }
+
+        if (crs.type === 'mercator') {
+            const phi = lat * Math.PI / 180;
+            return {
+                x: this.semiMajorAxis * lon * Math.PI / 180,
+                y: this.semiMajorAxis * Math.log(Math.tan(Math.PI / 4 + phi / 2))
+            };
+        }
+
+        return { x: lon, y: lat };
+    }
+
+    /**
+     * Transverse Mercator forward projection on WGS84 (Snyder, USGS PP 1395)
+     */
+    latLonToUtm(lat, lon, zone, south) {
+        const a = this.semiMajorAxis;
+        const e2 = this.flattening * (2 - this.flattening);
+        const e4 = e2 * e2;
+        const e6 = e4 * e2;
+        const ep2 = e2 / (1 - e2);
+        const k0 = this.utmScale;
+
+        const phi = lat * Math.PI / 180;
+        const lon0 = ((zone - 1) * 6 - 180 + 3) * Math.PI / 180;
+
+        const sinPhi = Math.sin(phi);
+        const cosPhi = Math.cos(phi);
+        const n = a / Math.sqrt(1 - e2 * sinPhi * sinPhi);
+        const t = Math.tan(phi) * Math.tan(phi);
+        const c = ep2 * cosPhi * cosPhi;
+        const A = cosPhi * (lon * Math.PI / 180 - lon0);
+
+        const m = a * (
+            (1 - e2 / 4 - 3 * e4 / 64 - 5 * e6 / 256) * phi -
+            (3 * e2 / 8 + 3 * e4 / 32 + 45 * e6 / 1024) * Math.sin(2 * phi) +
+            (15 * e4 / 256 + 45 * e6 / 1024) * Math.sin(4 * phi) -
+            (35 * e6 / 3072) * Math.sin(6 * phi)
+        );
+
+        const x = k0 * n * (
+            A +
+            (1 - t + c) * Math.pow(A, 3) / 6 +
+            (5 - 18 * t + t * t + 72 * c - 58 * ep2) * Math.pow(A, 5) / 120
+        ) + 500000;
+
+        let y = k0 * (m + n * Math.tan(phi) * (
+            A * A / 2 +
+            (5 - t + 9 * c + 4 * c * c) * Math.pow(A, 4) / 24 +
+            (61 - 58 * t + t * t + 600 * c - 330 * ep2) * Math.pow(A, 6) / 720
+        ));
+
+        if (south) y += 10000000;
+
+        return { x, y };
+    }
+
+    /**
+     * Fractional pixel coordinates (column, row of pixel centers) for a location
+     */
+    toPixel(lat, lon) {
+        const { originX, originY, resX, resY, pixelOffset } = this.raster;
+        const { x, y } = this.project(lat, lon);
+
+        return {
+            col: (x - originX) / resX - pixelOffset,
+            row: (y - originY) / resY - pixelOffset
+        };
+    }
+
+    /**
+     * True if the location lies inside the raster extent
+     */
+    covers(lat, lon) {
+        if (!this.raster) return false;
+
+        const { col, row } = this.toPixel(lat, lon);
+        return col >= -0.5 && col <= this.raster.width - 0.5 &&
+               row >= -0.5 && row <= this.raster.height - 0.5;
+    }
+
+    /**
+     * Pixel size in m
+     */
+    getResolution() {
+        if (!this.raster) return null;
+
+        const size = Math.abs(this.raster.resX);
+        return this.raster.crs.type === 'geographic' ? size * 111320 : size;
+    }
+
+    /**
+     * Pixel value, null for no-data
+     */
+    getPixel(row, col) {
+        const { data, width, noData } = this.raster;
+        const value = data[row * width + col];
+
+        if (Number.isNaN(value) || (noData !== null && value === noData)) return null;
+        return value;
+    }
+
+    /**
+     * Bilinear interpolation between the four surrounding pixel centers
+     * No-data pixels are skipped and the remaining weights renormalized
+     * Returns { elevation, status } ('ok', 'interpolated' around no-data, 'void'), null outside the extent
+     */
+    getSample(lat, lon) {
+        if (!this.covers(lat, lon)) return null;
+
+        const { width, height } = this.raster;
+        const pixel = this.toPixel(lat, lon);
+        const col = Math.max(0, Math.min(Math.floor(pixel.col), width - 2));
+        const row = Math.max(0, Math.min(Math.floor(pixel.row), height - 2));
+        const fx = Math.max(0, Math.min(1, pixel.col - col));
+        const fy = Math.max(0, Math.min(1, pixel.row - row));
+
+        const pixels = [
+            { height: this.getPixel(row, col), weight: (1 - fx) * (1 - fy) },
+            { height: this.getPixel(row, col + 1), weight: fx * (1 - fy) },
+            { height: this.getPixel(row + 1, col), weight: (1 - fx) * fy },
+            { height: this.getPixel(row + 1, col + 1), weight: fx * fy }
+        ];
+        const valid = pixels.filter(p => p.height !== null);
+
+        const totalWeight = valid.reduce((sum, p) => sum + p.weight, 0);
+        if (valid.length === 0 || totalWeight === 0) {
+            return { elevation: null, status: 'void' };
+        }
+
+        const touchesNoData = pixels.some(p => p.height === null && p.weight > 0);
+
+        return {
+            elevation: valid.reduce((sum, p) => sum + p.height * p.weight, 0) / totalWeight,
+            status: touchesNoData ? 'interpolated' : 'ok'
+        };
+    }
+
+    /**
+     * Elevation in m, null outside the extent or on no-data
+     */
+    getElevation(lat, lon) {
+        const sample = this.getSample(lat, lon);
+        return sample ? sample.elevation : null;
+    }
+
+    /**
+     * Samples for a batch of locations, null outside the extent
+     */
+    async lookup(locations) {
+        return locations.map(loc => this.getSample(loc.lat, loc.lon));
+    }
+
+    /**
+     * Unload the raster
+     */
+    clear() {
+        this.raster = null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GeoTiffElevationProvider;
+}
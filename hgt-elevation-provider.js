@@ -0,0 +1,190 @@
+/**
+ * HGT Elevation Provider
+ * Offline elevation from user-supplied SRTM/NASADEM .hgt tiles (1" and 3")
+ * with bilinear interpolation between posts
+ */
+
+class HgtElevationProvider {
+    constructor() {
+        this.id = 'hgt';
+        this.name = 'SRTM .hgt tiles';
+        this.tiles = new Map();
+        this.voidValue = -32768; // SRTM no-data marker
+
+        // Samples per tile edge -> resolution in arc-seconds
+        this.tileSizes = {
+            1201: 3,
+            3601: 1
+        };
+    }
+
+    /**
+     * Parse the south-west corner from a tile name like N45E009.hgt
+     */
+    parseTileName(fileName) {
+        const match = /([NS])(\d{2})([EW])(\d{3})/i.exec(fileName);
+        if (!match) return null;
+
+        const lat = parseInt(match[2]) * (match[1].toUpperCase() === 'S' ? -1 : 1);
+        const lon = parseInt(match[4]) * (match[3].toUpperCase() === 'W' ? -1 : 1);
+
+        return { lat, lon };
+    }
+
+    /**
+     * Load tiles from a file picker FileList
+     * Returns { loaded: [names], errors: [messages] }
+     */
+    async loadFiles(files) {
+        const loaded = [];
+        const errors = [];
+
+        for (const file of Array.from(files)) {
+            try {
+                const buffer = await file.arrayBuffer();
+                this.addTile(file.name, buffer);
+                loaded.push(file.name);
+            } catch (error) {
+                errors.push(error.message);
+            }
+        }
+
+        return { loaded, errors };
+    }
+
+    /**
+     * Add a tile from its raw big-endian int16 contents
+     */
+    addTile(fileName, buffer) {
+        const corner = this.parseTileName(fileName);
+        if (!corner) {
+            throw new Error(`${fileName}: name must look like N45E009.hgt`);
+        }
+
+        const size = Math.round(Math.sqrt(buffer.byteLength / 2));
+        if (!this.tileSizes[size] || size * size * 2 !== buffer.byteLength) {
+            throw new Error(`${fileName}: not a 1" or 3" .hgt tile`);
+        }
+
+        this.tiles.set(this.getTileKey(corner.lat, corner.lon), {
+            name: fileName,
+            lat: corner.lat,
+            lon: corner.lon,
+            size,
+            resolution: this.tileSizes[size], // arc-seconds
+            data: new DataView(buffer)
+        });
+    }
+
+    /**
+     * Tile key for the south-west corner of a 1°×1° cell
+     */
+    getTileKey(lat, lon) {
+        return `${lat},${lon}`;
+    }
+
+    /**
+     * Get the loaded tile containing a location
+     */
+    getTile(lat, lon) {
+        return this.tiles.get(this.getTileKey(Math.floor(lat), Math.floor(lon)));
+    }
+
+    /**
+     * True if a loaded tile contains the location
+     */
+    covers(lat, lon) {
+        return this.getTile(lat, lon) !== undefined;
+    }
+
+    /**
+     * Post spacing in m (north-south) of the tile at a location
+     */
+    getResolution(lat, lon) {
+        const tile = this.getTile(lat, lon);
+        return tile ? tile.resolution * 30.87 : null; // ~30.87 m per arc-second of latitude
+    }
+
+    /**
+     * Height of a post, null for voids
+     * Rows run north to south, columns west to east
+     */
+    getPost(tile, row, col) {
+        const value = tile.data.getInt16((row * tile.size + col) * 2, false);
+        return value === this.voidValue ? null : value;
+    }
+
+    /**
+     * Bilinear interpolation between the four surrounding posts
+     * Voids are skipped and the remaining weights renormalized
+     * Returns { elevation, status } ('ok', 'interpolated' around voids, 'void'), null outside the tiles
+     */
+    getSample(lat, lon) {
+        const tile = this.getTile(lat, lon);
+        if (!tile) return null;
+
+        const x = (lon - tile.lon) * (tile.size - 1);
+        const y = (tile.lat + 1 - lat) * (tile.size - 1);
+        const col = Math.min(Math.floor(x), tile.size - 2);
+        const row = Math.min(Math.floor(y), tile.size - 2);
+        const fx = x - col;
+        const fy = y - row;
+
+        const posts = [
+            { height: this.getPost(tile, row, col), weight: (1 - fx) * (1 - fy) },
+            { height: this.getPost(tile, row, col + 1), weight: fx * (1 - fy) },
+            { height: this.getPost(tile, row + 1, col), weight: (1 - fx) * fy },
+            { height: this.getPost(tile, row + 1, col + 1), weight: fx * fy }
+        ];
+        const valid = posts.filter(post => post.height !== null);
+
+        const totalWeight = valid.reduce((sum, post) => sum + post.weight, 0);
+        if (valid.length === 0 || totalWeight === 0) {
+            return { elevation: null, status: 'void' };
+        }
+
+        // Voids carrying weight mean the value is filled in from the neighbours
+        const touchesVoid = posts.some(post => post.height === null && post.weight > 0);
+
+        return {
+            elevation: valid.reduce((sum, post) => sum + post.height * post.weight, 0) / totalWeight,
+            status: touchesVoid ? 'interpolated' : 'ok'
+        };
+    }
+
+    /**
+     * Elevation in m, null outside the tiles or in voids
+     */
+    getElevation(lat, lon) {
+        const sample = this.getSample(lat, lon);
+        return sample ? sample.elevation : null;
+    }
+
+    /**
+     * Samples for a batch of locations, null where no tile is loaded
+     */
+    async lookup(locations) {
+        return locations.map(loc => this.getSample(loc.lat, loc.lon));
+    }
+
+    /**
+     * Loaded tiles, sorted by name
+     */
+    getTileList() {
+        return [...this.tiles.values()]
+            .map(({ name, resolution }) => ({ name, resolution }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Unload all tiles
+     */
+    clear() {
+        this.tiles.clear();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HgtElevationProvider;
+}
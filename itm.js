@@ -0,0 +1,906 @@
+/**
+ * Longley-Rice Irregular Terrain Model (ITM)
+ * Point-to-point mode, ported from the NTIA ITM v1.2.2 reference code
+ * Consumes an equally spaced terrain profile and returns basic transmission loss
+ */
+
+class ITMModel {
+    constructor() {
+        // Radio climates (ITM klim codes) with typical surface refractivity
+        this.climates = {
+            1: { name: 'Equatorial', refractivity: 360 },
+            2: { name: 'Continental Subtropical', refractivity: 320 },
+            3: { name: 'Maritime Subtropical', refractivity: 370 },
+            4: { name: 'Desert', refractivity: 280 },
+            5: { name: 'Continental Temperate', refractivity: 301 },
+            6: { name: 'Maritime Temperate (land)', refractivity: 320 },
+            7: { name: 'Maritime Temperate (sea)', refractivity: 350 }
+        };
+
+        // Ground electrical constants
+        this.groundTypes = {
+            'poor': { name: 'Poor ground', permittivity: 4, conductivity: 0.001 },
+            'average': { name: 'Average ground', permittivity: 15, conductivity: 0.005 },
+            'good': { name: 'Good ground', permittivity: 25, conductivity: 0.02 },
+            'fresh-water': { name: 'Fresh water', permittivity: 81, conductivity: 0.01 },
+            'sea-water': { name: 'Sea water', permittivity: 81, conductivity: 5.0 }
+        };
+
+        this.errorMessages = {
+            0: 'No error',
+            1: 'Some parameters are nearly out of range',
+            2: 'Default parameters have been substituted',
+            3: 'A combination of parameters is out of range',
+            4: 'Some parameters are out of range, results are probably invalid'
+        };
+    }
+
+    /**
+     * Calculate path loss over a terrain profile
+     * elevationProfile: output of ElevationService.getElevationProfile()
+     * options: {
+     *   txHeight, rxHeight          antenna heights above ground (m)
+     *   frequency                   MHz
+     *   climate                     ITM radio climate code (1-7)
+     *   refractivity                surface refractivity Ns (N-units)
+     *   permittivity, conductivity  ground relative permittivity, conductivity (S/m)
+     *   polarization                0 = horizontal, 1 = vertical
+     *   time, location, situation   variability percentages (1-99)
+     * }
+     * Returns { loss, fspl, mode, errorCode, errorMessage }
+     */
+    calculatePathLoss(elevationProfile, options) {
+        const {
+            txHeight,
+            rxHeight,
+            frequency,
+            climate = 5,
+            refractivity = 301,
+            permittivity = 15,
+            conductivity = 0.005,
+            polarization = 1,
+            time = 50,
+            location = 50,
+            situation = 50
+        } = options;
+
+        // ITM needs equally spaced samples: leave out peak refinement samples
+        const profile = elevationProfile.profile.filter(p => !p.refined);
+        const { totalDistance } = elevationProfile;
+        const intervals = profile.length - 1;
+
+        // ITM profile array: [number of intervals, spacing (m), elevations...]
+        const pfl = [intervals, (totalDistance * 1000) / intervals, ...profile.map(p => p.elevation)];
+
+        return this.pointToPoint(
+            pfl, txHeight, rxHeight, permittivity, conductivity, refractivity,
+            frequency, climate, polarization, time / 100, location / 100, situation / 100
+        );
+    }
+
+    /**
+     * ITM point_to_point() driver
+     */
+    pointToPoint(pfl, txHeight, rxHeight, eps, sgm, ens, frequency, climate, polarization, time, location, situation) {
+        const prop = { hg: [txHeight, rxHeight], kwx: 0, mdp: -1, he: [0, 0], dl: [0, 0], the: [0, 0] };
+        const propa = { dls: [0, 0] };
+        const propv = { klim: climate, lvar: 5, mdvar: 3 }; // Broadcast mode: time, location, situation independent
+
+        const zt = this.qerfi(time);
+        const zl = this.qerfi(location);
+        const zc = this.qerfi(situation);
+
+        // Average system elevation over the central part of the profile
+        const np = pfl[0];
+        const ja = Math.floor(3.0 + 0.1 * pfl[0]);
+        const jb = np - ja + 6;
+        let zsys = 0;
+        for (let i = ja - 1; i < jb; i++) {
+            zsys += pfl[i];
+        }
+        zsys /= (jb - ja + 1);
+
+        this.qlrps(frequency, zsys, ens, polarization, eps, sgm, prop);
+        this.qlrpfl(pfl, propv.klim, propv.mdvar, prop, propa, propv);
+
+        const fspl = 32.45 + 20 * Math.log10(frequency) + 20 * Math.log10(prop.dist / 1000);
+
+        // Propagation mode
+        const q = Math.trunc(prop.dist - propa.dla);
+        let mode;
+        if (q < 0) {
+            mode = 'Line-of-Sight';
+        } else {
+            mode = q === 0 ? 'Single Horizon' : 'Double Horizon';
+            if (prop.dist <= propa.dlsa || prop.dist <= propa.dx) {
+                mode += ', Diffraction Dominant';
+            } else {
+                mode += ', Troposcatter Dominant';
+            }
+        }
+
+        const loss = this.avar(zt, zl, zc, prop, propv) + fspl;
+
+        return {
+            loss,
+            fspl,
+            mode,
+            errorCode: prop.kwx,
+            errorMessage: this.errorMessages[prop.kwx]
+        };
+    }
+
+    /**
+     * Positive difference (FORTRAN DIM)
+     */
+    dim(x, y) {
+        return x > y ? x - y : 0;
+    }
+
+    /**
+     * Knife-edge attenuation
+     */
+    aknfe(v2) {
+        if (v2 < 5.76) {
+            return 6.02 + 9.11 * Math.sqrt(v2) - 1.27 * v2;
+        }
+        return 12.953 + 4.343 * Math.log(v2);
+    }
+
+    /**
+     * Height-gain function over a smooth spherical earth
+     */
+    fht(x, pk) {
+        let fhtv;
+
+        if (x < 200) {
+            const w = -Math.log(pk);
+            if (pk < 1e-5 || x * Math.pow(w, 3) > 5495) {
+                fhtv = -117;
+                if (x > 1) fhtv = 17.372 * Math.log(x) + fhtv;
+            } else {
+                fhtv = 2.5e-5 * x * x / pk - 8.686 * w - 15;
+            }
+        } else {
+            fhtv = 0.05751 * x - 4.343 * Math.log(x);
+            if (x < 2000) {
+                const w = 0.0134 * x * Math.exp(-0.005 * x);
+                fhtv = (1 - w) * fhtv + w * (17.372 * Math.log(x) - 117);
+            }
+        }
+
+        return fhtv;
+    }
+
+    /**
+     * Frequency gain function for troposcatter
+     */
+    h0f(r, et) {
+        const a = [25, 80, 177, 395, 705];
+        const b = [24, 45, 68, 80, 105];
+        let it = Math.trunc(et);
+        let q;
+
+        if (it <= 0) {
+            it = 1;
+            q = 0;
+        } else if (it >= 5) {
+            it = 5;
+            q = 0;
+        } else {
+            q = et - it;
+        }
+
+        const x = Math.pow(1 / r, 2);
+        let h0fv = 4.343 * Math.log((a[it - 1] * x + b[it - 1]) * x + 1);
+        if (q !== 0) {
+            h0fv = (1 - q) * h0fv + q * 4.343 * Math.log((a[it] * x + b[it]) * x + 1);
+        }
+
+        return h0fv;
+    }
+
+    /**
+     * Troposcatter attenuation function F(θd)
+     */
+    ahd(td) {
+        const a = [133.4, 104.6, 71.8];
+        const b = [0.332e-3, 0.212e-3, 0.157e-3];
+        const c = [-4.343, -1.086, 2.171];
+        const i = td <= 10e3 ? 0 : (td <= 70e3 ? 1 : 2);
+
+        return a[i] + b[i] * td + c[i] * Math.log(td);
+    }
+
+    /**
+     * Diffraction attenuation (d = 0 initializes the coefficients)
+     */
+    adiff(d, prop, propa) {
+        const state = propa.adiffState || (propa.adiffState = {});
+
+        if (d === 0) {
+            let q = prop.hg[0] * prop.hg[1];
+            state.qk = prop.he[0] * prop.he[1] - q;
+            if (prop.mdp < 0) q += 10;
+            state.wd1 = Math.sqrt(1 + state.qk / q);
+            state.xd1 = propa.dla + propa.tha / prop.gme;
+
+            q = (1 - 0.8 * Math.exp(-propa.dlsa / 50e3)) * prop.dh;
+            q *= 0.78 * Math.exp(-Math.pow(q / 16, 0.25));
+            state.afo = Math.min(15, 2.171 * Math.log(1 + 4.77e-4 * prop.hg[0] * prop.hg[1] * prop.wn * q));
+            state.qk = 1 / Math.hypot(prop.zgndReal, prop.zgndImag);
+            state.aht = 20;
+            state.xht = 0;
+
+            for (let j = 0; j < 2; j++) {
+                const a = 0.5 * Math.pow(prop.dl[j], 2) / prop.he[j];
+                const wa = Math.cbrt(a * prop.wn);
+                const pk = state.qk / wa;
+                const qj = (1.607 - pk) * 151 * wa * prop.dl[j] / a;
+                state.xht += qj;
+                state.aht += this.fht(qj, pk);
+            }
+
+            return 0;
+        }
+
+        const th = propa.tha + d * prop.gme;
+        const ds = d - propa.dla;
+        let q = 0.0795775 * prop.wn * ds * Math.pow(th, 2);
+        let adiffv = this.aknfe(q * prop.dl[0] / (ds + prop.dl[0])) +
+                     this.aknfe(q * prop.dl[1] / (ds + prop.dl[1]));
+
+        const a = ds / th;
+        const wa = Math.cbrt(a * prop.wn);
+        const pk = state.qk / wa;
+        q = (1.607 - pk) * 151 * wa * th + state.xht;
+        const ar = 0.05751 * q - 4.343 * Math.log(q) - state.aht;
+
+        q = (state.wd1 + state.xd1 / d) *
+            Math.min((1 - 0.8 * Math.exp(-d / 50e3)) * prop.dh * prop.wn, 6283.2);
+        const wd = 25.1 / (25.1 + Math.sqrt(q));
+        adiffv = ar * wd + (1 - wd) * adiffv + state.afo;
+
+        return adiffv;
+    }
+
+    /**
+     * Troposcatter attenuation (d = 0 initializes the coefficients)
+     */
+    ascat(d, prop, propa) {
+        const state = propa.ascatState || (propa.ascatState = {});
+
+        if (d === 0) {
+            state.ad = prop.dl[0] - prop.dl[1];
+            state.rr = prop.he[1] / prop.he[0];
+            if (state.ad < 0) {
+                state.ad = -state.ad;
+                state.rr = 1 / state.rr;
+            }
+            state.etq = (5.67e-6 * prop.ens - 2.32e-3) * prop.ens + 0.031;
+            state.h0s = -15;
+            return 0;
+        }
+
+        let h0;
+        if (state.h0s > 15) {
+            h0 = state.h0s;
+        } else {
+            const th = prop.the[0] + prop.the[1] + d * prop.gme;
+            let r2 = 2 * prop.wn * th;
+            const r1 = r2 * prop.he[0];
+            r2 *= prop.he[1];
+
+            if (r1 < 0.2 && r2 < 0.2) return 1001;
+
+            let ss = (d - state.ad) / (d + state.ad);
+            let q = state.rr / ss;
+            ss = Math.max(0.1, ss);
+            q = Math.min(Math.max(0.1, q), 10);
+            const z0 = (d - state.ad) * (d + state.ad) * th * 0.25 / d;
+            const temp = Math.pow(Math.min(1.7, z0 / 8e3), 6);
+            const et = (state.etq * Math.exp(-temp) + 1) * z0 / 1.7556e3;
+            const ett = Math.max(et, 1);
+
+            h0 = (this.h0f(r1, ett) + this.h0f(r2, ett)) * 0.5;
+            h0 += Math.min(h0, (1.38 - Math.log(ett)) * Math.log(ss) * Math.log(q) * 0.49);
+            h0 = this.dim(h0, 0);
+
+            if (et < 1) {
+                const t = (1 + 1.4142 / r1) * (1 + 1.4142 / r2);
+                h0 = et * h0 + (1 - et) * 4.343 * Math.log(Math.pow(t, 2) * (r1 + r2) / (r1 + r2 + 2.8284));
+            }
+
+            if (h0 > 15 && state.h0s >= 0) h0 = state.h0s;
+        }
+
+        state.h0s = h0;
+        const th = propa.tha + d * prop.gme;
+
+        return this.ahd(th * d) +
+               4.343 * Math.log(47.7 * prop.wn * Math.pow(th, 4)) -
+               0.1 * (prop.ens - 301) * Math.exp(-th * d / 40e3) +
+               h0;
+    }
+
+    /**
+     * Line-of-sight attenuation (d = 0 initializes the coefficients)
+     */
+    alos(d, prop, propa) {
+        const state = propa.alosState || (propa.alosState = {});
+
+        if (d === 0) {
+            state.wls = 0.021 / (0.021 + prop.wn * prop.dh / Math.max(10e3, propa.dlsa));
+            return 0;
+        }
+
+        let q = (1 - 0.8 * Math.exp(-d / 50e3)) * prop.dh;
+        const s = 0.78 * q * Math.exp(-Math.pow(q / 16, 0.25));
+        q = prop.he[0] + prop.he[1];
+        const sps = q / Math.sqrt(d * d + q * q);
+
+        // r = (sps - zgnd) / (sps + zgnd) * exp(-min(10, wn * s * sps))
+        const zr = prop.zgndReal, zi = prop.zgndImag;
+        const numRe = sps - zr, numIm = -zi;
+        const denRe = sps + zr, denIm = zi;
+        const denAbs = denRe * denRe + denIm * denIm;
+        const damping = Math.exp(-Math.min(10, prop.wn * s * sps));
+        let rRe = ((numRe * denRe + numIm * denIm) / denAbs) * damping;
+        let rIm = ((numIm * denRe - numRe * denIm) / denAbs) * damping;
+
+        q = rRe * rRe + rIm * rIm;
+        if (q < 0.25 || q < sps) {
+            const scale = Math.sqrt(sps / q);
+            rRe *= scale;
+            rIm *= scale;
+        }
+
+        const alosv = propa.emd * d + propa.aed;
+        q = prop.wn * prop.he[0] * prop.he[1] * 2 / d;
+        if (q > 1.57) q = 3.14 - 2.4649 / q;
+
+        const sumRe = Math.cos(q) + rRe;
+        const sumIm = -Math.sin(q) + rIm;
+
+        return (-4.343 * Math.log(sumRe * sumRe + sumIm * sumIm) - alosv) * state.wls + alosv;
+    }
+
+    /**
+     * Prepare frequency, refractivity and ground impedance
+     */
+    qlrps(frequency, zsys, en0, polarization, eps, sgm, prop) {
+        const gma = 157e-9;
+
+        prop.wn = frequency / 47.7;
+        prop.ens = en0;
+        if (zsys !== 0) prop.ens *= Math.exp(-zsys / 9460);
+        prop.gme = gma * (1 - 0.04665 * Math.exp(prop.ens / 179.3));
+
+        // zgnd = sqrt(zq - 1), zq = eps + j·376.62·sgm/wn
+        const zqRe = eps;
+        const zqIm = 376.62 * sgm / prop.wn;
+        const mod = Math.hypot(zqRe - 1, zqIm);
+        let zRe = Math.sqrt((mod + (zqRe - 1)) / 2);
+        let zIm = Math.sign(zqIm) * Math.sqrt((mod - (zqRe - 1)) / 2);
+
+        if (polarization !== 0) {
+            // Vertical polarization: zgnd / zq
+            const den = zqRe * zqRe + zqIm * zqIm;
+            const re = (zRe * zqRe + zIm * zqIm) / den;
+            const im = (zIm * zqRe - zRe * zqIm) / den;
+            zRe = re;
+            zIm = im;
+        }
+
+        prop.zgndReal = zRe;
+        prop.zgndImag = zIm;
+    }
+
+    /**
+     * Reference attenuation for the current distance (LoS, diffraction or scatter)
+     */
+    lrprop(d, prop, propa) {
+        const state = propa.lrpropState || (propa.lrpropState = {});
+
+        if (prop.mdp !== 0) {
+            for (let j = 0; j < 2; j++) {
+                propa.dls[j] = Math.sqrt(2 * prop.he[j] / prop.gme);
+            }
+            propa.dlsa = propa.dls[0] + propa.dls[1];
+            propa.dla = prop.dl[0] + prop.dl[1];
+            propa.tha = Math.max(prop.the[0] + prop.the[1], -propa.dla * prop.gme);
+            state.wlos = false;
+            state.wscat = false;
+
+            if (prop.wn < 0.838 || prop.wn > 210) prop.kwx = Math.max(prop.kwx, 1);
+            for (let j = 0; j < 2; j++) {
+                if (prop.hg[j] < 1 || prop.hg[j] > 1000) prop.kwx = Math.max(prop.kwx, 1);
+            }
+            for (let j = 0; j < 2; j++) {
+                if (Math.abs(prop.the[j]) > 200e-3 || prop.dl[j] < 0.1 * propa.dls[j] || prop.dl[j] > 3 * propa.dls[j]) {
+                    prop.kwx = Math.max(prop.kwx, 3);
+                }
+            }
+            if (prop.ens < 250 || prop.ens > 400 || prop.gme < 75e-9 || prop.gme > 250e-9 ||
+                prop.zgndReal <= Math.abs(prop.zgndImag) || prop.wn < 0.419 || prop.wn > 420) {
+                prop.kwx = 4;
+            }
+            for (let j = 0; j < 2; j++) {
+                if (prop.hg[j] < 0.5 || prop.hg[j] > 3000) prop.kwx = 4;
+            }
+
+            state.dmin = Math.abs(prop.he[0] - prop.he[1]) / 200e-3;
+            this.adiff(0, prop, propa);
+            state.xae = Math.pow(prop.wn * Math.pow(prop.gme, 2), -1 / 3);
+            const d3 = Math.max(propa.dlsa, 1.3787 * state.xae + propa.dla);
+            const d4 = d3 + 2.7574 * state.xae;
+            const a3 = this.adiff(d3, prop, propa);
+            const a4 = this.adiff(d4, prop, propa);
+            propa.emd = (a4 - a3) / (d4 - d3);
+            propa.aed = a3 - propa.emd * d3;
+        }
+
+        if (prop.mdp >= 0) {
+            prop.mdp = 0;
+            prop.dist = d;
+        }
+
+        if (prop.dist > 0) {
+            if (prop.dist > 1000e3) prop.kwx = Math.max(prop.kwx, 1);
+            if (prop.dist < state.dmin) prop.kwx = Math.max(prop.kwx, 3);
+            if (prop.dist < 1e3 || prop.dist > 2000e3) prop.kwx = 4;
+        }
+
+        if (prop.dist < propa.dlsa) {
+            if (!state.wlos) {
+                this.alos(0, prop, propa);
+                const d2 = propa.dlsa;
+                const a2 = propa.aed + d2 * propa.emd;
+                let d0 = 1.908 * prop.wn * prop.he[0] * prop.he[1];
+                let d1;
+
+                if (propa.aed >= 0) {
+                    d0 = Math.min(d0, 0.5 * propa.dla);
+                    d1 = d0 + 0.25 * (propa.dla - d0);
+                } else {
+                    d1 = Math.max(-propa.aed / propa.emd, 0.25 * propa.dla);
+                }
+
+                const a1 = this.alos(d1, prop, propa);
+                let wq = false;
+
+                if (d0 < d1) {
+                    const a0 = this.alos(d0, prop, propa);
+                    const q = Math.log(d2 / d0);
+                    propa.ak2 = Math.max(0, ((d2 - d0) * (a1 - a0) - (d1 - d0) * (a2 - a0)) /
+                                            ((d2 - d0) * Math.log(d1 / d0) - (d1 - d0) * q));
+                    wq = propa.aed >= 0 || propa.ak2 > 0;
+
+                    if (wq) {
+                        propa.ak1 = (a2 - a0 - propa.ak2 * q) / (d2 - d0);
+                        if (propa.ak1 < 0) {
+                            propa.ak1 = 0;
+                            propa.ak2 = this.dim(a2, a0) / q;
+                            if (propa.ak2 === 0) propa.ak1 = propa.emd;
+                        }
+                    }
+                }
+
+                if (!wq) {
+                    propa.ak1 = this.dim(a2, a1) / (d2 - d1);
+                    propa.ak2 = 0;
+                    if (propa.ak1 === 0) propa.ak1 = propa.emd;
+                }
+
+                propa.ael = a2 - propa.ak1 * d2 - propa.ak2 * Math.log(d2);
+                state.wlos = true;
+            }
+
+            if (prop.dist > 0) {
+                prop.aref = propa.ael + propa.ak1 * prop.dist + propa.ak2 * Math.log(prop.dist);
+            }
+        }
+
+        if (prop.dist <= 0 || prop.dist >= propa.dlsa) {
+            if (!state.wscat) {
+                this.ascat(0, prop, propa);
+                const d5 = propa.dla + 200e3;
+                const d6 = d5 + 200e3;
+                const a6 = this.ascat(d6, prop, propa);
+                const a5 = this.ascat(d5, prop, propa);
+
+                if (a5 < 1000) {
+                    propa.ems = (a6 - a5) / 200e3;
+                    propa.dx = Math.max(propa.dlsa, Math.max(
+                        propa.dla + 0.3 * state.xae * Math.log(47.7 * prop.wn),
+                        (a5 - propa.aed - propa.ems * d5) / (propa.emd - propa.ems)
+                    ));
+                    propa.aes = (propa.emd - propa.ems) * propa.dx + propa.aed;
+                } else {
+                    propa.ems = propa.emd;
+                    propa.aes = propa.aed;
+                    propa.dx = 10e6;
+                }
+                state.wscat = true;
+            }
+
+            if (prop.dist > propa.dx) {
+                prop.aref = propa.aes + propa.ems * prop.dist;
+            } else {
+                prop.aref = propa.aed + propa.emd * prop.dist;
+            }
+        }
+
+        prop.aref = Math.max(prop.aref, 0);
+    }
+
+    /**
+     * Smooth curve used by the climate-dependent variability tables
+     */
+    curve(c1, c2, x1, x2, x3, de) {
+        return (c1 + c2 / (1 + Math.pow((de - x2) / x3, 2))) *
+               Math.pow(de / x1, 2) / (1 + Math.pow(de / x1, 2));
+    }
+
+    /**
+     * Variability: attenuation for the requested time, location and situation quantiles
+     */
+    avar(zzt, zzl, zzc, prop, propv) {
+        const bv1 = [-9.67, -0.62, 1.26, -9.21, -0.62, -0.39, 3.15];
+        const bv2 = [12.7, 9.19, 15.5, 9.05, 9.19, 2.86, 857.9];
+        const xv1 = [144.9e3, 228.9e3, 262.6e3, 84.1e3, 228.9e3, 141.7e3, 2222e3];
+        const xv2 = [190.3e3, 205.2e3, 185.2e3, 101.1e3, 205.2e3, 315.9e3, 164.8e3];
+        const xv3 = [133.8e3, 143.6e3, 99.8e3, 98.6e3, 143.6e3, 167.4e3, 116.3e3];
+        const bsm1 = [2.13, 2.66, 6.11, 1.98, 2.68, 6.86, 8.51];
+        const bsm2 = [159.5, 7.67, 6.65, 13.11, 7.16, 10.38, 169.8];
+        const xsm1 = [762.2e3, 100.4e3, 138.2e3, 139.1e3, 93.7e3, 187.8e3, 609.8e3];
+        const xsm2 = [123.6e3, 172.5e3, 242.2e3, 132.7e3, 186.8e3, 169.6e3, 119.9e3];
+        const xsm3 = [94.5e3, 136.4e3, 178.6e3, 193.5e3, 133.5e3, 108.9e3, 106.6e3];
+        const bsp1 = [2.11, 6.87, 10.08, 3.68, 4.75, 8.58, 8.43];
+        const bsp2 = [102.3, 15.53, 9.60, 159.3, 8.12, 13.97, 8.19];
+        const xsp1 = [636.9e3, 138.7e3, 165.3e3, 464.4e3, 93.2e3, 216.0e3, 136.2e3];
+        const xsp2 = [134.8e3, 143.7e3, 225.7e3, 93.1e3, 135.9e3, 152.0e3, 188.5e3];
+        const xsp3 = [95.6e3, 98.6e3, 129.7e3, 94.2e3, 113.4e3, 122.7e3, 122.9e3];
+        const bsd1 = [1.224, 0.801, 1.380, 1.000, 1.224, 1.518, 1.518];
+        const bzd1 = [1.282, 2.161, 1.282, 20, 1.282, 1.282, 1.282];
+        const bfm1 = [1.0, 1.0, 1.0, 1.0, 0.92, 1.0, 1.0];
+        const bfm2 = [0.0, 0.0, 0.0, 0.0, 0.25, 0.0, 0.0];
+        const bfm3 = [0.0, 0.0, 0.0, 0.0, 1.77, 0.0, 0.0];
+        const bfp1 = [1.0, 0.93, 1.0, 0.93, 0.93, 1.0, 1.0];
+        const bfp2 = [0.0, 0.31, 0.0, 0.19, 0.31, 0.0, 0.0];
+        const bfp3 = [0.0, 2.00, 0.0, 1.79, 2.00, 0.0, 0.0];
+        const rt = 7.8;
+        const rl = 24.0;
+        const v = propv.state || (propv.state = {});
+
+        if (propv.lvar > 0) {
+            if (propv.lvar >= 5) {
+                if (propv.klim <= 0 || propv.klim > 7) {
+                    propv.klim = 5;
+                    prop.kwx = Math.max(prop.kwx, 2);
+                }
+                const k = propv.klim - 1;
+                v.cv1 = bv1[k]; v.cv2 = bv2[k];
+                v.yv1 = xv1[k]; v.yv2 = xv2[k]; v.yv3 = xv3[k];
+                v.csm1 = bsm1[k]; v.csm2 = bsm2[k];
+                v.ysm1 = xsm1[k]; v.ysm2 = xsm2[k]; v.ysm3 = xsm3[k];
+                v.csp1 = bsp1[k]; v.csp2 = bsp2[k];
+                v.ysp1 = xsp1[k]; v.ysp2 = xsp2[k]; v.ysp3 = xsp3[k];
+                v.csd1 = bsd1[k]; v.zd = bzd1[k];
+                v.cfm1 = bfm1[k]; v.cfm2 = bfm2[k]; v.cfm3 = bfm3[k];
+                v.cfp1 = bfp1[k]; v.cfp2 = bfp2[k]; v.cfp3 = bfp3[k];
+            }
+            if (propv.lvar >= 4) {
+                v.kdv = propv.mdvar;
+                v.ws = v.kdv >= 20;
+                if (v.ws) v.kdv -= 20;
+                v.w1 = v.kdv >= 10;
+                if (v.w1) v.kdv -= 10;
+                if (v.kdv < 0 || v.kdv > 3) {
+                    v.kdv = 0;
+                    prop.kwx = Math.max(prop.kwx, 2);
+                }
+            }
+            if (propv.lvar >= 3) {
+                const q = Math.log(0.133 * prop.wn);
+                v.gm = v.cfm1 + v.cfm2 / (Math.pow(v.cfm3 * q, 2) + 1);
+                v.gp = v.cfp1 + v.cfp2 / (Math.pow(v.cfp3 * q, 2) + 1);
+            }
+            if (propv.lvar >= 2) {
+                v.dexa = Math.sqrt(18e6 * prop.he[0]) + Math.sqrt(18e6 * prop.he[1]) +
+                         Math.cbrt(575.7e12 / prop.wn);
+            }
+            if (prop.dist < v.dexa) {
+                v.de = 130e3 * prop.dist / v.dexa;
+            } else {
+                v.de = 130e3 + prop.dist - v.dexa;
+            }
+
+            v.vmd = this.curve(v.cv1, v.cv2, v.yv1, v.yv2, v.yv3, v.de);
+            v.sgtm = this.curve(v.csm1, v.csm2, v.ysm1, v.ysm2, v.ysm3, v.de) * v.gm;
+            v.sgtp = this.curve(v.csp1, v.csp2, v.ysp1, v.ysp2, v.ysp3, v.de) * v.gp;
+            v.sgtd = v.sgtp * v.csd1;
+            v.tgtd = (v.sgtp - v.sgtd) * v.zd;
+
+            if (v.w1) {
+                v.sgl = 0;
+            } else {
+                const q = (1 - 0.8 * Math.exp(-prop.dist / 50e3)) * prop.dh * prop.wn;
+                v.sgl = 10 * q / (q + 13);
+            }
+
+            v.vs0 = v.ws ? 0 : Math.pow(5 + 3 * Math.exp(-v.de / 100e3), 2);
+            propv.lvar = 0;
+        }
+
+        let zt = zzt;
+        let zl = zzl;
+        const zc = zzc;
+
+        switch (v.kdv) {
+            case 0:
+                zt = zc;
+                zl = zc;
+                break;
+            case 1:
+                zl = zc;
+                break;
+            case 2:
+                zl = zt;
+                break;
+        }
+
+        if (Math.abs(zt) > 3.1 || Math.abs(zl) > 3.1 || Math.abs(zc) > 3.1) {
+            prop.kwx = Math.max(prop.kwx, 1);
+        }
+
+        let sgt;
+        if (zt < 0) {
+            sgt = v.sgtm;
+        } else if (zt <= v.zd) {
+            sgt = v.sgtp;
+        } else {
+            sgt = v.sgtd + v.tgtd / zt;
+        }
+
+        const vs = v.vs0 + Math.pow(sgt * zt, 2) / (rt + zc * zc) + Math.pow(v.sgl * zl, 2) / (rl + zc * zc);
+
+        let yr;
+        if (v.kdv === 0) {
+            yr = 0;
+            propv.sgc = Math.sqrt(sgt * sgt + v.sgl * v.sgl + vs);
+        } else if (v.kdv === 1) {
+            yr = sgt * zt;
+            propv.sgc = Math.sqrt(v.sgl * v.sgl + vs);
+        } else if (v.kdv === 2) {
+            yr = Math.sqrt(sgt * sgt + v.sgl * v.sgl) * zt;
+            propv.sgc = Math.sqrt(vs);
+        } else {
+            yr = sgt * zt + v.sgl * zl;
+            propv.sgc = Math.sqrt(vs);
+        }
+
+        let avarv = prop.aref - v.vmd - yr - propv.sgc * zc;
+        if (avarv < 0) avarv = avarv * (29 - avarv) / (29 - 10 * avarv);
+
+        return avarv;
+    }
+
+    /**
+     * Horizon distances and elevation angles from the profile
+     */
+    hzns(pfl, prop) {
+        const np = pfl[0];
+        const xi = pfl[1];
+        const za = pfl[2] + prop.hg[0];
+        const zb = pfl[np + 2] + prop.hg[1];
+        const qc = 0.5 * prop.gme;
+        let q = qc * prop.dist;
+
+        prop.the[1] = (zb - za) / prop.dist;
+        prop.the[0] = prop.the[1] - q;
+        prop.the[1] = -prop.the[1] - q;
+        prop.dl[0] = prop.dist;
+        prop.dl[1] = prop.dist;
+
+        if (np >= 2) {
+            let sa = 0;
+            let sb = prop.dist;
+            let wq = true;
+
+            for (let i = 1; i < np; i++) {
+                sa += xi;
+                sb -= xi;
+                q = pfl[i + 2] - (qc * sa + prop.the[0]) * sa - za;
+                if (q > 0) {
+                    prop.the[0] += q / sa;
+                    prop.dl[0] = sa;
+                    wq = false;
+                }
+                if (!wq) {
+                    q = pfl[i + 2] - (qc * sb + prop.the[1]) * sb - zb;
+                    if (q > 0) {
+                        prop.the[1] += q / sb;
+                        prop.dl[1] = sb;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Least squares linear fit of the profile between x1 and x2
+     * Returns [z0, zn], the fitted heights at both ends of the profile
+     */
+    zlsq1(z, x1, x2) {
+        const xn = z[0];
+        let xa = Math.trunc(this.dim(x1 / z[1], 0));
+        let xb = xn - Math.trunc(this.dim(xn, x2 / z[1]));
+
+        if (xb <= xa) {
+            xa = this.dim(xa, 1);
+            xb = xn - this.dim(xn, xb + 1);
+        }
+
+        let ja = Math.trunc(xa);
+        const jb = Math.trunc(xb);
+        const n = jb - ja;
+        xa = xb - xa;
+        let x = -0.5 * xa;
+        xb += x;
+        let a = 0.5 * (z[ja + 2] + z[jb + 2]);
+        let b = 0.5 * (z[ja + 2] - z[jb + 2]) * x;
+
+        for (let i = 2; i <= n; i++) {
+            ja++;
+            x += 1;
+            a += z[ja + 2];
+            b += z[ja + 2] * x;
+        }
+
+        a /= xa;
+        b = b * 12 / ((xa * xa + 2) * xa);
+
+        return [a - b * xb, a + b * (xn - xb)];
+    }
+
+    /**
+     * Value of the ir-th element in descending order
+     */
+    qtile(values, ir) {
+        const sorted = [...values].sort((a, b) => b - a);
+        return sorted[Math.min(Math.max(0, ir), sorted.length - 1)];
+    }
+
+    /**
+     * Terrain irregularity Δh: interdecile range of the detrended profile between x1 and x2
+     */
+    dlthx(pfl, x1, x2) {
+        const np = pfl[0];
+        let xa = x1 / pfl[1];
+        let xb = x2 / pfl[1];
+
+        if (xb - xa < 2) return 0;
+
+        let ka = Math.trunc(0.1 * (xb - xa + 8));
+        ka = Math.min(Math.max(4, ka), 25);
+        const n = 10 * ka - 5;
+        const kb = n - ka + 1;
+        const sn = n - 1;
+        const s = new Array(n + 2);
+        s[0] = sn;
+        s[1] = 1;
+
+        xb = (xb - xa) / sn;
+        let k = Math.trunc(xa + 1);
+        xa -= k;
+
+        for (let j = 0; j < n; j++) {
+            while (xa > 0 && k < np) {
+                xa -= 1;
+                k++;
+            }
+            s[j + 2] = pfl[k + 2] + (pfl[k + 2] - pfl[k + 1]) * xa;
+            xa += xb;
+        }
+
+        [xa, xb] = this.zlsq1(s, 0, sn);
+        xb = (xb - xa) / sn;
+        for (let j = 0; j < n; j++) {
+            s[j + 2] -= xa;
+            xa += xb;
+        }
+
+        const detrended = s.slice(2);
+        const dlthxv = this.qtile(detrended, ka - 1) - this.qtile(detrended, kb - 1);
+
+        return dlthxv / (1 - 0.8 * Math.exp(-(x2 - x1) / 50e3));
+    }
+
+    /**
+     * Prepare the model for a profile: horizons, effective heights, terrain irregularity
+     */
+    qlrpfl(pfl, klimx, mdvarx, prop, propa, propv) {
+        const np = pfl[0];
+        prop.dist = pfl[0] * pfl[1];
+        this.hzns(pfl, prop);
+
+        const xl = [0, 0];
+        for (let j = 0; j < 2; j++) {
+            xl[j] = Math.min(15 * prop.hg[j], 0.1 * prop.dl[j]);
+        }
+        xl[1] = prop.dist - xl[1];
+        prop.dh = this.dlthx(pfl, xl[0], xl[1]);
+
+        if (prop.dl[0] + prop.dl[1] > 1.5 * prop.dist) {
+            // Line of sight: effective heights from the fitted terrain
+            const [za, zb] = this.zlsq1(pfl, xl[0], xl[1]);
+            prop.he[0] = prop.hg[0] + this.dim(pfl[2], za);
+            prop.he[1] = prop.hg[1] + this.dim(pfl[np + 2], zb);
+
+            for (let j = 0; j < 2; j++) {
+                prop.dl[j] = Math.sqrt(2 * prop.he[j] / prop.gme) *
+                             Math.exp(-0.07 * Math.sqrt(prop.dh / Math.max(prop.he[j], 5)));
+            }
+
+            const q = prop.dl[0] + prop.dl[1];
+            if (q <= prop.dist) {
+                const temp = Math.pow(prop.dist / q, 2);
+                for (let j = 0; j < 2; j++) {
+                    prop.he[j] *= temp;
+                    prop.dl[j] = Math.sqrt(2 * prop.he[j] / prop.gme) *
+                                 Math.exp(-0.07 * Math.sqrt(prop.dh / Math.max(prop.he[j], 5)));
+                }
+            }
+
+            for (let j = 0; j < 2; j++) {
+                const qj = Math.sqrt(2 * prop.he[j] / prop.gme);
+                prop.the[j] = (0.65 * prop.dh * (qj / prop.dl[j] - 1) - 2 * prop.he[j]) / qj;
+            }
+        } else {
+            // Transhorizon: fit terrain in front of each antenna up to its horizon
+            const [za] = this.zlsq1(pfl, xl[0], 0.9 * prop.dl[0]);
+            const [, zb] = this.zlsq1(pfl, prop.dist - 0.9 * prop.dl[1], xl[1]);
+            prop.he[0] = prop.hg[0] + this.dim(pfl[2], za);
+            prop.he[1] = prop.hg[1] + this.dim(pfl[np + 2], zb);
+        }
+
+        prop.mdp = -1;
+        propv.lvar = Math.max(propv.lvar, 3);
+        if (mdvarx >= 0) {
+            propv.mdvar = mdvarx;
+            propv.lvar = Math.max(propv.lvar, 4);
+        }
+        if (klimx > 0) {
+            propv.klim = klimx;
+            propv.lvar = 5;
+        }
+
+        this.lrprop(0, prop, propa);
+    }
+
+    /**
+     * Inverse of the complementary normal distribution (standard normal deviate)
+     */
+    qerfi(q) {
+        const c0 = 2.515516698;
+        const c1 = 0.802853;
+        const c2 = 0.010328;
+        const d1 = 1.432788;
+        const d2 = 0.189269;
+        const d3 = 0.001308;
+
+        const x = 0.5 - q;
+        let t = Math.max(0.5 - Math.abs(x), 0.000001);
+        t = Math.sqrt(-2 * Math.log(t));
+        let v = t - ((c2 * t + c1) * t + c0) / (((d3 * t + d2) * t + d1) * t + 1);
+        if (x < 0) v = -v;
+
+        return v;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ITMModel;
+}
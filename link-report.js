@@ -0,0 +1,513 @@
+/**
+ * Link Report
+ * Printable report of an analysis: map snapshot, site, link and obstruction tables,
+ * radio configuration and profile charts
+ * One layout (in mm) is written to a paginated A4 PDF (jsPDF) or a single tall PNG
+ */
+
+class LinkReport {
+    constructor() {
+        this.pageWidth = 210; // mm, A4
+        this.pageHeight = 297;
+        this.margin = 15;
+        this.pngScale = 6; // px per mm (~150 dpi), lowered for reports too tall for a canvas
+        this.maxCanvasSide = 32767; // px, browser canvas limits
+        this.maxCanvasPixels = 16777216;
+
+        this.rowHeight = 5.5; // mm
+        this.fontSize = 8; // pt
+        this.tileSize = 256;
+        this.mapSize = { width: 1200, height: 700 }; // px
+
+        this.colors = {
+            text: '#1a1f2e',
+            muted: '#6c7a9b',
+            border: '#d0d5e0',
+            header: '#eef1f6',
+            chart: '#1a1f2e', // charts keep the dark theme they were drawn for
+            site: '#252b3b',
+            siteBorder: '#00d9ff'
+        };
+    }
+
+    /**
+     * Sites table from GeoExport-shaped data
+     */
+    getSiteTable(data) {
+        return {
+            title: 'Sites',
+            columns: [
+                { title: 'Point' },
+                { title: 'Name' },
+                { title: 'Latitude', align: 'right' },
+                { title: 'Longitude', align: 'right' },
+                { title: 'Elevation', align: 'right' },
+                { title: 'Antenna AGL', align: 'right' },
+                { title: 'Antenna AMSL', align: 'right' }
+            ],
+            rows: data.points.map(point => [
+                point.label,
+                point.name || '',
+                point.lat.toFixed(6),
+                point.lon.toFixed(6),
+                point.elevation !== null ? `${point.elevation.toFixed(0)} m` : 'n/a',
+                `${point.antennaHeight} m`,
+                point.elevation !== null ? `${(point.elevation + point.totalHeight).toFixed(0)} m` : 'n/a'
+            ])
+        };
+    }
+
+    /**
+     * Per-link results table
+     */
+    getLinkTable(data) {
+        return {
+            title: 'Links',
+            columns: [
+                { title: 'Link' },
+                { title: 'Distance', align: 'right' },
+                { title: 'Path loss', align: 'right' },
+                { title: 'Obstr. loss', align: 'right' },
+                { title: 'RX power', align: 'right' },
+                { title: 'Margin', align: 'right' },
+                { title: 'Fresnel', align: 'right' },
+                { title: 'Obstr.', align: 'right' },
+                { title: 'Status' }
+            ],
+            rows: data.links.map(link => [
+                `${link.from} → ${link.to}`,
+                `${link.distance.toFixed(2)} km`,
+                `${link.pathLoss.toFixed(1)} dB`,
+                `${link.obstructionLoss.toFixed(1)} dB`,
+                `${link.rxPower.toFixed(1)} dBm`,
+                `${link.linkMargin.toFixed(1)} dB`,
+                isFinite(link.fresnelClearance) ? `${link.fresnelClearance.toFixed(0)}%` : '-',
+                String(link.obstructions.length),
+                `${link.viable ? 'Viable' : 'Not viable'}, ${link.quality}`
+            ])
+        };
+    }
+
+    /**
+     * Profile samples intruding into 60% of the first Fresnel zone, null if there are none
+     */
+    getObstructionTable(data) {
+        const rows = [];
+        data.links.forEach(link => {
+            link.obstructions.forEach(obstruction => rows.push([
+                `${link.from} → ${link.to}`,
+                `${obstruction.distance.toFixed(2)} km`,
+                obstruction.type,
+                `${obstruction.lat.toFixed(5)}, ${obstruction.lon.toFixed(5)}`,
+                `${obstruction.elevation.toFixed(0)} m`,
+                `${obstruction.obstruction.toFixed(1)} m`
+            ]));
+        });
+
+        if (rows.length === 0) return null;
+
+        return {
+            title: 'Obstructions (60% of the first Fresnel zone)',
+            columns: [
+                { title: 'Link' },
+                { title: 'From start', align: 'right' },
+                { title: 'Type' },
+                { title: 'Position', align: 'right' },
+                { title: 'Height', align: 'right' },
+                { title: 'Intrusion', align: 'right' }
+            ],
+            rows
+        };
+    }
+
+    /**
+     * Map snapshot: base map tiles with the coverage raster, links and sites on top
+     * options: { points, links, tileUrl ({s} {z} {x} {y}), subdomains, maxZoom, attribution, coverage }
+     * Tiles that cannot be loaded with CORS are left blank
+     */
+    async renderMap(options) {
+        const { width, height } = this.mapSize;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#e8e8e8';
+        ctx.fillRect(0, 0, width, height);
+
+        // Highest zoom at which every site fits with some padding
+        const padding = 60;
+        const lats = options.points.map(point => point.lat);
+        const lons = options.points.map(point => point.lon);
+        let zoom = Math.min(options.maxZoom || 18, 16);
+        while (zoom > 1) {
+            const [x1, y1] = this.project(Math.max(...lats), Math.min(...lons), zoom);
+            const [x2, y2] = this.project(Math.min(...lats), Math.max(...lons), zoom);
+            if (x2 - x1 <= width - 2 * padding && y2 - y1 <= height - 2 * padding) break;
+            zoom--;
+        }
+
+        const [centerX, centerY] = this.project(
+            (Math.max(...lats) + Math.min(...lats)) / 2,
+            (Math.max(...lons) + Math.min(...lons)) / 2,
+            zoom
+        );
+        const left = centerX - width / 2;
+        const top = centerY - height / 2;
+        const toPixel = (lat, lon) => {
+            const [x, y] = this.project(lat, lon, zoom);
+            return [x - left, y - top];
+        };
+
+        // Base map
+        const tileCount = Math.pow(2, zoom);
+        const tiles = [];
+        for (let tx = Math.floor(left / this.tileSize); tx * this.tileSize < left + width; tx++) {
+            for (let ty = Math.max(0, Math.floor(top / this.tileSize)); ty * this.tileSize < top + height && ty < tileCount; ty++) {
+                const x = ((tx % tileCount) + tileCount) % tileCount;
+                tiles.push(this.loadImage(this.getTileUrl(options, x, ty, zoom)).then(image => {
+                    if (image) ctx.drawImage(image, tx * this.tileSize - left, ty * this.tileSize - top);
+                }));
+            }
+        }
+        await Promise.all(tiles);
+
+        // Coverage raster
+        if (options.coverage) {
+            const [[south, west], [north, east]] = options.coverage.bounds;
+            const [x1, y1] = toPixel(north, west);
+            const [x2, y2] = toPixel(south, east);
+            ctx.globalAlpha = 0.6;
+            ctx.imageSmoothingEnabled = false;
+            ctx.drawImage(options.coverage.canvas, x1, y1, x2 - x1, y2 - y1);
+            ctx.globalAlpha = 1;
+        }
+
+        // Links
+        ctx.lineWidth = 4;
+        ctx.lineCap = 'round';
+        options.links.forEach(link => {
+            const [x1, y1] = toPixel(link.start.lat, link.start.lon);
+            const [x2, y2] = toPixel(link.end.lat, link.end.lon);
+            ctx.strokeStyle = link.color;
+            ctx.setLineDash(link.viable ? [] : [10, 8]);
+            ctx.beginPath();
+            ctx.moveTo(x1, y1);
+            ctx.lineTo(x2, y2);
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
+
+        // Sites, labeled like the map markers
+        ctx.font = 'bold 14px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        options.points.forEach(point => {
+            const [x, y] = toPixel(point.lat, point.lon);
+            const boxWidth = Math.max(26, ctx.measureText(point.label).width + 14);
+            ctx.fillStyle = this.colors.site;
+            ctx.strokeStyle = this.colors.siteBorder;
+            ctx.lineWidth = 2;
+            ctx.fillRect(x - boxWidth / 2, y - 12, boxWidth, 24);
+            ctx.strokeRect(x - boxWidth / 2, y - 12, boxWidth, 24);
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(point.label, x, y + 1);
+        });
+
+        // Attribution
+        if (options.attribution) {
+            ctx.font = '12px sans-serif';
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'bottom';
+            const textWidth = ctx.measureText(options.attribution).width;
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+            ctx.fillRect(width - textWidth - 12, height - 20, textWidth + 12, 20);
+            ctx.fillStyle = '#333333';
+            ctx.fillText(options.attribution, width - 6, height - 4);
+        }
+
+        return canvas;
+    }
+
+    /**
+     * Web Mercator pixel coordinates at a zoom level
+     */
+    project(lat, lon, zoom) {
+        const scale = this.tileSize * Math.pow(2, zoom);
+        const sin = Math.sin(lat * Math.PI / 180);
+        return [
+            (lon + 180) / 360 * scale,
+            (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale
+        ];
+    }
+
+    /**
+     * Tile URL from a Leaflet-style template
+     */
+    getTileUrl(options, x, y, z) {
+        const subdomains = options.subdomains || 'abc';
+        return options.tileUrl
+            .replace('{s}', subdomains[Math.abs(x + y) % subdomains.length])
+            .replace('{z}', z)
+            .replace('{x}', x)
+            .replace('{y}', y);
+    }
+
+    /**
+     * Load a CORS image, null if it fails
+     */
+    loadImage(url) {
+        return new Promise(resolve => {
+            const image = new Image();
+            image.crossOrigin = 'anonymous';
+            image.onload = () => resolve(image);
+            image.onerror = () => resolve(null);
+            image.src = url;
+        });
+    }
+
+    /**
+     * Lay the report out on a writer; returns the height used on the last page (mm)
+     * report: { title, subtitle, map (canvas), tables: [{ title, columns, rows }], charts: [{ title, canvas }] }
+     */
+    layout(report, writer) {
+        const { margin } = this;
+        const contentWidth = this.pageWidth - 2 * margin;
+        let y = margin;
+
+        const ensureSpace = height => {
+            if (y + height > writer.pageHeight - margin) {
+                writer.addPage();
+                y = margin;
+            }
+        };
+        const heading = text => {
+            ensureSpace(8 + 2 * this.rowHeight);
+            writer.text(text, margin, y + 5, { size: 11, bold: true });
+            y += 8;
+        };
+
+        writer.text(report.title, margin, y + 6, { size: 16, bold: true });
+        y += 10;
+        writer.text(report.subtitle, margin, y + 3, { size: 9, color: this.colors.muted });
+        y += 8;
+
+        if (report.map) {
+            const height = contentWidth * report.map.height / report.map.width;
+            ensureSpace(height);
+            writer.image(report.map, margin, y, contentWidth, height);
+            writer.strokeRect(margin, y, contentWidth, height, this.colors.border);
+            y += height + 6;
+        }
+
+        report.tables.forEach(table => {
+            heading(table.title);
+
+            const widths = this.getColumnWidths(table, writer, contentWidth);
+            const drawRow = (cells, bold) => {
+                let x = margin;
+                cells.forEach((cell, i) => {
+                    const column = table.columns[i];
+                    const text = this.fitText(String(cell), widths[i] - 2, writer, bold);
+                    const textX = column.align === 'right' ? x + widths[i] - 1 : x + 1;
+                    writer.text(text, textX, y + 3.8, { size: this.fontSize, bold, align: column.align });
+                    x += widths[i];
+                });
+                writer.line(margin, y + this.rowHeight, margin + contentWidth, y + this.rowHeight, this.colors.border);
+                y += this.rowHeight;
+            };
+            const drawHeader = () => {
+                writer.fillRect(margin, y, contentWidth, this.rowHeight, this.colors.header);
+                drawRow(table.columns.map(column => column.title), true);
+            };
+
+            drawHeader();
+            table.rows.forEach(row => {
+                if (y + this.rowHeight > writer.pageHeight - margin) {
+                    writer.addPage();
+                    y = margin;
+                    drawHeader();
+                }
+                drawRow(row, false);
+            });
+            y += 6;
+        });
+
+        if (report.charts.length > 0) {
+            heading('Profiles');
+            report.charts.forEach(chart => {
+                const height = contentWidth * chart.canvas.height / chart.canvas.width;
+                ensureSpace(height + 6);
+                writer.text(chart.title, margin, y + 4, { size: 9, bold: true });
+                y += 6;
+                writer.fillRect(margin, y, contentWidth, height, this.colors.chart);
+                writer.image(chart.canvas, margin, y, contentWidth, height);
+                y += height + 6;
+            });
+        }
+
+        return y + margin;
+    }
+
+    /**
+     * Column widths that fit the content, scaled to the page width
+     */
+    getColumnWidths(table, writer, contentWidth) {
+        const natural = table.columns.map((column, i) => Math.max(
+            writer.textWidth(column.title, this.fontSize, true),
+            ...table.rows.map(row => writer.textWidth(String(row[i]), this.fontSize, false))
+        ) + 3);
+        const total = natural.reduce((sum, width) => sum + width, 0);
+        return natural.map(width => width * contentWidth / total);
+    }
+
+    /**
+     * Text shortened with an ellipsis to fit a width (mm)
+     */
+    fitText(text, width, writer, bold) {
+        if (writer.textWidth(text, this.fontSize, bold) <= width) return text;
+        let fitted = text;
+        while (fitted.length > 1 && writer.textWidth(`${fitted}…`, this.fontSize, bold) > width) {
+            fitted = fitted.slice(0, -1);
+        }
+        return `${fitted}…`;
+    }
+
+    /**
+     * A4 PDF (needs jsPDF)
+     */
+    toPdf(report) {
+        if (!window.jspdf) {
+            throw new Error('PDF library not loaded, check the network connection');
+        }
+
+        const doc = new window.jspdf.jsPDF({ unit: 'mm', format: 'a4' });
+        // The standard PDF fonts only cover Latin-1
+        const pdfText = text => text
+            .replace(/→/g, '->')
+            .replace(/≥/g, '>=')
+            .replace(/∞/g, 'inf')
+            .replace(/…/g, '...')
+            .replace(/[^\u0000-\u00ff]/g, '');
+        const setFont = (size, bold) => {
+            doc.setFont('helvetica', bold ? 'bold' : 'normal');
+            doc.setFontSize(size);
+        };
+
+        const writer = {
+            pageHeight: this.pageHeight,
+            addPage: () => doc.addPage(),
+            text: (text, x, y, { size, bold = false, color = this.colors.text, align = 'left' }) => {
+                setFont(size, bold);
+                doc.setTextColor(color);
+                doc.text(pdfText(text), x, y, { align });
+            },
+            textWidth: (text, size, bold) => {
+                setFont(size, bold);
+                return doc.getTextWidth(pdfText(text));
+            },
+            fillRect: (x, y, width, height, color) => {
+                doc.setFillColor(color);
+                doc.rect(x, y, width, height, 'F');
+            },
+            strokeRect: (x, y, width, height, color) => {
+                doc.setDrawColor(color);
+                doc.rect(x, y, width, height, 'S');
+            },
+            line: (x1, y1, x2, y2, color) => {
+                doc.setDrawColor(color);
+                doc.setLineWidth(0.2);
+                doc.line(x1, y1, x2, y2);
+            },
+            image: (canvas, x, y, width, height) => doc.addImage(canvas, 'PNG', x, y, width, height)
+        };
+
+        this.layout(report, writer);
+
+        // Page footers
+        const pages = doc.getNumberOfPages();
+        for (let page = 1; page <= pages; page++) {
+            doc.setPage(page);
+            writer.text(report.title, this.margin, this.pageHeight - 8, { size: 7, color: this.colors.muted });
+            writer.text(`${page} / ${pages}`, this.pageWidth - this.margin, this.pageHeight - 8,
+                { size: 7, color: this.colors.muted, align: 'right' });
+        }
+
+        return doc.output('blob');
+    }
+
+    /**
+     * Single PNG page as tall as the content
+     */
+    async toPng(report) {
+        const scratch = document.createElement('canvas').getContext('2d');
+
+        const createWriter = (ctx, scale) => {
+            const ptToPx = 25.4 / 72 * scale;
+            return {
+                pageHeight: Infinity,
+                addPage: () => {},
+                text: (text, x, y, { size, bold = false, color = this.colors.text, align = 'left' }) => {
+                    ctx.font = `${bold ? 'bold ' : ''}${size * ptToPx}px Helvetica, Arial, sans-serif`;
+                    ctx.fillStyle = color;
+                    ctx.textAlign = align;
+                    ctx.textBaseline = 'alphabetic';
+                    ctx.fillText(text, x * scale, y * scale);
+                },
+                textWidth: (text, size, bold) => {
+                    scratch.font = `${bold ? 'bold ' : ''}${size * ptToPx}px Helvetica, Arial, sans-serif`;
+                    return scratch.measureText(text).width / scale;
+                },
+                fillRect: (x, y, width, height, color) => {
+                    ctx.fillStyle = color;
+                    ctx.fillRect(x * scale, y * scale, width * scale, height * scale);
+                },
+                strokeRect: (x, y, width, height, color) => {
+                    ctx.strokeStyle = color;
+                    ctx.lineWidth = 1;
+                    ctx.strokeRect(x * scale, y * scale, width * scale, height * scale);
+                },
+                line: (x1, y1, x2, y2, color) => {
+                    ctx.strokeStyle = color;
+                    ctx.lineWidth = 1;
+                    ctx.beginPath();
+                    ctx.moveTo(x1 * scale, y1 * scale);
+                    ctx.lineTo(x2 * scale, y2 * scale);
+                    ctx.stroke();
+                },
+                image: (canvas, x, y, width, height) => ctx.drawImage(canvas, x * scale, y * scale, width * scale, height * scale)
+            };
+        };
+
+        // Measure first, then draw on a canvas of that height
+        const measure = { ...createWriter(scratch, this.pngScale), text() {}, fillRect() {}, strokeRect() {}, line() {}, image() {} };
+        const height = this.layout(report, measure);
+
+        // Tall reports get a lower resolution instead of exceeding the canvas limits
+        const scale = Math.min(
+            this.pngScale,
+            this.maxCanvasSide / height,
+            Math.sqrt(this.maxCanvasPixels / (this.pageWidth * height))
+        );
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(this.pageWidth * scale);
+        canvas.height = Math.round(height * scale);
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        this.layout(report, createWriter(ctx, scale));
+
+        return new Promise((resolve, reject) => canvas.toBlob(blob => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error(`Report image too large (${canvas.width} × ${canvas.height} px), use PDF instead`));
+            }
+        }, 'image/png'));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LinkReport;
+}
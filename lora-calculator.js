@@ -6,6 +6,7 @@
 class LoRaCalculator {
     constructor() {
         // LoRa sensitivity table (dBm) - SF vs BW
+        // 125-500 kHz: sub-GHz radios, 203-1625 kHz: SX1280 (2.4 GHz)
         this.sensitivityTable = {
             '125': {
                 7: -123,
@@ -30,8 +31,110 @@ class LoRaCalculator {
                 10: -125,
                 11: -128,
                 12: -130
+            },
+            '203': {
+                7: -115,
+                8: -118,
+                9: -122,
+                10: -125,
+                11: -128,
+                12: -130
+            },
+            '406': {
+                7: -113,
+                8: -116,
+                9: -119,
+                10: -122,
+                11: -125,
+                12: -128
+            },
+            '812': {
+                7: -112,
+                8: -115,
+                9: -117,
+                10: -120,
+                11: -123,
+                12: -126
+            },
+            '1625': {
+                7: -106,
+                8: -109,
+                9: -111,
+                10: -114,
+                11: -117,
+                12: -120
             }
         };
+
+        // Path loss model registry
+        // Each model: { name, requiresProfile, frequencyRange ([min, max] MHz where the model is valid),
+        // calculate(distanceKm, frequencyMHz, options) }
+        this.pathLossModels = {};
+
+        this.registerPathLossModel('fspl', {
+            name: 'Free Space (FSPL)',
+            calculate: (distance, frequency) => this.calculateFSPL(distance, frequency)
+        });
+
+        this.registerPathLossModel('hata', {
+            name: 'Okumura-Hata',
+            frequencyRange: [150, 1500],
+            calculate: (distance, frequency, options) => this.calculateHata(distance, frequency, options)
+        });
+
+        this.registerPathLossModel('cost231', {
+            name: 'COST-231 Hata',
+            frequencyRange: [1500, 2000],
+            calculate: (distance, frequency, options) => this.calculateCost231(distance, frequency, options)
+        });
+
+        this.registerPathLossModel('two-ray', {
+            name: 'Two-Ray Ground Reflection',
+            calculate: (distance, frequency, options) => this.calculateTwoRay(distance, frequency, options)
+        });
+
+        this.registerPathLossModel('log-distance', {
+            name: 'Log-Distance',
+            calculate: (distance, frequency, options) => this.calculateLogDistance(distance, frequency, options)
+        });
+
+        // Terrain models need an elevation profile; the loss is computed by the
+        // caller and passed to calculateLinkBudget() as pathLoss.
+        // Without a profile (e.g. max range) they fall back to FSPL.
+        this.registerPathLossModel('itm', {
+            name: 'Longley-Rice (ITM)',
+            requiresProfile: true,
+            calculate: (distance, frequency) => this.calculateFSPL(distance, frequency)
+        });
+    }
+
+    /**
+     * Register a path loss model
+     */
+    registerPathLossModel(id, model) {
+        this.pathLossModels[id] = model;
+    }
+
+    /**
+     * Calculate path loss (dB) with a registered model
+     * options: { txHeight, rxHeight (m), environment, exponent }
+     */
+    calculatePathLoss(distanceKm, frequencyMHz, modelId = 'fspl', options = {}) {
+        const model = this.pathLossModels[modelId] || this.pathLossModels['fspl'];
+        if (distanceKm <= 0) return 0;
+        return model.calculate(distanceKm, frequencyMHz, options);
+    }
+
+    /**
+     * Warning when a frequency is outside the range a path loss model was fitted for, null if valid
+     */
+    getPathLossModelWarning(modelId, frequencyMHz) {
+        const model = this.pathLossModels[modelId];
+        if (!model || !model.frequencyRange) return null;
+
+        const [min, max] = model.frequencyRange;
+        if (frequencyMHz >= min && frequencyMHz <= max) return null;
+        return `${model.name} is only valid for ${min}-${max} MHz, results at ${frequencyMHz} MHz are extrapolated`;
     }
 
     /**
@@ -93,6 +196,98 @@ class LoRaCalculator {
         return fspl;
     }
 
+    /**
+     * Mobile antenna height correction a(hm) for Hata models (small/medium city)
+     */
+    calculateHataMobileCorrection(frequencyMHz, mobileHeight) {
+        const logF = Math.log10(frequencyMHz);
+        return (1.1 * logF - 0.7) * mobileHeight - (1.56 * logF - 0.8);
+    }
+
+    /**
+     * Base and mobile antenna heights for Hata models
+     * The higher antenna is treated as the base station
+     */
+    getHataHeights(options) {
+        const { txHeight = 10, rxHeight = 10 } = options;
+        return {
+            baseHeight: Math.max(Math.max(txHeight, rxHeight), 1),
+            mobileHeight: Math.max(Math.min(txHeight, rxHeight), 1)
+        };
+    }
+
+    /**
+     * Okumura-Hata path loss
+     * Valid for 150-1500 MHz, base 30-200 m, mobile 1-10 m, 1-20 km
+     * environment: urban | suburban | open
+     */
+    calculateHata(distanceKm, frequencyMHz, options = {}) {
+        const { environment = 'urban' } = options;
+        const { baseHeight, mobileHeight } = this.getHataHeights(options);
+        const logF = Math.log10(frequencyMHz);
+
+        const urban = 69.55 + 26.16 * logF - 13.82 * Math.log10(baseHeight) -
+                      this.calculateHataMobileCorrection(frequencyMHz, mobileHeight) +
+                      (44.9 - 6.55 * Math.log10(baseHeight)) * Math.log10(distanceKm);
+
+        switch (environment) {
+            case 'suburban':
+                return urban - 2 * Math.pow(Math.log10(frequencyMHz / 28), 2) - 5.4;
+            case 'open':
+                return urban - 4.78 * Math.pow(logF, 2) + 18.33 * logF - 40.94;
+            default:
+                return urban;
+        }
+    }
+
+    /**
+     * COST-231 Hata path loss
+     * Valid for 1500-2000 MHz; urban adds the 3 dB metropolitan correction
+     */
+    calculateCost231(distanceKm, frequencyMHz, options = {}) {
+        const { environment = 'urban' } = options;
+        const { baseHeight, mobileHeight } = this.getHataHeights(options);
+        const cm = environment === 'urban' ? 3 : 0;
+
+        return 46.3 + 33.9 * Math.log10(frequencyMHz) - 13.82 * Math.log10(baseHeight) -
+               this.calculateHataMobileCorrection(frequencyMHz, mobileHeight) +
+               (44.9 - 6.55 * Math.log10(baseHeight)) * Math.log10(distanceKm) + cm;
+    }
+
+    /**
+     * Two-ray ground reflection path loss
+     * Formula: PL = 40*log10(d) - 20*log10(ht) - 20*log10(hr), d in m
+     * Uses FSPL below the crossover distance 4π·ht·hr/λ
+     */
+    calculateTwoRay(distanceKm, frequencyMHz, options = {}) {
+        const { txHeight = 10, rxHeight = 10 } = options;
+        const wavelength = 299.792458 / frequencyMHz; // m
+        const crossover = (4 * Math.PI * txHeight * rxHeight) / wavelength / 1000; // km
+
+        if (distanceKm < crossover) {
+            return this.calculateFSPL(distanceKm, frequencyMHz);
+        }
+
+        return 40 * Math.log10(distanceKm * 1000) -
+               20 * Math.log10(Math.max(txHeight, 0.1)) -
+               20 * Math.log10(Math.max(rxHeight, 0.1));
+    }
+
+    /**
+     * Log-distance path loss
+     * Formula: PL = FSPL(d0) + 10*n*log10(d/d0), d0 = 100 m
+     */
+    calculateLogDistance(distanceKm, frequencyMHz, options = {}) {
+        const { exponent = 3, referenceDistance = 0.1 } = options;
+
+        if (distanceKm <= referenceDistance) {
+            return this.calculateFSPL(distanceKm, frequencyMHz);
+        }
+
+        return this.calculateFSPL(referenceDistance, frequencyMHz) +
+               10 * exponent * Math.log10(distanceKm / referenceDistance);
+    }
+
     /**
      * Calculate Fresnel Zone radius at a point
      * d1, d2 in km, frequency in MHz
@@ -102,7 +297,8 @@ class LoRaCalculator {
         const totalDistance = d1 + d2;
         if (totalDistance === 0) return 0;
         
-        const radius = 17.3 * Math.sqrt((d1 * d2) / (frequencyMHz * totalDistance));
+        // 17.3 m is the constant for distances in km and frequency in GHz
+        const radius = 17.3 * Math.sqrt((d1 * d2) / ((frequencyMHz / 1000) * totalDistance));
         return radius;
     }
 
@@ -130,20 +326,29 @@ class LoRaCalculator {
             sf,           // 7-12
             bw,           // 125, 250, 500
             cr,           // 5, 6, 7, 8
-            fadeMargin = 10  // dB (default)
+            fadeMargin = 10,  // dB (default)
+            diffractionLoss = 0,  // dB, obstruction loss from terrain/buildings
+            clutterLoss = 0,  // dB, vegetation and land cover along the path
+            obstacleLoss = 0,  // dB, through attenuating drawn obstacles (tree lines)
+            pathLossModel = 'fspl',  // registered path loss model id
+            pathLossOptions = {},  // antenna heights, environment, exponent
+            pathLoss: modelPathLoss  // dB, from a terrain model (e.g. ITM) computed by the caller
         } = params;
 
         // Get sensitivity
         const sensitivity = this.getSensitivity(sf, bw);
 
         // Calculate path loss
-        const pathLoss = this.calculateFSPL(distance, frequency);
+        const fspl = this.calculateFSPL(distance, frequency);
+        const pathLoss = modelPathLoss !== undefined ?
+            modelPathLoss :
+            this.calculatePathLoss(distance, frequency, pathLossModel, pathLossOptions);
 
         // Additional losses (cable, connector, etc.)
         const miscLosses = 2; // dB
 
         // Received power
-        const rxPower = txPower + txGain + rxGain - pathLoss - miscLosses;
+        const rxPower = txPower + txGain + rxGain - pathLoss - diffractionLoss - clutterLoss - obstacleLoss - miscLosses;
 
         // Link margin (difference between received power and sensitivity)
         const linkMargin = rxPower - sensitivity;
@@ -171,6 +376,10 @@ class LoRaCalculator {
         return {
             sensitivity,
             pathLoss,
+            fspl,
+            diffractionLoss,
+            clutterLoss,
+            obstacleLoss,
             rxPower,
             linkMargin,
             linkBudget,  // Now equals linkMargin (standard definition)
@@ -200,7 +409,9 @@ class LoRaCalculator {
             frequency,
             sf,
             bw,
-            fadeMargin = 10
+            fadeMargin = 10,
+            pathLossModel = 'fspl',
+            pathLossOptions = {}
         } = params;
 
         const sensitivity = this.getSensitivity(sf, bw);
@@ -209,13 +420,37 @@ class LoRaCalculator {
         // Available path loss budget
         const pathLossBudget = txPower + txGain + rxGain - sensitivity - miscLosses - fadeMargin;
 
-        // Solve FSPL equation for distance
-        // FSPL = 20*log10(d) + 20*log10(f) + 32.45
-        // d = 10^((FSPL - 20*log10(f) - 32.45) / 20)
-        
-        const distance = Math.pow(10, (pathLossBudget - 20 * Math.log10(frequency) - 32.45) / 20);
+        if (pathLossModel === 'fspl' || !this.pathLossModels[pathLossModel]) {
+            // Solve FSPL equation for distance
+            // FSPL = 20*log10(d) + 20*log10(f) + 32.45
+            // d = 10^((FSPL - 20*log10(f) - 32.45) / 20)
+            const distance = Math.pow(10, (pathLossBudget - 20 * Math.log10(frequency) - 32.45) / 20);
+
+            return distance; // km
+        }
+
+        // Other models: bisection on log distance (path loss grows with distance)
+        let low = Math.log10(0.001);
+        let high = Math.log10(10000);
+
+        if (this.calculatePathLoss(Math.pow(10, low), frequency, pathLossModel, pathLossOptions) > pathLossBudget) {
+            return 0;
+        }
+        if (this.calculatePathLoss(Math.pow(10, high), frequency, pathLossModel, pathLossOptions) <= pathLossBudget) {
+            return Math.pow(10, high);
+        }
+
+        for (let i = 0; i < 60; i++) {
+            const mid = (low + high) / 2;
+            const loss = this.calculatePathLoss(Math.pow(10, mid), frequency, pathLossModel, pathLossOptions);
+            if (loss > pathLossBudget) {
+                high = mid;
+            } else {
+                low = mid;
+            }
+        }
 
-        return distance; // km
+        return Math.pow(10, low); // km
     }
 
     /**
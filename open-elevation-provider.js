@@ -0,0 +1,81 @@
+/**
+ * Open-Elevation Provider
+ * Default online elevation source (SRTM-based, global coverage)
+ */
+
+class OpenElevationProvider {
+    constructor(apiUrl = 'https://api.open-elevation.com/api/v1/lookup') {
+        this.id = 'open-elevation';
+        this.name = 'Open-Elevation API';
+        this.apiUrl = apiUrl;
+        this.maxRetries = 3;
+        this.retryDelay = 1000; // ms, doubled on every retry
+        this.minValidElevation = -500; // Anything lower is an SRTM void (-32768)
+        this.resolution = 30; // m (SRTM 1")
+    }
+
+    /**
+     * Global coverage
+     */
+    covers() {
+        return true;
+    }
+
+    /**
+     * Data spacing in m
+     */
+    getResolution() {
+        return this.resolution;
+    }
+
+    /**
+     * Fetch elevations for a batch of locations
+     * Returns one { elevation, status } per location, status 'ok' or 'void'
+     * Throws if the request fails after retries
+     */
+    async lookup(locations) {
+        // Open-Elevation API accepts batch requests
+        const locationString = locations
+            .map(loc => `${loc.lat},${loc.lon}`)
+            .join('|');
+
+        const response = await this.fetchWithRetry(`${this.apiUrl}?locations=${locationString}`);
+        const data = await response.json();
+
+        if (!data.results || data.results.length !== locations.length) {
+            throw new Error('Open-Elevation returned an incomplete response');
+        }
+
+        return data.results.map(result => {
+            if (typeof result.elevation !== 'number' || result.elevation < this.minValidElevation) {
+                return { elevation: null, status: 'void' };
+            }
+            return { elevation: result.elevation, status: 'ok' };
+        });
+    }
+
+    /**
+     * Fetch with exponential backoff on HTTP 429 and 5xx
+     */
+    async fetchWithRetry(url) {
+        for (let attempt = 0; ; attempt++) {
+            const response = await fetch(url);
+            if (response.ok) return response;
+
+            const retryable = response.status === 429 || response.status >= 500;
+            if (!retryable || attempt >= this.maxRetries) {
+                throw new Error(`Open-Elevation request failed (HTTP ${response.status})`);
+            }
+
+            // Honor Retry-After (seconds) when the server sends it
+            const retryAfter = parseFloat(response.headers.get('Retry-After'));
+            const delay = !isNaN(retryAfter) ? retryAfter * 1000 : this.retryDelay * Math.pow(2, attempt);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OpenElevationProvider;
+}
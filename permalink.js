@@ -0,0 +1,189 @@
+/**
+ * Permalink
+ * Encodes a scenario (points, antenna heights, obstacles, settings, base layer, overlays, view)
+ * into a compact URL hash: v<version>.<z = deflate | j = plain>.<base64url JSON>
+ * Decodes it into the same shape as a project file
+ * Version 2 added obstacles and the coverage and terrain sampling settings
+ */
+
+class Permalink {
+    constructor() {
+        this.version = 2;
+        this.precision = 6; // decimals for coordinates (~0.1 m)
+
+        // Overlay flags
+        this.layerFlags = { buildings: 1, coverage: 2, mesh: 4, nonViableLinks: 8 };
+
+        // Point flags
+        this.mountOnBuilding = 1;
+        this.meshExcluded = 2;
+
+        // Obstacle type codes (array index)
+        this.obstacleTypes = ['point', 'line', 'polygon'];
+    }
+
+    /**
+     * Hash (without #) for a project state, null without points
+     * state: { view, layers, settings, points, obstacles, analyses } as built for a project file
+     */
+    async encode(state) {
+        if (state.points.length === 0) return null;
+
+        const round = value => Number(value.toFixed(this.precision));
+
+        const payload = {
+            p: state.points.map(point => {
+                const flags = (point.mountOnBuilding ? this.mountOnBuilding : 0) |
+                    (point.meshSelected === false ? this.meshExcluded : 0);
+                const entry = [round(point.lat), round(point.lon), point.antennaHeight, flags];
+                if (point.name) entry.push(point.name);
+                return entry;
+            }),
+            // Obstacles: [type code, height, attenuation, [lat, lon, lat, lon, ...], radius or width, name]
+            o: (state.obstacles || []).map(obstacle => [
+                this.obstacleTypes.indexOf(obstacle.type),
+                obstacle.height,
+                obstacle.attenuation,
+                obstacle.coordinates.flatMap(({ lat, lon }) => [round(lat), round(lon)]),
+                obstacle.radius || obstacle.width || 0,
+                obstacle.name
+            ]),
+            s: {
+                lora: state.settings.lora,
+                itm: state.settings.itm,
+                propagation: state.settings.propagation,
+                coverage: state.settings.coverage,
+                samplingMode: state.settings.samplingMode
+            },
+            l: Object.entries(this.layerFlags).reduce((flags, [layer, flag]) =>
+                (state.layers[layer] ? flags | flag : flags), 0),
+            b: state.view.baseLayer,
+            v: [round(state.view.lat), round(state.view.lon), state.view.zoom],
+            a: state.analyses && state.analyses.length > 0 ? 1 : 0
+        };
+
+        const bytes = new TextEncoder().encode(JSON.stringify(payload));
+
+        if (typeof CompressionStream === 'undefined') {
+            return `v${this.version}.j.${this.toBase64Url(bytes)}`;
+        }
+        return `v${this.version}.z.${this.toBase64Url(await this.compress(bytes))}`;
+    }
+
+    /**
+     * Project-shaped scenario from a hash (with or without #)
+     * analyze is true when the link was shared with analysis results
+     */
+    async decode(hash) {
+        const match = /^#?v(\d+)\.([zj])\.([A-Za-z0-9_-]+)$/.exec(hash);
+        if (!match) {
+            throw new Error('Shared link: not a scenario link');
+        }
+
+        const version = parseInt(match[1]);
+        if (version > this.version) {
+            throw new Error(`Shared link: version ${version} was made by a newer release`);
+        }
+
+        let payload;
+        try {
+            let bytes = this.fromBase64Url(match[3]);
+            if (match[2] === 'z') {
+                if (typeof DecompressionStream === 'undefined') {
+                    throw new Error('this browser cannot decompress it');
+                }
+                bytes = await this.decompress(bytes);
+            }
+            payload = JSON.parse(new TextDecoder().decode(bytes));
+        } catch (error) {
+            throw new Error(`Shared link: damaged or truncated (${error.message})`);
+        }
+
+        if (!Array.isArray(payload.p)) {
+            throw new Error('Shared link: no points');
+        }
+
+        const [lat, lon, zoom] = payload.v || [];
+
+        return {
+            view: { lat, lon, zoom, baseLayer: payload.b },
+            layers: Object.fromEntries(Object.entries(this.layerFlags).map(([layer, flag]) =>
+                [layer, Boolean(payload.l & flag)])),
+            settings: payload.s || {},
+            points: payload.p.map(([pointLat, pointLon, antennaHeight, flags = 0, name = null]) => ({
+                lat: pointLat,
+                lon: pointLon,
+                antennaHeight,
+                mountOnBuilding: Boolean(flags & this.mountOnBuilding),
+                meshSelected: !(flags & this.meshExcluded),
+                name
+            })),
+            obstacles: (payload.o || []).map(entry => this.decodeObstacle(entry)),
+            analyses: [],
+            analyze: payload.a === 1
+        };
+    }
+
+    /**
+     * Project-shaped obstacle from its compact entry
+     * Malformed entries are passed on incomplete, so project validation names them
+     */
+    decodeObstacle(entry) {
+        const [type, height, attenuation, vertices, size, name] = Array.isArray(entry) ? entry : [];
+        const obstacle = {
+            type: this.obstacleTypes[type],
+            height,
+            attenuation,
+            coordinates: [],
+            name
+        };
+
+        if (Array.isArray(vertices)) {
+            for (let i = 0; i + 1 < vertices.length; i += 2) {
+                obstacle.coordinates.push({ lat: vertices[i], lon: vertices[i + 1] });
+            }
+        }
+        if (obstacle.type === 'point') obstacle.radius = size;
+        if (obstacle.type === 'line') obstacle.width = size;
+
+        return obstacle;
+    }
+
+    /**
+     * Deflate bytes
+     */
+    async compress(bytes) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * Inflate bytes
+     */
+    async decompress(bytes) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * URL-safe base64 without padding
+     */
+    toBase64Url(bytes) {
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Bytes from URL-safe base64
+     */
+    fromBase64Url(text) {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Permalink;
+}
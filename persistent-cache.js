@@ -0,0 +1,246 @@
+/**
+ * Persistent Cache
+ * Size-bounded IndexedDB storage for elevation and building data that survives reloads
+ * Every method degrades to a no-op where IndexedDB is unavailable
+ */
+
+class PersistentCache {
+    constructor(dbName = 'lora-los-tool') {
+        this.dbName = dbName;
+        this.version = 2; // 2: landcover store
+        this.dbPromise = null;
+
+        const day = 24 * 60 * 60 * 1000;
+
+        // Per-store bounds: oldest entries are evicted beyond maxEntries,
+        // entries older than maxAge are treated as missing
+        this.stores = {
+            elevation: { maxEntries: 1000000, maxAge: 365 * day },
+            buildings: { maxEntries: 5000, maxAge: 30 * day },
+            landcover: { maxEntries: 5000, maxAge: 30 * day }
+        };
+    }
+
+    /**
+     * Open (or create) the database, null if IndexedDB is unavailable
+     */
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, this.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                Object.keys(this.stores).forEach(name => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        const store = db.createObjectStore(name, { keyPath: 'key' });
+                        store.createIndex('timestamp', 'timestamp');
+                    }
+                });
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.error('Error opening cache database:', request.error);
+                resolve(null);
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Wrap an IDBRequest in a promise
+     */
+    promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Resolve when a transaction completes
+     */
+    complete(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Get several values at once
+     * Returns a Map of key -> value for the keys found and not expired
+     */
+    async getMany(storeName, keys) {
+        const found = new Map();
+        const db = await this.open();
+        if (!db || keys.length === 0) return found;
+
+        const minTimestamp = Date.now() - this.stores[storeName].maxAge;
+
+        try {
+            const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+            const records = await Promise.all(keys.map(key => this.promisify(store.get(key))));
+
+            records.forEach(record => {
+                if (record && record.timestamp >= minTimestamp) {
+                    found.set(record.key, record.value);
+                }
+            });
+        } catch (error) {
+            console.error(`Error reading ${storeName} cache:`, error);
+        }
+
+        return found;
+    }
+
+    /**
+     * Get a single value, undefined if missing or expired
+     */
+    async get(storeName, key) {
+        const found = await this.getMany(storeName, [key]);
+        return found.get(key);
+    }
+
+    /**
+     * Store several { key, value } entries, then evict beyond the size bound
+     */
+    async setMany(storeName, entries) {
+        const db = await this.open();
+        if (!db || entries.length === 0) return;
+
+        const timestamp = Date.now();
+
+        try {
+            const transaction = db.transaction(storeName, 'readwrite');
+            const store = transaction.objectStore(storeName);
+
+            entries.forEach(({ key, value }) => store.put({ key, value, timestamp }));
+
+            await this.complete(transaction);
+            await this.enforceLimit(storeName);
+        } catch (error) {
+            console.error(`Error writing ${storeName} cache:`, error);
+        }
+    }
+
+    /**
+     * Store a single value
+     */
+    async set(storeName, key, value) {
+        await this.setMany(storeName, [{ key, value }]);
+    }
+
+    /**
+     * Evict the oldest entries beyond maxEntries
+     */
+    async enforceLimit(storeName) {
+        const db = await this.open();
+        if (!db) return;
+
+        const transaction = db.transaction(storeName, 'readwrite');
+        const store = transaction.objectStore(storeName);
+        let excess = await this.promisify(store.count()) - this.stores[storeName].maxEntries;
+
+        if (excess > 0) {
+            await new Promise((resolve, reject) => {
+                const cursorRequest = store.index('timestamp').openCursor();
+                cursorRequest.onsuccess = () => {
+                    const cursor = cursorRequest.result;
+                    if (!cursor || excess <= 0) {
+                        resolve();
+                        return;
+                    }
+                    cursor.delete();
+                    excess--;
+                    cursor.continue();
+                };
+                cursorRequest.onerror = () => reject(cursorRequest.error);
+            });
+        }
+
+        await this.complete(transaction);
+    }
+
+    /**
+     * Delete expired entries from every store
+     */
+    async pruneExpired() {
+        const db = await this.open();
+        if (!db) return;
+
+        try {
+            for (const [storeName, { maxAge }] of Object.entries(this.stores)) {
+                const transaction = db.transaction(storeName, 'readwrite');
+                const range = IDBKeyRange.upperBound(Date.now() - maxAge, true);
+                const store = transaction.objectStore(storeName);
+                const keys = await this.promisify(store.index('timestamp').getAllKeys(range));
+
+                keys.forEach(key => store.delete(key));
+                await this.complete(transaction);
+            }
+        } catch (error) {
+            console.error('Error pruning cache:', error);
+        }
+    }
+
+    /**
+     * Entry count per store and the storage used by the page (null where the browser doesn't tell)
+     * Counts come from the index, so this stays cheap however full the cache is
+     * Returns { available, usage (bytes), stores: { name: { entries, maxEntries } } }
+     */
+    async getStats() {
+        const db = await this.open();
+        const stats = { available: db !== null, usage: null, stores: {} };
+
+        for (const [storeName, { maxEntries }] of Object.entries(this.stores)) {
+            stats.stores[storeName] = { entries: 0, maxEntries };
+            if (!db) continue;
+
+            try {
+                const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+                stats.stores[storeName].entries = await this.promisify(store.count());
+            } catch (error) {
+                console.error(`Error reading ${storeName} cache stats:`, error);
+            }
+        }
+
+        // Origin-wide usage: the cache is by far the largest part of it
+        if (db && typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate) {
+            try {
+                stats.usage = (await navigator.storage.estimate()).usage;
+            } catch (error) {
+                console.error('Error estimating storage usage:', error);
+            }
+        }
+
+        return stats;
+    }
+
+    /**
+     * Remove every entry from every store
+     */
+    async clear() {
+        const db = await this.open();
+        if (!db) return;
+
+        const storeNames = Object.keys(this.stores);
+        const transaction = db.transaction(storeNames, 'readwrite');
+        storeNames.forEach(name => transaction.objectStore(name).clear());
+        await this.complete(transaction);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PersistentCache;
+}
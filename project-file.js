@@ -0,0 +1,271 @@
+/**
+ * Project File
+ * Versioned JSON format for a whole session: points, radio and propagation settings,
+ * enabled layers, custom obstacles and the last analysis results
+ * Older versions are migrated on load, then the file is validated
+ */
+
+class ProjectFile {
+    constructor() {
+        this.format = 'los-tools-project';
+        this.version = 1;
+
+        // migrations[n] upgrades a version n project to version n + 1
+        this.migrations = {
+            // Version 0: hand-written files, a bare list of points or { points: [...] }
+            0: project => {
+                const points = Array.isArray(project) ? project : (project.points || []);
+                return {
+                    format: this.format,
+                    version: 1,
+                    settings: project.settings || {},
+                    layers: {},
+                    obstacles: [],
+                    analyses: [],
+                    points: points.map(point => ({
+                        name: point.name || point.label || null,
+                        lat: point.lat,
+                        lon: point.lon !== undefined ? point.lon : point.lng,
+                        antennaHeight: point.antennaHeight !== undefined ? point.antennaHeight : point.height
+                    }))
+                };
+            }
+        };
+    }
+
+    /**
+     * Build a project from the application state
+     * state: { view, layers, settings, points, obstacles, analyses }
+     */
+    create(state) {
+        return {
+            format: this.format,
+            version: this.version,
+            savedAt: new Date().toISOString(),
+            view: state.view,
+            layers: state.layers,
+            settings: state.settings,
+            points: state.points,
+            obstacles: state.obstacles,
+            analyses: (state.analyses || []).map(analysis => this.serializeAnalysis(analysis))
+        };
+    }
+
+    /**
+     * Analysis without map layers; buildings in the Fresnel zone are stored by id
+     */
+    serializeAnalysis(analysis) {
+        const { polyline, losAnalysis, robustness, ...rest } = analysis;
+        const serializeLos = ({ zoneBuildings, ...los }) => ({
+            ...los,
+            zoneBuildings: (zoneBuildings || []).map(building => building.id)
+        });
+
+        return {
+            ...rest,
+            losAnalysis: serializeLos(losAnalysis),
+            robustness: robustness ? robustness.map(serializeLos) : null
+        };
+    }
+
+    /**
+     * Relink the buildings in the Fresnel zone of a loaded analysis
+     */
+    restoreAnalysis(analysis) {
+        const buildingsById = new Map((analysis.buildings || []).map(building => [building.id, building]));
+        const restoreLos = los => ({
+            ...los,
+            zoneBuildings: (los.zoneBuildings || []).map(id => buildingsById.get(id)).filter(Boolean)
+        });
+
+        return {
+            ...analysis,
+            buildings: analysis.buildings || [],
+            losAnalysis: restoreLos(analysis.losAnalysis),
+            robustness: analysis.robustness ? analysis.robustness.map(restoreLos) : null
+        };
+    }
+
+    /**
+     * JSON text of a project (infinite values, e.g. k = ∞, are kept as strings)
+     */
+    stringify(project) {
+        return JSON.stringify(project, (key, value) => {
+            if (value === Infinity) return 'Infinity';
+            if (value === -Infinity) return '-Infinity';
+            return value;
+        }, 2);
+    }
+
+    /**
+     * Parse, migrate and validate a project file
+     * Throws an Error with an errors list when the file cannot be used
+     */
+    parse(text, name = 'Project file') {
+        let project;
+        try {
+            project = JSON.parse(text, (key, value) => {
+                if (value === 'Infinity') return Infinity;
+                if (value === '-Infinity') return -Infinity;
+                return value;
+            });
+        } catch (error) {
+            throw this.error(name, [`not valid JSON (${error.message})`]);
+        }
+
+        project = this.migrate(project, name);
+
+        const errors = this.validate(project);
+        if (errors.length > 0) {
+            throw this.error(name, errors);
+        }
+
+        return project;
+    }
+
+    /**
+     * Upgrade a project to the current version
+     */
+    migrate(project, name = 'Project file') {
+        if (!project || typeof project !== 'object') {
+            throw this.error(name, ['expected a JSON object']);
+        }
+
+        const isProject = !Array.isArray(project) && project.format === this.format;
+        if (!isProject && !Array.isArray(project) && !Array.isArray(project.points)) {
+            throw this.error(name, ['not a LoRa LoS project']);
+        }
+
+        let version = isProject ? project.version : 0;
+        if (!Number.isInteger(version) || version < 0) {
+            throw this.error(name, [`invalid version ${JSON.stringify(project.version)}`]);
+        }
+        if (version > this.version) {
+            throw this.error(name, [`version ${version} was saved by a newer release (this one reads up to ${this.version})`]);
+        }
+
+        while (version < this.version) {
+            project = this.migrations[version](project);
+            version = project.version;
+        }
+
+        return project;
+    }
+
+    /**
+     * Check a current-version project, returns a list of problems
+     */
+    validate(project) {
+        const errors = [];
+        const isNumber = value => typeof value === 'number' && isFinite(value);
+        // Results may hold infinite values (k = ∞, unobstructed Fresnel zone)
+        const isValue = value => typeof value === 'number' && !isNaN(value);
+        const check = (condition, path, message) => {
+            if (!condition) errors.push(`${path}: ${message}`);
+        };
+
+        check(Array.isArray(project.points), 'points', 'expected a list');
+        (Array.isArray(project.points) ? project.points : []).forEach((point, i) => {
+            const path = `points[${i}]`;
+            if (!point || typeof point !== 'object') {
+                errors.push(`${path}: expected an object`);
+                return;
+            }
+            check(isNumber(point.lat) && Math.abs(point.lat) <= 90, `${path}.lat`, 'expected a latitude between -90 and 90');
+            check(isNumber(point.lon) && Math.abs(point.lon) <= 180, `${path}.lon`, 'expected a longitude between -180 and 180');
+            if (point.antennaHeight !== undefined) {
+                check(isNumber(point.antennaHeight) && point.antennaHeight >= 0, `${path}.antennaHeight`, 'expected a height ≥ 0 m');
+            }
+            if (point.elevation !== undefined && point.elevation !== null) {
+                check(isNumber(point.elevation), `${path}.elevation`, 'expected a number or null');
+            }
+        });
+
+        const settings = project.settings || {};
+        check(typeof settings === 'object', 'settings', 'expected an object');
+        ['lora', 'itm', 'propagation', 'coverage'].forEach(group => {
+            const values = settings[group];
+            if (values === undefined) return;
+            if (!values || typeof values !== 'object') {
+                errors.push(`settings.${group}: expected an object`);
+                return;
+            }
+            Object.entries(values).forEach(([key, value]) => {
+                check(['number', 'string', 'boolean'].includes(typeof value), `settings.${group}.${key}`, 'expected a number, text or true/false');
+            });
+        });
+
+        const obstacles = project.obstacles || [];
+        check(Array.isArray(obstacles), 'obstacles', 'expected a list');
+        const minVertices = { point: 1, line: 2, polygon: 3 };
+        (Array.isArray(obstacles) ? obstacles : []).forEach((obstacle, i) => {
+            const path = `obstacles[${i}]`;
+            if (!obstacle || typeof obstacle !== 'object') {
+                errors.push(`${path}: expected an object`);
+                return;
+            }
+            check(minVertices[obstacle.type] !== undefined, `${path}.type`, 'expected point, line or polygon');
+            check(isNumber(obstacle.height) && obstacle.height > 0, `${path}.height`, 'expected a height > 0 m');
+            check(Array.isArray(obstacle.coordinates) &&
+                obstacle.coordinates.length >= (minVertices[obstacle.type] || 1) &&
+                obstacle.coordinates.every(c => c && isNumber(c.lat) && isNumber(c.lon)),
+                `${path}.coordinates`, `expected at least ${minVertices[obstacle.type] || 1} { lat, lon } vertices`);
+        });
+
+        const analyses = project.analyses || [];
+        const pointCount = Array.isArray(project.points) ? project.points.length : 0;
+        check(Array.isArray(analyses), 'analyses', 'expected a list');
+        (Array.isArray(analyses) ? analyses : []).forEach((analysis, i) => {
+            const path = `analyses[${i}]`;
+            if (!analysis || typeof analysis !== 'object') {
+                errors.push(`${path}: expected an object`);
+                return;
+            }
+            check(Number.isInteger(analysis.fromIndex) && analysis.fromIndex < pointCount &&
+                Number.isInteger(analysis.toIndex) && analysis.toIndex < pointCount,
+                path, 'link refers to a missing point');
+            const { elevationProfile, losAnalysis, linkBudget } = analysis;
+            if (!elevationProfile || !Array.isArray(elevationProfile.profile) || !losAnalysis || !linkBudget) {
+                errors.push(`${path}: incomplete analysis (profile, line of sight or link budget missing)`);
+                return;
+            }
+
+            // Fields the results, charts and exports read
+            const checkValues = (object, keys, objectPath) => keys.forEach(key => {
+                check(isValue(object[key]), `${objectPath}.${key}`, 'expected a number');
+            });
+            check(typeof analysis.from === 'string' && typeof analysis.to === 'string', path, 'expected from and to labels');
+            checkValues(analysis, ['distance', 'txHeight', 'rxHeight'], path);
+            checkValues(elevationProfile, ['totalDistance', 'azimuth', 'reverseAzimuth'], `${path}.elevationProfile`);
+            check(elevationProfile.profile.length >= 2 && elevationProfile.profile.every(sample => sample &&
+                isNumber(sample.lat) && isNumber(sample.lon) && isNumber(sample.distance) &&
+                (sample.elevation === null || isNumber(sample.elevation))),
+                `${path}.elevationProfile.profile`, 'expected at least 2 samples with lat, lon, distance and elevation');
+            check(elevationProfile.quality && typeof elevationProfile.quality === 'object' && Array.isArray(elevationProfile.quality.errors),
+                `${path}.elevationProfile.quality`, 'expected an object with an errors list');
+            check(typeof losAnalysis.hasLoS === 'boolean', `${path}.losAnalysis.hasLoS`, 'expected true/false');
+            checkValues(losAnalysis, ['fresnelClearance', 'kFactor'], `${path}.losAnalysis`);
+            check(Array.isArray(losAnalysis.obstructions) && Array.isArray(losAnalysis.obstructionProfile),
+                `${path}.losAnalysis`, 'expected obstructions and obstructionProfile lists');
+            checkValues(linkBudget, ['pathLoss', 'fspl', 'diffractionLoss', 'clutterLoss', 'rxPower', 'linkMargin', 'dataRate'],
+                `${path}.linkBudget`);
+            check(typeof linkBudget.status === 'string', `${path}.linkBudget.status`, 'expected text');
+        });
+
+        return errors;
+    }
+
+    /**
+     * Error for an unusable file, with the individual problems in errors
+     */
+    error(name, errors) {
+        const error = new Error(`${name}: ${errors[0]}${errors.length > 1 ? ` (+${errors.length - 1} more)` : ''}`);
+        error.errors = errors;
+        return error;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProjectFile;
+}
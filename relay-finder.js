@@ -0,0 +1,148 @@
+/**
+ * Relay Finder
+ * Scans candidate sites between two endpoints of a blocked link and ranks
+ * those where both hops (A → R and R → B) are clear and have positive margin
+ */
+
+class RelayFinder {
+    constructor(elevationService) {
+        this.elevationService = elevationService;
+        this.alongSteps = 7; // Candidate rows along the path
+        this.acrossSteps = 7; // Candidate columns across the path
+        this.searchWidth = 0.6; // Corridor width as a fraction of the path length
+        this.profileCandidates = 12; // Highest candidates checked with full profiles
+        this.profileSamples = 50;
+        this.maxResults = 5;
+    }
+
+    /**
+     * Grid of candidate locations in a corridor around the A → B path
+     */
+    generateCandidates(pointA, pointB) {
+        const es = this.elevationService;
+        const distance = es.calculateDistance(pointA.lat, pointA.lon, pointB.lat, pointB.lon);
+        const bearing = es.calculateBearing(pointA.lat, pointA.lon, pointB.lat, pointB.lon);
+        const candidates = [];
+
+        for (let a = 1; a <= this.alongSteps; a++) {
+            const along = (a / (this.alongSteps + 1)) * distance;
+            const base = es.calculateDestination(pointA.lat, pointA.lon, bearing, along);
+
+            for (let c = 0; c < this.acrossSteps; c++) {
+                const offset = (c / (this.acrossSteps - 1) - 0.5) * this.searchWidth * distance;
+
+                if (offset === 0) {
+                    candidates.push({ lat: base.lat, lon: base.lon });
+                } else {
+                    const side = offset > 0 ? 90 : -90;
+                    const candidate = es.calculateDestination(base.lat, base.lon, bearing + side, Math.abs(offset));
+                    candidates.push({ lat: candidate.lat, lon: candidate.lon });
+                }
+            }
+        }
+
+        return candidates;
+    }
+
+    /**
+     * Find and rank relay sites for a link
+     * options: {
+     *   txHeight, rxHeight, relayHeight   antenna heights above terrain (m)
+     *   frequency, kFactor
+     *   evaluate(elevationProfile, losAnalysis, txHeight, rxHeight)
+     *                                     returns the link budget of a hop
+     *   onProgress(fraction)
+     *   isCancelled()                     returns true to abort
+     * }
+     * Terrain only: buildings are not fetched for the candidate hops
+     * Returns [{ lat, lon, elevation, margin, hops: [first, second] }], best first
+     */
+    async findRelays(pointA, pointB, options) {
+        const {
+            txHeight,
+            rxHeight,
+            relayHeight,
+            frequency,
+            kFactor,
+            evaluate,
+            onProgress = () => {},
+            isCancelled = () => false
+        } = options;
+
+        // One batch request for all candidate elevations, then keep the highest
+        const candidates = this.generateCandidates(pointA, pointB);
+        const elevations = await this.elevationService.getElevations(candidates);
+        candidates.forEach((candidate, i) => {
+            candidate.elevation = elevations[i];
+        });
+
+        const shortlist = candidates
+            .filter(candidate => candidate.elevation !== null)
+            .sort((a, b) => b.elevation - a.elevation)
+            .slice(0, this.profileCandidates);
+
+        const results = [];
+
+        for (let i = 0; i < shortlist.length; i++) {
+            if (isCancelled()) return null;
+
+            const candidate = shortlist[i];
+            const first = await this.evaluateHop(pointA, candidate, txHeight, relayHeight, frequency, kFactor, evaluate);
+            const second = await this.evaluateHop(candidate, pointB, relayHeight, rxHeight, frequency, kFactor, evaluate);
+
+            onProgress((i + 1) / shortlist.length);
+
+            // Both hops need Fresnel clearance and a positive margin
+            const hops = [first, second];
+            if (hops.every(hop => hop.hasLoS && hop.margin > 0)) {
+                results.push({
+                    lat: candidate.lat,
+                    lon: candidate.lon,
+                    elevation: candidate.elevation,
+                    margin: Math.min(first.margin, second.margin),
+                    hops
+                });
+            }
+        }
+
+        return results
+            .sort((a, b) => b.margin - a.margin)
+            .slice(0, this.maxResults);
+    }
+
+    /**
+     * Analyze one hop of a relayed link
+     */
+    async evaluateHop(from, to, fromHeight, toHeight, frequency, kFactor, evaluate) {
+        const elevationProfile = await this.elevationService.getElevationProfile(
+            { lat: from.lat, lon: from.lon },
+            { lat: to.lat, lon: to.lon },
+            this.profileSamples
+        );
+
+        const losAnalysis = this.elevationService.analyzeLineOfSight(
+            elevationProfile,
+            fromHeight,
+            toHeight,
+            null,
+            frequency,
+            [],
+            kFactor
+        );
+
+        const linkBudget = evaluate(elevationProfile, losAnalysis, fromHeight, toHeight);
+
+        return {
+            distance: elevationProfile.totalDistance,
+            hasLoS: losAnalysis.hasLoS,
+            fresnelClearance: losAnalysis.fresnelClearance,
+            margin: linkBudget.linkMargin,
+            rxPower: linkBudget.rxPower
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RelayFinder;
+}
@@ -0,0 +1,343 @@
+/**
+ * Waypoint Import
+ * Candidate sites from GPX waypoints, KML/KMZ placemarks, GeoJSON points and CSV tables
+ * Waypoints: { name, lat, lon, antennaHeight (m AGL, optional) }
+ */
+
+class WaypointImport {
+    constructor() {
+        this.formats = {
+            gpx: 'gpx',
+            kml: 'kml',
+            kmz: 'kmz',
+            geojson: 'geojson',
+            json: 'geojson',
+            csv: 'csv',
+            txt: 'csv',
+            tsv: 'csv'
+        };
+
+        // Header names recognized for each CSV column
+        this.columnPatterns = {
+            lat: /^(lat|latitude|y|breite)$/i,
+            lon: /^(lon|lng|long|longitude|x|länge|laenge)$/i,
+            name: /^(name|label|site|id|title|description)$/i,
+            height: /^(height|antenna|antenna[ _]?height|agl|mast|hoehe|höhe)([ _]?\(?m\)?)?$/i
+        };
+    }
+
+    /**
+     * Format id for a file name, null if unsupported
+     */
+    getFormat(filename) {
+        const extension = filename.split('.').pop().toLowerCase();
+        return this.formats[extension] || null;
+    }
+
+    /**
+     * Parse a GPX, KML, KMZ or GeoJSON file into waypoints
+     * CSV files need a column mapping, see parseCsv() and csvToWaypoints()
+     * Returns { waypoints, skipped: [messages] }
+     */
+    async parseFile(file) {
+        const format = this.getFormat(file.name);
+
+        switch (format) {
+            case 'gpx':
+                return this.parseGpx(await file.text(), file.name);
+            case 'kml':
+                return this.parseKml(await file.text(), file.name);
+            case 'kmz':
+                return this.parseKml(await this.readKmz(new Uint8Array(await file.arrayBuffer()), file.name), file.name);
+            case 'geojson':
+                return this.parseGeoJson(await file.text(), file.name);
+            default:
+                throw new Error(`${file.name}: unsupported file type (GPX, CSV, KML, KMZ or GeoJSON)`);
+        }
+    }
+
+    /**
+     * Parse XML text, throws on malformed documents
+     */
+    parseXml(text, name) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error(`${name}: not valid XML`);
+        }
+        return doc;
+    }
+
+    /**
+     * Number from text, null if empty or invalid
+     */
+    parseNumber(text) {
+        if (text === null || text === undefined) return null;
+        const value = parseFloat(String(text).trim());
+        return isFinite(value) ? value : null;
+    }
+
+    /**
+     * Add a waypoint if its coordinates are valid, otherwise note why it was skipped
+     */
+    addWaypoint(result, waypoint, where) {
+        const { lat, lon } = waypoint;
+        if (lat === null || lon === null || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+            result.skipped.push(`${where}: invalid coordinates`);
+            return;
+        }
+        result.waypoints.push(waypoint);
+    }
+
+    /**
+     * GPX waypoints (<wpt>), or route points when there are none
+     * <ele> is terrain elevation and is not used; heights come from the elevation sources
+     */
+    parseGpx(text, name) {
+        const doc = this.parseXml(text, name);
+        const result = { waypoints: [], skipped: [] };
+
+        let nodes = [...doc.getElementsByTagName('wpt')];
+        if (nodes.length === 0) nodes = [...doc.getElementsByTagName('rtept')];
+
+        nodes.forEach((node, i) => {
+            const nameNode = node.getElementsByTagName('name')[0];
+            this.addWaypoint(result, {
+                name: nameNode ? nameNode.textContent.trim() : null,
+                lat: this.parseNumber(node.getAttribute('lat')),
+                lon: this.parseNumber(node.getAttribute('lon'))
+            }, `${name} waypoint ${i + 1}`);
+        });
+
+        if (nodes.length === 0) {
+            throw new Error(`${name}: no waypoints or route points`);
+        }
+        return result;
+    }
+
+    /**
+     * KML placemarks with a <Point>; an antennaHeightM extended data field
+     * (as written by the KML export) sets the antenna height
+     * Obstruction markers from the KML export are not sites and are left out
+     */
+    parseKml(text, name) {
+        const doc = this.parseXml(text, name);
+        const result = { waypoints: [], skipped: [] };
+
+        const placemarks = [...doc.getElementsByTagName('Placemark')]
+            .filter(placemark => placemark.getElementsByTagName('Point').length > 0)
+            .filter(placemark => {
+                const style = placemark.getElementsByTagName('styleUrl')[0];
+                return !style || style.textContent.trim() !== '#obstruction';
+            });
+        if (placemarks.length === 0) {
+            throw new Error(`${name}: no point placemarks`);
+        }
+
+        placemarks.forEach((placemark, i) => {
+            const point = placemark.getElementsByTagName('Point')[0];
+            const coordinates = point.getElementsByTagName('coordinates')[0];
+            const [lon, lat] = (coordinates ? coordinates.textContent.trim() : '').split(',');
+            const nameNode = [...placemark.children].find(child => child.tagName === 'name');
+
+            const data = [...placemark.getElementsByTagName('Data')]
+                .find(node => node.getAttribute('name') === 'antennaHeightM');
+
+            this.addWaypoint(result, {
+                name: nameNode ? nameNode.textContent.trim() : null,
+                lat: this.parseNumber(lat),
+                lon: this.parseNumber(lon),
+                antennaHeight: data ? this.parseNumber(data.textContent) : null
+            }, `${name} placemark ${i + 1}`);
+        });
+
+        return result;
+    }
+
+    /**
+     * KML document from a KMZ archive (the first .kml entry)
+     */
+    async readKmz(bytes, name) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        // End of central directory record, searched backwards past a possible comment
+        let end = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 65535); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                end = i;
+                break;
+            }
+        }
+        if (end < 0) {
+            throw new Error(`${name}: not a KMZ (ZIP) archive`);
+        }
+
+        const decoder = new TextDecoder();
+        const count = view.getUint16(end + 10, true);
+        let position = view.getUint32(end + 16, true);
+
+        for (let i = 0; i < count; i++) {
+            const method = view.getUint16(position + 10, true);
+            const compressedSize = view.getUint32(position + 20, true);
+            const nameLength = view.getUint16(position + 28, true);
+            const extraLength = view.getUint16(position + 30, true);
+            const commentLength = view.getUint16(position + 32, true);
+            const localOffset = view.getUint32(position + 42, true);
+            const entryName = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+            position += 46 + nameLength + extraLength + commentLength;
+
+            if (!entryName.toLowerCase().endsWith('.kml')) continue;
+
+            const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+            if (method === 0) return decoder.decode(data);
+            if (method !== 8 || typeof DecompressionStream === 'undefined') {
+                throw new Error(`${name}: cannot decompress ${entryName}`);
+            }
+
+            const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            return new Response(stream).text();
+        }
+
+        throw new Error(`${name}: no KML document in the archive`);
+    }
+
+    /**
+     * GeoJSON Point and MultiPoint features (or a single Feature / geometry)
+     * name or label properties name the site, antennaHeightM or antennaHeight set the height
+     * Features of the GeoJSON export other than sites (kind: obstruction) are left out
+     */
+    parseGeoJson(text, name) {
+        let geojson;
+        try {
+            geojson = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`${name}: not valid JSON`);
+        }
+
+        const features = geojson.type === 'FeatureCollection' ? geojson.features || [] :
+            geojson.type === 'Feature' ? [geojson] :
+            [{ type: 'Feature', geometry: geojson, properties: {} }];
+        const result = { waypoints: [], skipped: [] };
+
+        features.forEach((feature, i) => {
+            const geometry = feature && feature.geometry;
+            if (!geometry || !['Point', 'MultiPoint'].includes(geometry.type)) return;
+
+            const properties = feature.properties || {};
+            if (properties.kind !== undefined && properties.kind !== 'site') return;
+            const height = properties.antennaHeightM !== undefined ? properties.antennaHeightM : properties.antennaHeight;
+            const positions = geometry.type === 'Point' ? [geometry.coordinates] : geometry.coordinates || [];
+
+            positions.forEach(position => {
+                const [lon, lat] = Array.isArray(position) ? position : [];
+                this.addWaypoint(result, {
+                    name: properties.name || properties.label || null,
+                    lat: this.parseNumber(lat),
+                    lon: this.parseNumber(lon),
+                    antennaHeight: this.parseNumber(height)
+                }, `${name} feature ${i + 1}`);
+            });
+        });
+
+        if (result.waypoints.length === 0 && result.skipped.length === 0) {
+            throw new Error(`${name}: no Point or MultiPoint features`);
+        }
+        return result;
+    }
+
+    /**
+     * Split CSV text into a header row and data rows
+     * The delimiter (comma, semicolon or tab) is detected from the first line
+     * Returns { headers, rows, delimiter }
+     */
+    parseCsv(text, name) {
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        const delimiter = [',', ';', '\t']
+            .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+            .sort((a, b) => b.count - a.count)[0].candidate;
+
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(field.trim());
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field.trim());
+                if (row.some(value => value !== '')) rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        row.push(field.trim());
+        if (row.some(value => value !== '')) rows.push(row);
+
+        if (rows.length < 2) {
+            throw new Error(`${name}: expected a header row and at least one data row`);
+        }
+
+        return { headers: rows[0], rows: rows.slice(1), delimiter };
+    }
+
+    /**
+     * Guess the lat, lon, name and height columns from the headers
+     * Returns { lat, lon, name, height } column indexes, -1 where not found
+     */
+    guessCsvMapping(headers) {
+        const mapping = {};
+        Object.entries(this.columnPatterns).forEach(([column, pattern]) => {
+            mapping[column] = headers.findIndex(header => pattern.test(header.trim()));
+        });
+        return mapping;
+    }
+
+    /**
+     * Waypoints from CSV rows with a column mapping
+     * Decimal commas are accepted when the delimiter is not a comma
+     */
+    csvToWaypoints(table, mapping, name) {
+        const result = { waypoints: [], skipped: [] };
+        const value = (row, column) => {
+            if (mapping[column] < 0 || row[mapping[column]] === undefined) return null;
+            const text = row[mapping[column]];
+            return table.delimiter === ',' ? text : text.replace(',', '.');
+        };
+
+        table.rows.forEach((row, i) => {
+            const height = this.parseNumber(value(row, 'height'));
+            this.addWaypoint(result, {
+                name: mapping.name >= 0 ? row[mapping.name] || null : null,
+                lat: this.parseNumber(value(row, 'lat')),
+                lon: this.parseNumber(value(row, 'lon')),
+                antennaHeight: height !== null && height >= 0 ? height : null
+            }, `${name} row ${i + 2}`);
+        });
+
+        return result;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WaypointImport;
+}